@@ -0,0 +1,237 @@
+// POST /api/sticker: renders one sticker with the same pipeline as the page.
+//
+// Body (JSON):
+//   kind        "wifi" (default) or any other content type from lib/payloads
+//   ...fields   WiFi: ssid, password, security, hidden, networkType; "group": networks
+//               (an array of WiFi fields plus an optional label); otherwise the type's fields
+//   customer    optional customer / site record ({ name, address, account, installDate, show });
+//               the fields listed in `show` print where the template has its "customer" field
+//   brand       optional brand profile ({ name, logo, footer, phone, whatsapp, accent, footerLine });
+//               images as data URLs or bundled asset paths, as in the page's brand export
+//   template    built-in template id, or a full template object (default: the default template);
+//               its bitmap (size at its dpi) may not exceed MAX_LABEL_AREA_PX
+//   format      "png" (default), "svg" or "pdf"
+//   orientation "file" (default, as downloaded) or "label" (upright, PNG and SVG only)
+//   dpi         PNG resolution: 203, 300 or 600 (default: the template's)
+//   scale       printed size as a multiple of the label, 1–4 (default 1; PNG and SVG)
+//   lang        language of the texts drawn on the sticker and of the error messages
+//               (default: negotiated from Accept-Language)
+//
+// A group that does not fit legibly on one label is split into one label per
+// network: PDFs get one page each and PNGs / SVGs come back as a ZIP.
+//
+// Errors answer { error, field? } with 400 for bad input (an image of the caller's
+// template or brand that does not load included), 422 when a WiFi password or
+// SSID would still be cut off at the label edge after wrapping the password onto
+// as many lines as it takes and shrinking the QR and text to their minimum (no
+// valid WPA passphrase gets there), and 500 for render failures.
+
+import { normalizeBrand, validateBrand } from "../../lib/brands";
+import { loadImage } from "../../lib/canvas";
+import { normalizeCustomer, validateCustomer } from "../../lib/customers";
+import { EXPORT_DPIS, EXPORT_SCALES, normalizeExportOptions, renderExportFiles } from "../../lib/export";
+import { negotiateLocale, resolveLocale, t, translate, withLocale } from "../../lib/i18n";
+import { CONTENT_TYPES, entryTitle, isWifiEntry, normalizeContent } from "../../lib/payloads";
+import { buildLabelsPdf } from "../../lib/pdf";
+import { installServerCanvas } from "../../lib/server-canvas";
+import { renderEntryStickers } from "../../lib/sticker";
+import { validateQrOptions } from "../../lib/qr";
+import { BUILT_IN_TEMPLATES, DEFAULT_TEMPLATE_ID, normalizeTemplate, validateTemplateSize } from "../../lib/templates";
+import { normalizeEntry } from "../../lib/wifi";
+import { buildZip, uniqueFilename } from "../../lib/zip";
+
+export const runtime = "nodejs";
+
+installServerCanvas();
+
+const FORMATS = ["png", "svg", "pdf"];
+const ORIENTATIONS = ["file", "label"];
+
+const fail = (status, error, field) => Response.json(field ? { error, field } : { error }, { status });
+
+// Same file names as the page downloads.
+const safeFilename = (value) => {
+  const base = String(value ?? "").trim() || "qr";
+  return base.replace(/[^a-z0-9-_]/gi, "_");
+};
+
+const resolveTemplate = (value) => {
+  if (value == null) return { template: normalizeTemplate(BUILT_IN_TEMPLATES.find((tpl) => tpl.id === DEFAULT_TEMPLATE_ID)) };
+  if (typeof value === "string") {
+    const found = BUILT_IN_TEMPLATES.find((tpl) => tpl.id === value);
+    if (!found) {
+      const ids = BUILT_IN_TEMPLATES.map((tpl) => tpl.id).join(", ");
+      return { error: t("api.error.unknownTemplate", { value, ids }) };
+    }
+    return { template: normalizeTemplate(found) };
+  }
+  if (typeof value === "object" && !Array.isArray(value)) return { template: normalizeTemplate(value) };
+  return { error: t("api.error.templateType") };
+};
+
+const resolveEntry = (body) => {
+  const kind = body.kind == null ? "wifi" : String(body.kind);
+  if (!CONTENT_TYPES.some((type) => type.value === kind)) {
+    return { error: t("api.error.unknownKind", { kind }), field: "kind" };
+  }
+  if (kind !== "wifi") return normalizeContent(kind, body);
+  const { entry, error, errors } = normalizeEntry(body);
+  return error ? { error, field: errors.ssid ? "ssid" : "password" } : { entry };
+};
+
+// Images the caller sent, by the field they came in. Built-in templates only
+// point at bundled assets, so their images are not checked.
+const callerImages = (body, template, brand) => ({
+  ...(body.template && typeof body.template === "object"
+    ? { "template.logo": template.logo, "template.footer": template.footer, "template.qr.logo": template.qr.logo }
+    : {}),
+  "brand.logo": brand?.logo,
+  "brand.footer": brand?.footer,
+});
+
+// Loads every caller image before rendering; returns the field of the first
+// one that fails, or null.
+const findBrokenImage = async (images) => {
+  for (const [field, src] of Object.entries(images)) {
+    if (!src) continue;
+    try {
+      await loadImage(src);
+    } catch {
+      return field;
+    }
+  }
+  return null;
+};
+
+// The WiFi text a rendered label cuts off, as { field, error }, or null. The
+// page only warns about it in the preview; an API caller gets no preview.
+const findClippedText = (entry, results, lang) => {
+  const clipped = results.find(
+    ({ item, metrics }) => isWifiEntry(item) && (metrics?.passOverflow || metrics?.ssidOverflow || metrics?.overflow)
+  );
+  if (!clipped) return null;
+  // Only the wrapped password grows in height, so a label that runs off the bottom is its fault.
+  const text = clipped.metrics.ssidOverflow && !clipped.metrics.passOverflow && !clipped.metrics.overflow ? "ssid" : "password";
+  return {
+    field: entry.kind === "group" ? "networks" : text,
+    error: translate(lang, `api.error.${text}Clipped`, { ssid: clipped.item.ssid }),
+  };
+};
+
+// Checks the body in the request's language; returns { error, field?, ... } or the render inputs.
+const parseBody = (body) => {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return { error: t("api.error.notObject") };
+
+  const format = String(body.format ?? "png").toLowerCase();
+  if (!FORMATS.includes(format)) return { error: t("api.error.format", { format }), field: "format" };
+
+  const orientation = String(body.orientation ?? "file");
+  if (!ORIENTATIONS.includes(orientation)) {
+    return { error: t("api.error.orientation", { orientation }), field: "orientation" };
+  }
+  if (format === "pdf" && orientation !== "file") return { error: t("api.error.pdfOrientation"), field: "orientation" };
+
+  const exportOptions = normalizeExportOptions({ format: format === "svg" ? "svg" : "png", dpi: body.dpi, scale: body.scale });
+  if (body.dpi != null && exportOptions.dpi !== Number(body.dpi)) {
+    return { error: t("api.error.dpi", { dpi: String(body.dpi), dpis: EXPORT_DPIS.join(", ") }), field: "dpi" };
+  }
+  if (body.scale != null && exportOptions.scale !== Number(body.scale)) {
+    return { error: t("api.error.scale", { scale: String(body.scale), max: EXPORT_SCALES.at(-1) }), field: "scale" };
+  }
+
+  const { template, error: templateError } = resolveTemplate(body.template);
+  if (templateError) return { error: templateError, field: "template" };
+  // Checked before anything is drawn: the PDF and SVG render at the template's own dpi.
+  const sizeProblem = validateTemplateSize(template);
+  if (sizeProblem) return { error: sizeProblem, field: "template" };
+  const qrProblem = validateQrOptions(template.qr);
+  if (qrProblem) return { error: qrProblem, field: "template.qr" };
+
+  const { entry, error: entryError, field } = resolveEntry(body);
+  if (entryError) return { error: entryError, field };
+
+  const records = {};
+  if (body.customer != null) {
+    if (typeof body.customer !== "object" || Array.isArray(body.customer)) {
+      return { error: t("api.error.customerType"), field: "customer" };
+    }
+    const customerProblem = validateCustomer(body.customer);
+    if (customerProblem) return { error: customerProblem, field: "customer" };
+    records.customer = normalizeCustomer(body.customer);
+  }
+  if (body.brand != null) {
+    if (typeof body.brand !== "object" || Array.isArray(body.brand)) return { error: t("api.error.brandType"), field: "brand" };
+    const brandProblem = validateBrand(body.brand);
+    if (brandProblem) return { error: brandProblem, field: "brand" };
+    records.brand = normalizeBrand(body.brand);
+  }
+  return { format, orientation, exportOptions, template, entry: { ...entry, ...records } };
+};
+
+export async function POST(request) {
+  const acceptLocale = negotiateLocale(request.headers.get("accept-language"));
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return fail(400, withLocale(acceptLocale, () => t("api.error.invalidJson")));
+  }
+
+  const lang = body?.lang ? resolveLocale(body.lang) : acceptLocale;
+  const parsed = withLocale(lang, () => parseBody(body));
+  if (parsed.error) return fail(400, parsed.error, parsed.field);
+  const { format, orientation, exportOptions, template } = parsed;
+  const entry = { ...parsed.entry, lang };
+
+  const brokenImage = await findBrokenImage(callerImages(body, template, entry.brand));
+  if (brokenImage) return fail(400, translate(lang, "api.error.image", { field: brokenImage }), brokenImage);
+  const filename = safeFilename(entryTitle(entry));
+
+  if (format === "pdf") {
+    let results;
+    try {
+      results = await renderEntryStickers(entry, template);
+      if (results.length === 0) throw new Error(translate(lang, "error.sticker"));
+    } catch (err) {
+      return fail(500, err?.message || translate(lang, "error.sticker"));
+    }
+    const clipped = findClippedText(entry, results, lang);
+    if (clipped) return fail(422, clipped.error, clipped.field);
+    try {
+      const images = results.map(({ canvas }) => canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height));
+      const pdf = await buildLabelsPdf(images, { layout: "label", labelSize: { w: template.widthMm, h: template.heightMm } });
+      return new Response(pdf, {
+        headers: { "Content-Type": "application/pdf", "Content-Disposition": `inline; filename="${filename}.pdf"` },
+      });
+    } catch (err) {
+      return fail(500, err?.message || translate(lang, "error.pdf"));
+    }
+  }
+
+  let files;
+  try {
+    files = await renderExportFiles(entry, template, exportOptions, { rotate: orientation === "file" });
+    if (files.length === 0) throw new Error(translate(lang, "error.sticker"));
+  } catch (err) {
+    return fail(500, err?.message || translate(lang, "error.sticker"));
+  }
+  const clipped = findClippedText(entry, files, lang);
+  if (clipped) return fail(422, clipped.error, clipped.field);
+
+  if (files.length > 1) {
+    const used = new Set();
+    const zipped = files.map(({ item, ext, data }) => ({
+      name: uniqueFilename(`${safeFilename(entryTitle(item))}.${ext}`, used),
+      data,
+    }));
+    return new Response(buildZip(zipped), {
+      headers: { "Content-Type": "application/zip", "Content-Disposition": `attachment; filename="${filename}.zip"` },
+    });
+  }
+
+  const [file] = files;
+  return new Response(file.data, {
+    headers: { "Content-Type": file.mime, "Content-Disposition": `inline; filename="${filename}.${file.ext}"` },
+  });
+}
@@ -0,0 +1,84 @@
+"use client";
+
+import { attentionDefaults } from "../lib/attention";
+import { LOCALES, t } from "../lib/i18n";
+
+const FIELDS = ["headline1", "headline2", "contactLabel", "phone", "countryCode"];
+
+export default function AttentionPanel({ config, onChange, onLangChange, onReset, onDownload, url, error }) {
+  // Placeholders show the defaults in the sticker's language, not the UI's.
+  const defaults = attentionDefaults(config.lang);
+  return (
+    <details className="print-summary no-print attention-panel">
+      <summary>
+        <strong>{t("attention.title")}</strong>
+      </summary>
+
+      <div className="form-grid">
+        <div className="form-field form-grid-full">
+          <label className="form-label" htmlFor="attention-lang">
+            {t("form.stickerLang")}
+          </label>
+          <select
+            id="attention-lang"
+            className="form-input"
+            value={defaults.lang}
+            onChange={(e) => onLangChange(e.target.value)}
+          >
+            {LOCALES.map((l) => (
+              <option key={l.value} value={l.value}>
+                {l.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {FIELDS.map((key) => (
+          <div key={key} className="form-field">
+            <label className="form-label" htmlFor={`attention-${key}`}>
+              {t(`attention.field.${key}`)}
+            </label>
+            <input
+              id={`attention-${key}`}
+              className="form-input"
+              value={config[key] ?? ""}
+              onChange={(e) => onChange({ [key]: e.target.value })}
+              placeholder={defaults[key]}
+              inputMode={key === "countryCode" ? "numeric" : undefined}
+            />
+          </div>
+        ))}
+
+        <div className="form-field form-grid-full">
+          <label className="form-label" htmlFor="attention-message">
+            {t("attention.field.message")}
+          </label>
+          <textarea
+            id="attention-message"
+            className="form-input"
+            rows={2}
+            value={config.message ?? ""}
+            onChange={(e) => onChange({ message: e.target.value })}
+            placeholder={t("attention.placeholder.message")}
+          />
+        </div>
+
+        {url && (
+          <div className="form-grid-full attention-url">
+            {t("attention.opens")} <code>{url}</code>
+          </div>
+        )}
+        {error && <div className="form-warning form-grid-full">{error}</div>}
+
+        <div className="actions-row form-grid-full">
+          <button type="button" onClick={onDownload} className="btn btn-primary" disabled={!url}>
+            {t("attention.download")}
+          </button>
+          <button type="button" onClick={onReset} className="btn btn-secondary">
+            {t("common.reset")}
+          </button>
+        </div>
+      </div>
+    </details>
+  );
+}
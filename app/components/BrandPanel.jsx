@@ -0,0 +1,220 @@
+"use client";
+
+import { useState } from "react";
+import { buildBrandExport, emptyBrand, normalizeBrand, parseBrandExport, validateBrand } from "../lib/brands";
+import { t } from "../lib/i18n";
+import { FOOTER_ASSETS, LOGO_ASSETS } from "../lib/templates";
+
+const downloadJson = (data, filename) => {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+const TEXT_FIELDS = [
+  { key: "phone", label: "brand.field.phone", placeholder: "brand.placeholder.phone", type: "tel" },
+  { key: "whatsapp", label: "brand.field.whatsapp", placeholder: "brand.placeholder.phone", type: "tel" },
+  { key: "footerLine", label: "brand.field.footerLine", placeholder: "brand.placeholder.footerLine", full: true },
+];
+
+// Brand profiles for the ISP and its resellers: logo, footer icon, support
+// contact and accent colour, and a JSON bundle (images inlined) to move them to
+// another technician's browser. `onSave` / `onImport` return an error message
+// when the profiles cannot be stored.
+export default function BrandPanel({ brands, logos, onSave, onDelete, onImport }) {
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [exporting, setExporting] = useState(false);
+
+  const update = (key, value) => setDraft((prev) => ({ ...prev, [key]: value }));
+
+  const saved = logos.map((l) => ({ value: l.dataUrl, label: l.name }));
+  const imageOptions = (assets, value) => {
+    const options = [...assets.map((a) => ({ value: a.value, label: t(a.label) })), ...saved];
+    return value && !options.some((o) => o.value === value)
+      ? [...options, { value, label: t("template.asset.custom") }]
+      : options;
+  };
+
+  const handleSave = () => {
+    const problem = validateBrand(draft) || onSave(normalizeBrand(draft));
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setDraft(null);
+    setError("");
+  };
+
+  const handleDelete = (brand) => {
+    if (!window.confirm(t("brand.confirmDelete", { name: brand.name }))) return;
+    onDelete(brand.id);
+    if (draft?.id === brand.id) setDraft(null);
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    setMessage("");
+    try {
+      const data = await buildBrandExport(brands);
+      downloadJson(data, t("brand.fileName", { date: data.exportedAt.slice(0, 10) }));
+    } catch (err) {
+      setMessage(err?.message || t("common.unknownError"));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    let raw;
+    try {
+      raw = await file.text();
+    } catch {
+      setMessage(t("import.readFailed"));
+      return;
+    }
+    const parsed = parseBrandExport(raw);
+    const problem = parsed.error || onImport(parsed.brands);
+    setMessage(problem || t("brand.imported", { count: parsed.brands.length }));
+  };
+
+  const imageField = (key, assets, label) => (
+    <div className="form-field">
+      <label className="form-label" htmlFor={`brand-${key}`}>
+        {t(label)}
+      </label>
+      <select
+        id={`brand-${key}`}
+        className="form-input"
+        value={draft[key]}
+        onChange={(e) => update(key, e.target.value)}
+      >
+        <option value="">{t("brand.fromTemplate")}</option>
+        {imageOptions(assets, draft[key]).map((o) => (
+          <option key={o.value} value={o.value}>
+            {o.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+
+  return (
+    <details className="print-summary no-print brand-panel">
+      <summary>
+        <strong>{t("brand.title")}</strong> {brands.length}
+      </summary>
+
+      {brands.length > 0 && (
+        <div className="qr-list">
+          {brands.map((b) => (
+            <div key={b.id} className="qr-list-item">
+              {b.logo && <img className="brand-logo" src={b.logo} alt="" />}
+              <div className="qr-list-text">
+                <div>
+                  <span className="brand-swatch" style={{ background: b.accent }} /> <strong>{b.name}</strong>
+                </div>
+                <div className="qr-list-value">
+                  {[b.footerLine, b.phone, b.whatsapp && `WhatsApp ${b.whatsapp}`].filter(Boolean).join(" · ")}
+                </div>
+              </div>
+              <div className="qr-list-actions">
+                <button type="button" className="btn btn-secondary" onClick={() => setDraft({ ...b })}>
+                  {t("common.edit")}
+                </button>
+                <button type="button" className="btn btn-secondary" onClick={() => handleDelete(b)}>
+                  {t("common.remove")}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {draft ? (
+        <div className="form-grid brand-form">
+          <div className="form-field form-grid-full">
+            <label className="form-label" htmlFor="brand-name">
+              {t("brand.field.name")} *
+            </label>
+            <input
+              id="brand-name"
+              className="form-input"
+              value={draft.name}
+              onChange={(e) => update("name", e.target.value)}
+              placeholder={t("brand.placeholder.name")}
+            />
+          </div>
+          {imageField("logo", LOGO_ASSETS, "brand.field.logo")}
+          {imageField("footer", FOOTER_ASSETS, "brand.field.footer")}
+          {TEXT_FIELDS.map((f) => (
+            <div key={f.key} className={`form-field${f.full ? " form-grid-full" : ""}`}>
+              <label className="form-label" htmlFor={`brand-${f.key}`}>
+                {t(f.label)}
+              </label>
+              <input
+                id={`brand-${f.key}`}
+                className="form-input"
+                type={f.type || "text"}
+                value={draft[f.key]}
+                onChange={(e) => update(f.key, e.target.value)}
+                placeholder={t(f.placeholder)}
+              />
+            </div>
+          ))}
+          <div className="form-field">
+            <label className="form-label" htmlFor="brand-accent">
+              {t("brand.field.accent")}
+            </label>
+            <input
+              id="brand-accent"
+              className="form-input brand-accent"
+              type="color"
+              value={draft.accent}
+              onChange={(e) => update("accent", e.target.value)}
+            />
+          </div>
+          {error && <div className="form-warning form-grid-full">{error}</div>}
+          <div className="actions-row form-grid-full">
+            <button type="button" className="btn btn-primary" onClick={handleSave}>
+              {t("common.save")}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={() => setDraft(null)}>
+              {t("common.cancel")}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="actions-row">
+          <button type="button" className="btn btn-primary" onClick={() => setDraft(emptyBrand())}>
+            {t("brand.add")}
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={handleExport}
+            disabled={brands.length === 0 || exporting}
+          >
+            {t("brand.export")}
+          </button>
+          <label className="btn btn-secondary brand-import">
+            {t("brand.import")}
+            <input type="file" accept="application/json,.json" onChange={handleFile} hidden />
+          </label>
+        </div>
+      )}
+
+      {message && <p className="field-note">{message}</p>}
+      <p className="field-note">{t("brand.hint")}</p>
+    </details>
+  );
+}
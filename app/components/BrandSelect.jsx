@@ -0,0 +1,22 @@
+"use client";
+
+import { t } from "../lib/i18n";
+
+// Brand profile picker; "" keeps the template's own logo and footer.
+export default function BrandSelect({ id, brands, value, onChange }) {
+  return (
+    <div className="form-field">
+      <label className="form-label" htmlFor={id}>
+        {t("brand.assign")}
+      </label>
+      <select id={id} className="form-input" value={value || ""} onChange={(e) => onChange(e.target.value)}>
+        <option value="">{t("brand.none")}</option>
+        {brands.map((b) => (
+          <option key={b.id} value={b.id}>
+            {b.name}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
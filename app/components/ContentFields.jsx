@@ -0,0 +1,31 @@
+"use client";
+
+import { t } from "../lib/i18n";
+import { getContentType } from "../lib/payloads";
+import GroupFields from "./GroupFields";
+
+// Form inputs for a non-WiFi content type, driven by its field definitions.
+// Labels and placeholders are catalog keys; literal examples (URLs, phones) pass through.
+export default function ContentFields({ kind, values, onChange, idPrefix = "content" }) {
+  const type = getContentType(kind);
+  if (type.value === "group") return <GroupFields values={values} onChange={onChange} idPrefix={`${idPrefix}-group`} />;
+  return (type.fields || []).map((f) => {
+    const id = `${idPrefix}-${f.key}`;
+    const common = {
+      id,
+      className: "form-input",
+      value: values?.[f.key] ?? "",
+      onChange: (e) => onChange({ ...values, [f.key]: e.target.value }),
+      placeholder: t(f.placeholder),
+    };
+    return (
+      <div key={f.key} className={`form-field${f.multiline ? " form-grid-full" : ""}`}>
+        <label className="form-label" htmlFor={id}>
+          {t(f.label)}
+          {f.required ? " *" : ""}
+        </label>
+        {f.multiline ? <textarea rows={3} {...common} /> : <input {...common} />}
+      </div>
+    );
+  });
+}
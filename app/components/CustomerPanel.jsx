@@ -0,0 +1,183 @@
+"use client";
+
+import { useState } from "react";
+import {
+  CUSTOMER_FIELDS,
+  buildCustomerExport,
+  emptyCustomer,
+  normalizeCustomer,
+  parseCustomerExport,
+  validateCustomer,
+} from "../lib/customers";
+import { t } from "../lib/i18n";
+
+const downloadJson = (data, filename) => {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+// Customer / site records: create, edit and delete them, and move them (with
+// the networks printed for each) between devices as a JSON file.
+export default function CustomerPanel({ customers, queue, history, onSave, onDelete, onImport }) {
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  const countFor = (id) =>
+    queue.filter((e) => e.customerId === id).length + history.filter((e) => e.customerId === id).length;
+
+  const update = (key, value) => setDraft((prev) => ({ ...prev, [key]: value }));
+
+  const toggleShow = (key, on) =>
+    setDraft((prev) => ({ ...prev, show: on ? [...prev.show, key] : prev.show.filter((k) => k !== key) }));
+
+  const handleSave = () => {
+    const problem = validateCustomer(draft);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    onSave(normalizeCustomer(draft));
+    setDraft(null);
+    setError("");
+  };
+
+  const handleDelete = (customer) => {
+    if (!window.confirm(t("customer.confirmDelete", { name: customer.name }))) return;
+    onDelete(customer.id);
+    if (draft?.id === customer.id) setDraft(null);
+  };
+
+  const handleExport = () => {
+    const data = buildCustomerExport(customers, history);
+    downloadJson(data, t("customer.fileName", { date: data.exportedAt.slice(0, 10) }));
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    let raw;
+    try {
+      raw = await file.text();
+    } catch {
+      setMessage(t("import.readFailed"));
+      return;
+    }
+    const parsed = parseCustomerExport(raw);
+    if (parsed.error) {
+      setMessage(parsed.error);
+      return;
+    }
+    onImport(parsed);
+    setMessage(t("customer.imported", { customers: parsed.customers.length, networks: parsed.entries.length }));
+  };
+
+  return (
+    <details className="print-summary no-print customer-panel">
+      <summary>
+        <strong>{t("customer.title")}</strong> {customers.length}
+      </summary>
+
+      {customers.length > 0 && (
+        <div className="qr-list">
+          {customers.map((c) => (
+            <div key={c.id} className="qr-list-item">
+              <div className="qr-list-text">
+                <div>
+                  <strong>{c.name}</strong>
+                  {c.account ? ` · #${c.account}` : ""}
+                </div>
+                <div className="qr-list-value">
+                  {[c.address, c.installDate, t("customer.networks", { count: countFor(c.id) })].filter(Boolean).join(" · ")}
+                </div>
+              </div>
+              <div className="qr-list-actions">
+                <button type="button" className="btn btn-secondary" onClick={() => setDraft({ ...c })}>
+                  {t("common.edit")}
+                </button>
+                <button type="button" className="btn btn-secondary" onClick={() => handleDelete(c)}>
+                  {t("common.remove")}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {draft ? (
+        <div className="form-grid customer-form">
+          {CUSTOMER_FIELDS.map((f) => (
+            <div key={f.key} className={`form-field${f.multiline ? " form-grid-full" : ""}`}>
+              <label className="form-label" htmlFor={`customer-${f.key}`}>
+                {t(f.label)}
+                {f.required ? " *" : ""}
+              </label>
+              {f.multiline ? (
+                <textarea
+                  id={`customer-${f.key}`}
+                  className="form-input"
+                  rows={2}
+                  value={draft[f.key] || ""}
+                  onChange={(e) => update(f.key, e.target.value)}
+                />
+              ) : (
+                <input
+                  id={`customer-${f.key}`}
+                  className="form-input"
+                  type={f.type || "text"}
+                  value={draft[f.key] || ""}
+                  onChange={(e) => update(f.key, e.target.value)}
+                  placeholder={f.placeholder ? t(f.placeholder) : ""}
+                />
+              )}
+              {f.printable ? (
+                <label className="customer-show">
+                  <input
+                    type="checkbox"
+                    checked={draft.show.includes(f.key)}
+                    onChange={(e) => toggleShow(f.key, e.target.checked)}
+                  />
+                  <span>{t("customer.show")}</span>
+                </label>
+              ) : (
+                <span className="field-note">{t("customer.internal")}</span>
+              )}
+            </div>
+          ))}
+          {error && <div className="form-warning form-grid-full">{error}</div>}
+          <div className="actions-row form-grid-full">
+            <button type="button" className="btn btn-primary" onClick={handleSave}>
+              {t("common.save")}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={() => setDraft(null)}>
+              {t("common.cancel")}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="actions-row">
+          <button type="button" className="btn btn-primary" onClick={() => setDraft(emptyCustomer())}>
+            {t("customer.add")}
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={handleExport} disabled={customers.length === 0}>
+            {t("customer.export")}
+          </button>
+          <label className="btn btn-secondary customer-import">
+            {t("customer.import")}
+            <input type="file" accept="application/json,.json" onChange={handleFile} hidden />
+          </label>
+        </div>
+      )}
+
+      {message && <p className="field-note">{message}</p>}
+      <p className="field-note">{t("customer.hint")}</p>
+    </details>
+  );
+}
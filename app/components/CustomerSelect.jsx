@@ -0,0 +1,25 @@
+"use client";
+
+import { NO_CUSTOMER, customerLabel } from "../lib/customers";
+import { t } from "../lib/i18n";
+
+// Customer picker. `filter` adds "all customers" (value "") and lists
+// "no customer" as NO_CUSTOMER; otherwise "" means no customer.
+export default function CustomerSelect({ id, customers, value, onChange, filter = false }) {
+  return (
+    <div className="form-field">
+      <label className="form-label" htmlFor={id}>
+        {t(filter ? "customer.filter" : "customer.assign")}
+      </label>
+      <select id={id} className="form-input" value={value || ""} onChange={(e) => onChange(e.target.value)}>
+        {filter && <option value="">{t("customer.all")}</option>}
+        <option value={filter ? NO_CUSTOMER : ""}>{t("customer.none")}</option>
+        {customers.map((c) => (
+          <option key={c.id} value={c.id}>
+            {customerLabel(c)}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+"use client";
+
+import { EXPORT_DPIS, EXPORT_FORMATS, EXPORT_SCALES, exportSize } from "../lib/export";
+import { t } from "../lib/i18n";
+
+const mm = (value) => String(Math.round(value * 10) / 10);
+
+// Format, resolution and printed size for sticker downloads (one entry or the
+// whole queue). The PDF and the printer always get the template's own bitmap.
+export default function ExportOptions({ template, value, onChange }) {
+  const update = (key, v) => onChange({ ...value, [key]: v });
+  const size = exportSize(template, value);
+  const png = value.format === "png";
+
+  return (
+    <div className="form-grid export-options">
+      <div className="form-field">
+        <label className="form-label" htmlFor="exportFormat">
+          {t("export.format")}
+        </label>
+        <select
+          id="exportFormat"
+          className="form-input"
+          value={value.format}
+          onChange={(e) => update("format", e.target.value)}
+        >
+          {EXPORT_FORMATS.map((f) => (
+            <option key={f.value} value={f.value}>
+              {t(f.label)}
+            </option>
+          ))}
+        </select>
+      </div>
+      {png && (
+        <div className="form-field">
+          <label className="form-label" htmlFor="exportDpi">
+            {t("export.dpi")}
+          </label>
+          <select
+            id="exportDpi"
+            className="form-input"
+            value={value.dpi ?? ""}
+            onChange={(e) => update("dpi", e.target.value ? Number(e.target.value) : null)}
+          >
+            <option value="">{t("export.dpi.template", { dpi: template.dpi })}</option>
+            {EXPORT_DPIS.map((dpi) => (
+              <option key={dpi} value={dpi}>
+                {dpi} dpi
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      <div className="form-field">
+        <label className="form-label" htmlFor="exportScale">
+          {t("export.size")}
+        </label>
+        <select
+          id="exportScale"
+          className="form-input"
+          value={value.scale}
+          onChange={(e) => update("scale", Number(e.target.value))}
+        >
+          {EXPORT_SCALES.map((scale) => (
+            <option key={scale} value={scale}>
+              {t("export.size.option", {
+                width: mm(template.widthMm * scale),
+                height: mm(template.heightMm * scale),
+                scale,
+              })}
+            </option>
+          ))}
+        </select>
+      </div>
+      <p className="field-note form-grid-full">
+        {png
+          ? t("export.summary.png", {
+              width: size.widthPx,
+              height: size.heightPx,
+              dpi: Math.round(size.dpi),
+            })
+          : t("export.summary.svg")}
+      </p>
+    </div>
+  );
+}
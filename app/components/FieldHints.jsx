@@ -0,0 +1,22 @@
+"use client";
+
+// Inline messages under a form input: the blocking error, readability
+// warnings and an optional neutral note (e.g. a byte counter).
+export default function FieldHints({ error, warnings = [], note }) {
+  if (!error && warnings.length === 0 && !note) return null;
+  return (
+    <div className="field-hints">
+      {error && (
+        <div className="field-error" role="alert">
+          {error}
+        </div>
+      )}
+      {warnings.map((w) => (
+        <div key={w} className="field-warning">
+          {w}
+        </div>
+      ))}
+      {note && <div className="field-note">{note}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+"use client";
+
+import { GROUP_MAX_NETWORKS, GROUP_MIN_NETWORKS, emptyGroupNetwork } from "../lib/group";
+import { t } from "../lib/i18n";
+import { SECURITY_TYPES, readabilityWarnings, resolveSecurity } from "../lib/wifi";
+import FieldHints from "./FieldHints";
+
+// One row of WiFi fields per network of a group entry (dual-band, mesh, guest).
+export default function GroupFields({ values, onChange, idPrefix = "group" }) {
+  const networks = values?.networks || [];
+
+  const setNetworks = (next) => onChange({ ...values, networks: next });
+  const update = (index, patch) => setNetworks(networks.map((n, i) => (i === index ? { ...n, ...patch } : n)));
+
+  return (
+    <div className="form-field form-grid-full group-fields">
+      {networks.map((network, i) => {
+        const id = `${idPrefix}-${i}`;
+        const open = resolveSecurity(network) === "open";
+        return (
+          <fieldset key={i} className="group-network">
+            <legend>{t("group.network", { n: i + 1 })}</legend>
+            <div className="form-grid">
+              <div className="form-field">
+                <label className="form-label" htmlFor={`${id}-ssid`}>
+                  {t("form.ssid")} *
+                </label>
+                <input
+                  id={`${id}-ssid`}
+                  className="form-input"
+                  value={network.ssid}
+                  onChange={(e) => update(i, { ssid: e.target.value })}
+                  placeholder={t("form.ssidPlaceholder")}
+                />
+                <FieldHints warnings={readabilityWarnings(network.ssid)} />
+              </div>
+              <div className="form-field">
+                <label className="form-label" htmlFor={`${id}-band`}>
+                  {t("form.networkType")}
+                </label>
+                <select
+                  id={`${id}-band`}
+                  className="form-input"
+                  value={network.networkType}
+                  onChange={(e) => update(i, { networkType: e.target.value })}
+                >
+                  <option value="2.4">2.4</option>
+                  <option value="5.0">5.0</option>
+                </select>
+              </div>
+              <div className="form-field">
+                <label className="form-label" htmlFor={`${id}-password`}>
+                  {t("form.password")}
+                </label>
+                <input
+                  id={`${id}-password`}
+                  className="form-input"
+                  value={open ? "" : network.password}
+                  onChange={(e) => update(i, { password: e.target.value })}
+                  placeholder={open ? t("form.noPassword") : t("form.password")}
+                  disabled={open}
+                />
+              </div>
+              <div className="form-field">
+                <label className="form-label" htmlFor={`${id}-security`}>
+                  {t("form.security")}
+                </label>
+                <select
+                  id={`${id}-security`}
+                  className="form-input"
+                  value={resolveSecurity(network)}
+                  onChange={(e) => update(i, { security: e.target.value })}
+                >
+                  {SECURITY_TYPES.map((type) => (
+                    <option key={type.value} value={type.value}>
+                      {t(type.label)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-field">
+                <label className="form-label" htmlFor={`${id}-label`}>
+                  {t("group.label")}
+                </label>
+                <input
+                  id={`${id}-label`}
+                  className="form-input"
+                  value={network.label || ""}
+                  onChange={(e) => update(i, { label: e.target.value })}
+                  placeholder={t("group.labelPlaceholder")}
+                />
+              </div>
+              <div className="form-field ot-checkbox-group">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={Boolean(network.hidden)}
+                    onChange={(e) => update(i, { hidden: e.target.checked })}
+                  />
+                  <span>{t("form.hidden")}</span>
+                </label>
+              </div>
+            </div>
+            {networks.length > GROUP_MIN_NETWORKS && (
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => setNetworks(networks.filter((_, j) => j !== i))}
+              >
+                {t("group.removeNetwork")}
+              </button>
+            )}
+          </fieldset>
+        );
+      })}
+      {networks.length < GROUP_MAX_NETWORKS && (
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={() => setNetworks([...networks, emptyGroupNetwork()])}
+        >
+          {t("group.addNetwork")}
+        </button>
+      )}
+      <p className="field-note">{t("group.hint")}</p>
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { customerLabel, findCustomer, matchesCustomer } from "../lib/customers";
+import { isGroupEntry, networkHeading } from "../lib/group";
+import { getLocale, getLocaleInfo, t } from "../lib/i18n";
+import { entryTitle, generateContent, getContentType, isWifiEntry, needsPassword } from "../lib/payloads";
+import { getSecurityType, resolveSecurity } from "../lib/wifi";
+import CustomerSelect from "./CustomerSelect";
+
+const formatDate = (iso) => {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return d.toLocaleDateString(getLocaleInfo(getLocale()).dateLocale, { year: "numeric", month: "short", day: "2-digit" });
+};
+
+export default function HistoryPanel({ history, customers = [], storePasswords, onStorePasswordsChange, onUse, onDelete, onClear }) {
+  const [query, setQuery] = useState("");
+  const [customerFilter, setCustomerFilter] = useState("");
+  const [revealed, setRevealed] = useState(() => new Set());
+
+  const filtered = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    const byCustomer = history.filter((e) => matchesCustomer(e, customerFilter));
+    if (!q) return byCustomer;
+    return byCustomer.filter((e) => `${entryTitle(e)} ${e.networkType || ""}`.toLowerCase().includes(q));
+  }, [history, query, customerFilter]);
+
+  const toggleReveal = (id) => {
+    setRevealed((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const handleClear = () => {
+    if (!window.confirm(t("history.confirmClear"))) return;
+    onClear();
+  };
+
+  return (
+    <div className="print-summary no-print history-panel">
+      <p>
+        <strong>{t("history.title")}</strong> {history.length}
+      </p>
+
+      <div className="ot-checkbox-group">
+        <label>
+          <input
+            type="checkbox"
+            checked={storePasswords}
+            onChange={(e) => onStorePasswordsChange(e.target.checked)}
+          />
+          <span>{t("history.storePasswords")}</span>
+        </label>
+      </div>
+
+      {history.length > 0 && (
+        <>
+          <div className="actions-row">
+            <input
+              className="form-input"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder={t("history.search")}
+              aria-label={t("history.searchLabel")}
+            />
+            <button type="button" className="btn btn-secondary" onClick={handleClear}>
+              {t("history.clear")}
+            </button>
+          </div>
+
+          {customers.length > 0 && (
+            <div className="form-grid">
+              <CustomerSelect
+                id="historyFilter"
+                customers={customers}
+                value={customerFilter}
+                onChange={setCustomerFilter}
+                filter
+              />
+            </div>
+          )}
+
+          <div className="qr-list">
+            {filtered.map((entry) => {
+              const shown = revealed.has(entry.id);
+              return (
+                <div key={entry.id} className="qr-list-item">
+                  <div className="qr-list-text">
+                    {isWifiEntry(entry) ? (
+                      <>
+                        <div>
+                          <strong>SSID:</strong> {entry.ssid}
+                        </div>
+                        <div>
+                          <strong>{t("queue.network")}</strong> {entry.networkType} ·{" "}
+                          {t(getSecurityType(resolveSecurity(entry)).label)}
+                          {entry.isOpen ? "" : " | "}
+                          {entry.isOpen ? "" : (
+                            <>
+                              <strong>{t("queue.pass")}</strong>{" "}
+                              {!entry.password ? t("history.notStored") : shown ? entry.password : "••••••••"}
+                            </>
+                          )}
+                        </div>
+                      </>
+                    ) : (
+                      <>
+                        <div>
+                          <strong>{t(getContentType(entry.kind).label)}:</strong> {entryTitle(entry)}
+                        </div>
+                        <div className="qr-list-value">
+                          {isGroupEntry(entry)
+                            ? entry.networks.map((n) => `${n.ssid} (${networkHeading(n)})`).join(" · ")
+                            : generateContent(entry)}
+                        </div>
+                      </>
+                    )}
+                    {findCustomer(customers, entry.customerId) && (
+                      <div className="qr-list-customer">
+                        {t("customer.label")} {customerLabel(findCustomer(customers, entry.customerId))}
+                      </div>
+                    )}
+                    <div className="history-date">{formatDate(entry.createdAt)}</div>
+                  </div>
+                  <div className="qr-list-actions">
+                    {isWifiEntry(entry) && !entry.isOpen && entry.password && (
+                      <button type="button" className="btn btn-secondary" onClick={() => toggleReveal(entry.id)}>
+                        {shown ? t("history.hide") : t("history.show")}
+                      </button>
+                    )}
+                    <button type="button" className="btn btn-primary" onClick={() => onUse(entry)}>
+                      {needsPassword(entry) ? t("history.retype") : t("history.reprint")}
+                    </button>
+                    <button type="button" className="btn btn-secondary" onClick={() => onDelete(entry.id)}>
+                      {t("common.remove")}
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+            {filtered.length === 0 && <div className="history-empty">{t("history.empty")}</div>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,188 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { IMPORT_FIELDS, buildImportRows, guessMapping, looksLikeHeader, markImportDuplicates, parseDelimited } from "../lib/csv";
+import { t } from "../lib/i18n";
+
+// `queue` is checked for duplicates: rows matching a queued entry (or an earlier
+// row) are left out unless the user ticks "import duplicates too".
+export default function ImportPanel({ queue = [], onImport }) {
+  const [text, setText] = useState("");
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState(null);
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+  const [message, setMessage] = useState("");
+
+  const rows = useMemo(() => parseDelimited(text), [text]);
+  const header = hasHeader && rows.length > 0 ? rows[0] : null;
+  const dataRows = useMemo(() => (hasHeader ? rows.slice(1) : rows), [rows, hasHeader]);
+  const columnCount = rows.reduce((max, r) => Math.max(max, r.length), 0);
+
+  const activeMapping = useMemo(
+    () => mapping || guessMapping(header || Array.from({ length: columnCount }, () => "")),
+    [mapping, header, columnCount]
+  );
+
+  const preview = useMemo(
+    () => markImportDuplicates(buildImportRows(dataRows, activeMapping), queue),
+    [dataRows, activeMapping, queue]
+  );
+  const duplicateCount = preview.filter((r) => r.duplicate).length;
+  const validRows = preview.filter((r) => r.entry && (includeDuplicates || !r.duplicate));
+
+  const loadText = (value) => {
+    const parsed = parseDelimited(value);
+    setText(value);
+    setHasHeader(parsed.length > 0 && looksLikeHeader(parsed[0]));
+    setMapping(null);
+    setIncludeDuplicates(false);
+    setMessage("");
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      loadText(await file.text());
+    } catch {
+      setMessage(t("import.readFailed"));
+    }
+  };
+
+  const handleImport = () => {
+    if (validRows.length === 0) return;
+    onImport(validRows.map((r) => r.entry));
+    setMessage(t("import.added", { count: validRows.length }));
+    setText("");
+    setMapping(null);
+  };
+
+  const rowStatus = (r) => {
+    if (r.error) return r.error;
+    if (r.duplicate?.position) return t("import.duplicateQueue", { position: r.duplicate.position });
+    if (r.duplicate) return t("import.duplicateRow", { row: r.duplicate.row });
+    return r.entry.isOpen ? t("import.okOpen") : "OK";
+  };
+
+  const columnLabel = (i) => (header && header[i] ? header[i] : t("import.column", { n: i + 1 }));
+
+  return (
+    <details className="print-summary no-print import-panel">
+      <summary>
+        <strong>{t("import.title")}</strong>
+      </summary>
+
+      <div className="form-grid">
+        <div className="form-field form-grid-full">
+          <label className="form-label" htmlFor="importFile">
+            {t("import.file")}
+          </label>
+          <input id="importFile" type="file" accept=".csv,.tsv,.txt,text/csv" onChange={handleFile} />
+        </div>
+
+        <div className="form-field form-grid-full">
+          <label className="form-label" htmlFor="importText">
+            {t("import.paste")}
+          </label>
+          <textarea
+            id="importText"
+            className="form-input import-textarea"
+            rows={5}
+            value={text}
+            onChange={(e) => loadText(e.target.value)}
+            placeholder={t("import.pastePlaceholder")}
+          />
+        </div>
+
+        {rows.length > 0 && (
+          <>
+            <div className="form-grid-full ot-checkbox-group">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={hasHeader}
+                  onChange={(e) => {
+                    setHasHeader(e.target.checked);
+                    setMapping(null);
+                  }}
+                />
+                <span>{t("import.hasHeader")}</span>
+              </label>
+            </div>
+
+            {IMPORT_FIELDS.map((field) => (
+              <div key={field.key} className="form-field">
+                <label className="form-label" htmlFor={`map-${field.key}`}>
+                  {t(field.label)}
+                </label>
+                <select
+                  id={`map-${field.key}`}
+                  className="form-input"
+                  value={activeMapping[field.key]}
+                  onChange={(e) => setMapping({ ...activeMapping, [field.key]: Number(e.target.value) })}
+                >
+                  <option value={-1}>{t("import.unused")}</option>
+                  {Array.from({ length: columnCount }, (_, i) => (
+                    <option key={i} value={i}>
+                      {columnLabel(i)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+
+            <div className="form-grid-full import-preview">
+              <table>
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>{t("import.field.ssid")}</th>
+                    <th>{t("import.field.networkType")}</th>
+                    <th>{t("import.status")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.map((r) => (
+                    <tr key={r.index} className={r.error ? "import-row-error" : r.duplicate ? "import-row-duplicate" : ""}>
+                      <td>{r.index + 1}</td>
+                      <td>{r.entry?.ssid ?? (activeMapping.ssid >= 0 ? r.cells[activeMapping.ssid] : "")}</td>
+                      <td>{r.entry?.networkType ?? ""}</td>
+                      <td>{rowStatus(r)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {duplicateCount > 0 && (
+              <div className="form-grid-full ot-checkbox-group">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={includeDuplicates}
+                    onChange={(e) => setIncludeDuplicates(e.target.checked)}
+                  />
+                  <span>{t("import.includeDuplicates", { count: duplicateCount })}</span>
+                </label>
+              </div>
+            )}
+
+            <div className="form-grid-full">
+              <button
+                type="button"
+                className="form-button"
+                onClick={handleImport}
+                disabled={validRows.length === 0}
+              >
+                {t("import.submit", { valid: validRows.length, total: preview.length })}
+              </button>
+            </div>
+          </>
+        )}
+
+        {message && <div className="form-grid-full import-message">{message}</div>}
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,239 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { t } from "../lib/i18n";
+import { DEFAULT_LOGO_OPTIONS, LOGO_MODES, makeLogoId, processLogo, validateLogoFile } from "../lib/logo";
+import { LOGO_ASSETS } from "../lib/templates";
+
+const readAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+// Upload (or pick a bundled logo), trim its margins, convert it to 1-bit ink
+// and save it for the template logo selects. `onSave` returns an error message
+// when the logo could not be stored.
+export default function LogoPanel({ logos, onSave, onDelete }) {
+  const [source, setSource] = useState(null);
+  const [name, setName] = useState("");
+  const [options, setOptions] = useState(DEFAULT_LOGO_OPTIONS);
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    if (!source) {
+      setResult(null);
+      return undefined;
+    }
+    let cancelled = false;
+    setBusy(true);
+    // Debounced so dragging the threshold slider does not queue a run per step.
+    const timer = setTimeout(async () => {
+      try {
+        const processed = await processLogo(source, options);
+        if (!cancelled) {
+          setResult(processed);
+          setMessage("");
+        }
+      } catch {
+        if (!cancelled) {
+          setResult(null);
+          setMessage(t("logo.error.process"));
+        }
+      } finally {
+        if (!cancelled) setBusy(false);
+      }
+    }, 150);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [source, options]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const problem = validateLogoFile(file);
+    if (problem) {
+      setMessage(problem);
+      return;
+    }
+    try {
+      setSource(await readAsDataUrl(file));
+      setName(file.name.replace(/\.[^.]+$/, ""));
+    } catch {
+      setMessage(t("logo.error.read"));
+    }
+  };
+
+  const handleAsset = (value) => {
+    if (!value) return;
+    setSource(value);
+    setName(t(LOGO_ASSETS.find((a) => a.value === value)?.label || "logo.untitled"));
+  };
+
+  const updateOptions = (patch) => setOptions((prev) => ({ ...prev, ...patch }));
+
+  const handleSave = () => {
+    if (!result) return;
+    const problem = onSave({
+      id: makeLogoId(),
+      name: name.trim() || t("logo.untitled"),
+      dataUrl: result.dataUrl,
+      width: result.width,
+      height: result.height,
+    });
+    if (problem) {
+      setMessage(problem);
+      return;
+    }
+    setMessage(t("logo.saved"));
+    setSource(null);
+    setName("");
+  };
+
+  return (
+    <details className="print-summary no-print logo-panel">
+      <summary>
+        <strong>{t("logo.title")}</strong>
+      </summary>
+
+      <div className="form-grid">
+        <div className="form-field">
+          <label className="form-label" htmlFor="logoFile">
+            {t("logo.upload")}
+          </label>
+          <input id="logoFile" type="file" accept="image/*" onChange={handleFile} />
+        </div>
+        <div className="form-field">
+          <label className="form-label" htmlFor="logoAsset">
+            {t("logo.fromAsset")}
+          </label>
+          <select id="logoAsset" className="form-input" value="" onChange={(e) => handleAsset(e.target.value)}>
+            <option value="">{t("logo.pickAsset")}</option>
+            {LOGO_ASSETS.map((a) => (
+              <option key={a.value} value={a.value}>
+                {t(a.label)}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {source && (
+          <>
+            <div className="form-field ot-checkbox-group">
+              <label>
+                <input type="checkbox" checked={options.trim} onChange={(e) => updateOptions({ trim: e.target.checked })} />
+                <span>{t("logo.trim")}</span>
+              </label>
+            </div>
+            <div className="form-field ot-checkbox-group">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={options.invert}
+                  onChange={(e) => updateOptions({ invert: e.target.checked })}
+                />
+                <span>{t("logo.invert")}</span>
+              </label>
+            </div>
+            <div className="form-field">
+              <label className="form-label" htmlFor="logoMode">
+                {t("logo.mode")}
+              </label>
+              <select
+                id="logoMode"
+                className="form-input"
+                value={options.mode}
+                onChange={(e) => updateOptions({ mode: e.target.value })}
+              >
+                {LOGO_MODES.map((m) => (
+                  <option key={m.value} value={m.value}>
+                    {t(m.label)}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="form-field">
+              <label className="form-label" htmlFor="logoThreshold">
+                {t("logo.threshold", { value: options.threshold })}
+              </label>
+              <input
+                id="logoThreshold"
+                type="range"
+                min={32}
+                max={224}
+                value={options.threshold}
+                onChange={(e) => updateOptions({ threshold: Number(e.target.value) })}
+              />
+            </div>
+
+            <div className="form-field form-grid-full logo-compare">
+              <figure>
+                <img src={source} alt={t("logo.original")} />
+                <figcaption>{t("logo.original")}</figcaption>
+              </figure>
+              <figure>
+                {result && <img src={result.dataUrl} alt={t("logo.processed")} style={{ opacity: busy ? 0.6 : 1 }} />}
+                <figcaption>
+                  {result
+                    ? t("logo.size", {
+                        w: result.width,
+                        h: result.height,
+                        sw: result.source.w,
+                        sh: result.source.h,
+                      })
+                    : t("logo.processed")}
+                </figcaption>
+              </figure>
+            </div>
+
+            <div className="form-field">
+              <label className="form-label" htmlFor="logoName">
+                {t("logo.name")}
+              </label>
+              <input id="logoName" className="form-input" value={name} onChange={(e) => setName(e.target.value)} />
+            </div>
+            <div className="actions-row">
+              <button type="button" className="btn btn-primary" onClick={handleSave} disabled={!result || busy}>
+                {t("logo.save")}
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={() => setSource(null)}>
+                {t("common.cancel")}
+              </button>
+            </div>
+          </>
+        )}
+
+        {message && <div className="form-warning form-grid-full">{message}</div>}
+
+        {logos.length > 0 && (
+          <div className="form-field form-grid-full">
+            <span className="form-label">{t("logo.list")}</span>
+            <div className="qr-list">
+              {logos.map((logo) => (
+                <div key={logo.id} className="qr-list-item logo-item">
+                  <img src={logo.dataUrl} alt={logo.name} />
+                  <div className="qr-list-text">
+                    <strong>{logo.name}</strong> · {logo.width}×{logo.height}px
+                  </div>
+                  <div className="qr-list-actions">
+                    <button type="button" className="btn btn-secondary" onClick={() => onDelete(logo.id)}>
+                      {t("common.remove")}
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <p className="field-note">{t("logo.hint")}</p>
+          </div>
+        )}
+      </div>
+    </details>
+  );
+}
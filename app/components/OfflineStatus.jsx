@@ -0,0 +1,45 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { t } from "../lib/i18n";
+import { applyUpdate, registerServiceWorker } from "../lib/offline";
+
+// Connection and app-version notices: working offline, cached for offline
+// use, and a new version waiting to be applied.
+export default function OfflineStatus() {
+  const [online, setOnline] = useState(true);
+  const [ready, setReady] = useState(false);
+  const [update, setUpdate] = useState(null);
+
+  useEffect(() => {
+    const sync = () => setOnline(navigator.onLine);
+    sync();
+    window.addEventListener("online", sync);
+    window.addEventListener("offline", sync);
+    const unregister = registerServiceWorker({ onReady: () => setReady(true), onUpdate: setUpdate });
+    return () => {
+      window.removeEventListener("online", sync);
+      window.removeEventListener("offline", sync);
+      unregister();
+    };
+  }, []);
+
+  if (online && !ready && !update) return null;
+  return (
+    <div className="offline-status no-print" role="status">
+      {!online && <p className="offline-note">{t("offline.offline")}</p>}
+      {ready && !update && <p className="field-note">{t("offline.ready")}</p>}
+      {update && (
+        <div className="offline-update">
+          <span>{t("offline.update")}</span>
+          <button type="button" className="btn btn-primary" onClick={() => applyUpdate(update)}>
+            {t("offline.reload")}
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={() => setUpdate(null)}>
+            {t("offline.later")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+"use client";
+
+import { t } from "../lib/i18n";
+import { PASSWORD_MODES, generatePassword, passwordStrength, passwordWarnings } from "../lib/password";
+
+const CHARSETS = [
+  { key: "lower", label: "password.charset.lower" },
+  { key: "upper", label: "password.charset.upper" },
+  { key: "digits", label: "password.charset.digits" },
+  { key: "symbols", label: "password.charset.symbols" },
+];
+
+export default function PasswordTools({ value, security, policy, onPolicyChange, onGenerate, disabled }) {
+  const strength = passwordStrength(value);
+  const warnings = passwordWarnings(value, security);
+
+  // WEP only takes 5 or 13 ASCII characters; use the longer key.
+  const handleGenerate = () =>
+    onGenerate(generatePassword(security === "wep" ? { ...policy, mode: "random", length: 13 } : policy));
+
+  return (
+    <div className="password-tools">
+      <div className="password-tools-row">
+        <button type="button" className="btn btn-secondary" onClick={handleGenerate} disabled={disabled}>
+          {t("password.generate")}
+        </button>
+        {value && !disabled && (
+          <span className={`password-strength password-strength-${strength.score}`}>
+            <span className="password-strength-bar">
+              <span style={{ width: `${((strength.score + 1) / 5) * 100}%` }} />
+            </span>
+            {strength.label} · ~{strength.bits} bits
+          </span>
+        )}
+      </div>
+
+      <details className="password-policy">
+        <summary>{t("password.options")}</summary>
+        <div className="form-grid">
+          <div className="form-field">
+            <label className="form-label" htmlFor="pw-mode">
+              {t("password.mode")}
+            </label>
+            <select
+              id="pw-mode"
+              className="form-input"
+              value={policy.mode}
+              onChange={(e) => onPolicyChange({ mode: e.target.value })}
+            >
+              {PASSWORD_MODES.map((m) => (
+                <option key={m.value} value={m.value}>
+                  {t(m.label)}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="form-field">
+            <label className="form-label" htmlFor="pw-length">
+              {t("password.length")}
+            </label>
+            <input
+              id="pw-length"
+              className="form-input"
+              type="number"
+              min={8}
+              max={63}
+              value={policy.length}
+              onChange={(e) => onPolicyChange({ length: e.target.value })}
+            />
+          </div>
+          <div className="form-field form-grid-full ot-checkbox-group password-policy-sets">
+            {CHARSETS.map((c) => (
+              <label key={c.key}>
+                <input
+                  type="checkbox"
+                  checked={Boolean(policy[c.key])}
+                  onChange={(e) => onPolicyChange({ [c.key]: e.target.checked })}
+                  disabled={policy.mode !== "random" && (c.key === "lower" || c.key === "symbols")}
+                />
+                <span>{t(c.label)}</span>
+              </label>
+            ))}
+            <label>
+              <input
+                type="checkbox"
+                checked={Boolean(policy.avoidAmbiguous)}
+                onChange={(e) => onPolicyChange({ avoidAmbiguous: e.target.checked })}
+              />
+              <span>{t("password.avoidAmbiguous")}</span>
+            </label>
+          </div>
+        </div>
+      </details>
+
+      {!disabled && warnings.length > 0 && (
+        <ul className="form-warning password-warnings">
+          {warnings.map((w) => (
+            <li key={w}>{w}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,124 @@
+"use client";
+
+import { t } from "../lib/i18n";
+import { PRINTER_MODELS, getPrinterModel } from "../lib/niimbot";
+
+const CONNECTIONS = [
+  { value: "bluetooth", label: "printer.connection.bluetooth" },
+  { value: "usb", label: "printer.connection.usb" },
+  { value: "simulated", label: "printer.connection.simulated" },
+];
+
+export default function PrinterPanel({
+  settings,
+  onSettingsChange,
+  printer,
+  status,
+  onConnect,
+  onDisconnect,
+  onPrintAll,
+  canPrint,
+}) {
+  const model = getPrinterModel(settings.model);
+  const connected = Boolean(printer);
+
+  return (
+    <details className="print-summary no-print printer-panel">
+      <summary>
+        <strong>{t("printer.title")}</strong>
+        {connected && <span className="printer-connected"> · {printer.name}</span>}
+      </summary>
+
+      <div className="form-grid">
+        <div className="form-field">
+          <label className="form-label" htmlFor="printer-model">
+            {t("printer.model")}
+          </label>
+          <select
+            id="printer-model"
+            className="form-input"
+            value={model.value}
+            onChange={(e) => onSettingsChange({ model: e.target.value, density: getPrinterModel(e.target.value).density.default })}
+            disabled={connected}
+          >
+            {PRINTER_MODELS.map((m) => (
+              <option key={m.value} value={m.value}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-field">
+          <label className="form-label" htmlFor="printer-connection">
+            {t("printer.connection")}
+          </label>
+          <select
+            id="printer-connection"
+            className="form-input"
+            value={settings.connection}
+            onChange={(e) => onSettingsChange({ connection: e.target.value })}
+            disabled={connected}
+          >
+            {CONNECTIONS.map((c) => (
+              <option key={c.value} value={c.value}>
+                {t(c.label)}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-field">
+          <label className="form-label" htmlFor="printer-density">
+            {t("printer.density", { min: model.density.min, max: model.density.max })}
+          </label>
+          <input
+            id="printer-density"
+            className="form-input"
+            type="number"
+            min={model.density.min}
+            max={model.density.max}
+            value={settings.density}
+            onChange={(e) => onSettingsChange({ density: Number(e.target.value) || model.density.default })}
+          />
+        </div>
+
+        <div className="form-field">
+          <label className="form-label" htmlFor="printer-copies">
+            {t("printer.copies")}
+          </label>
+          <input
+            id="printer-copies"
+            className="form-input"
+            type="number"
+            min={1}
+            max={99}
+            value={settings.copies}
+            onChange={(e) => onSettingsChange({ copies: Math.max(1, Math.min(99, Number(e.target.value) || 1)) })}
+          />
+        </div>
+
+        {status?.message && (
+          <div className={`form-grid-full ${status.error ? "form-warning" : "printer-status"}`}>{status.message}</div>
+        )}
+
+        <div className="actions-row form-grid-full">
+          {connected ? (
+            <>
+              <button type="button" onClick={onPrintAll} className="btn btn-primary" disabled={!canPrint}>
+                {t("printer.printAll")}
+              </button>
+              <button type="button" onClick={onDisconnect} className="btn btn-secondary">
+                {t("printer.disconnect")}
+              </button>
+            </>
+          ) : (
+            <button type="button" onClick={onConnect} className="btn btn-primary">
+              {t("printer.connect")}
+            </button>
+          )}
+        </div>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,144 @@
+"use client";
+
+import { useState } from "react";
+import { LOCALES, resolveLocale, t } from "../lib/i18n";
+import { isWifiEntry, normalizeContent } from "../lib/payloads";
+import { SECURITY_TYPES, normalizeEntry, readabilityWarnings, resolveSecurity } from "../lib/wifi";
+import BrandSelect from "./BrandSelect";
+import ContentFields from "./ContentFields";
+import CustomerSelect from "./CustomerSelect";
+import FieldHints from "./FieldHints";
+
+export default function QueueItemEditor({ item, customers = [], brands = [], onSave, onCancel }) {
+  const isWifi = isWifiEntry(item);
+  const [values, setValues] = useState(() => (isWifi ? {} : { ...item }));
+  const [draft, setDraft] = useState(() => ({
+    ssid: item.ssid,
+    password: item.password || "",
+    security: resolveSecurity(item),
+    hidden: Boolean(item.hidden),
+    networkType: item.networkType,
+  }));
+  const [lang, setLang] = useState(() => resolveLocale(item.lang));
+  const [customerId, setCustomerId] = useState(item.customerId || "");
+  const [brandId, setBrandId] = useState(item.brandId || "");
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const update = (key, value) => setDraft((prev) => ({ ...prev, [key]: value }));
+
+  const handleSave = () => {
+    const { entry, error: entryError, errors } = isWifi ? normalizeEntry(draft) : normalizeContent(item.kind, values);
+    if (entryError) {
+      if (errors) setFieldErrors(errors);
+      else setError(entryError);
+      return;
+    }
+    setError("");
+    setFieldErrors({});
+    onSave({ ...entry, lang, ...(customerId ? { customerId } : {}), ...(brandId ? { brandId } : {}) });
+  };
+
+  const open = draft.security === "open";
+
+  const actions = (
+    <>
+      <div className="form-field">
+        <label className="form-label">{t("form.stickerLang")}</label>
+        <select className="form-input" value={lang} onChange={(e) => setLang(e.target.value)}>
+          {LOCALES.map((l) => (
+            <option key={l.value} value={l.value}>
+              {l.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <CustomerSelect id="edit-customer" customers={customers} value={customerId} onChange={setCustomerId} />
+      <BrandSelect id="edit-brand" brands={brands} value={brandId} onChange={setBrandId} />
+
+      {error && <div className="form-warning form-grid-full">{error}</div>}
+
+      <div className="actions-row form-grid-full">
+        <button type="button" className="btn btn-primary" onClick={handleSave}>
+          {t("common.save")}
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={onCancel}>
+          {t("common.cancel")}
+        </button>
+      </div>
+    </>
+  );
+
+  if (!isWifi) {
+    return (
+      <div className="qr-list-item qr-list-edit">
+        <div className="form-grid">
+          <ContentFields kind={item.kind} values={values} onChange={setValues} idPrefix="edit" />
+          {actions}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="qr-list-item qr-list-edit">
+      <div className="form-grid">
+        <div className="form-field">
+          <label className="form-label">{t("form.ssid")}</label>
+          <input
+            className="form-input"
+            value={draft.ssid}
+            onChange={(e) => update("ssid", e.target.value)}
+            aria-invalid={Boolean(fieldErrors.ssid)}
+          />
+          <FieldHints error={fieldErrors.ssid} warnings={readabilityWarnings(draft.ssid)} />
+        </div>
+        <div className="form-field">
+          <label className="form-label">{t("form.networkType")}</label>
+          <select
+            className="form-input"
+            value={draft.networkType}
+            onChange={(e) => update("networkType", e.target.value)}
+          >
+            {!["2.4", "5.0"].includes(draft.networkType) && (
+              <option value={draft.networkType}>{draft.networkType}</option>
+            )}
+            <option value="2.4">2.4</option>
+            <option value="5.0">5.0</option>
+          </select>
+        </div>
+        <div className="form-field form-grid-full">
+          <label className="form-label">{t("form.password")}</label>
+          <input
+            className="form-input"
+            value={open ? "" : draft.password}
+            onChange={(e) => update("password", e.target.value)}
+            placeholder={open ? t("form.noPassword") : t("form.password")}
+            disabled={open}
+            aria-invalid={Boolean(fieldErrors.password)}
+          />
+          <FieldHints error={open ? "" : fieldErrors.password} />
+        </div>
+        <div className="form-field">
+          <label className="form-label">{t("form.security")}</label>
+          <select className="form-input" value={draft.security} onChange={(e) => update("security", e.target.value)}>
+            {SECURITY_TYPES.map((type) => (
+              <option key={type.value} value={type.value}>
+                {t(type.label)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="form-field ot-checkbox-group">
+          <label>
+            <input type="checkbox" checked={draft.hidden} onChange={(e) => update("hidden", e.target.checked)} />
+            <span>{t("form.hidden")}</span>
+          </label>
+        </div>
+
+        {actions}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,187 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { t } from "../lib/i18n";
+import { decodeQrFrom, readScannedValue, scanImage } from "../lib/scan";
+import { getSecurityType } from "../lib/wifi";
+
+const readAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+// How often a camera frame is decoded; every animation frame is too heavy on phones.
+const CAMERA_SCAN_MS = 250;
+
+// Reads a WiFi QR from a photo or the camera (e.g. a customer's damaged sticker)
+// and hands the network to the form or the queue. `onAdd` returns an error
+// message when the network cannot be queued as is.
+export default function ScanPanel({ onLoad, onAdd }) {
+  const videoRef = useRef(null);
+  const [canUseCamera, setCanUseCamera] = useState(false);
+  const [camera, setCamera] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState(null);
+  const [message, setMessage] = useState("");
+
+  // Known only in the browser; checked after mount so the first render matches the server's.
+  useEffect(() => {
+    setCanUseCamera(Boolean(navigator.mediaDevices?.getUserMedia));
+  }, []);
+
+  useEffect(() => {
+    if (!camera) return undefined;
+    let stopped = false;
+    let stream = null;
+    let timer = null;
+
+    const scanFrame = () => {
+      if (stopped) return;
+      const video = videoRef.current;
+      const raw = video && video.readyState >= 2 ? decodeQrFrom(video, video.videoWidth, video.videoHeight) : null;
+      if (raw) {
+        setResult(readScannedValue(raw));
+        setCamera(false);
+        return;
+      }
+      timer = setTimeout(scanFrame, CAMERA_SCAN_MS);
+    };
+
+    (async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" } });
+        // Closed while the permission prompt was open: the cleanup already ran.
+        if (stopped) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        scanFrame();
+      } catch {
+        if (!stopped) {
+          setMessage(t("scan.error.camera"));
+          setCamera(false);
+        }
+      }
+    })();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, [camera]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setBusy(true);
+    setMessage("");
+    try {
+      setResult(await scanImage(await readAsDataUrl(file)));
+    } catch {
+      setResult(null);
+      setMessage(t("scan.error.image"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startCamera = () => {
+    setResult(null);
+    setMessage("");
+    setCamera(true);
+  };
+
+  const handleAdd = () => {
+    const problem = onAdd(result.network);
+    if (problem) {
+      setMessage(problem);
+      return;
+    }
+    setMessage(t("scan.added", { ssid: result.network.ssid }));
+    setResult(null);
+  };
+
+  const handleLoad = () => {
+    onLoad(result.network);
+    setMessage(t("scan.loaded", { ssid: result.network.ssid }));
+    setResult(null);
+  };
+
+  const network = result?.network;
+
+  return (
+    <details className="print-summary no-print scan-panel">
+      <summary>
+        <strong>{t("scan.title")}</strong>
+      </summary>
+
+      <div className="actions-row">
+        <label className="btn btn-secondary scan-file">
+          {busy ? t("scan.reading") : t("scan.fromImage")}
+          <input type="file" accept="image/*" capture="environment" onChange={handleFile} disabled={busy} hidden />
+        </label>
+        {canUseCamera &&
+          (camera ? (
+            <button type="button" className="btn btn-secondary" onClick={() => setCamera(false)}>
+              {t("scan.stopCamera")}
+            </button>
+          ) : (
+            <button type="button" className="btn btn-secondary" onClick={startCamera}>
+              {t("scan.camera")}
+            </button>
+          ))}
+      </div>
+
+      {camera && <video ref={videoRef} className="scan-video" muted playsInline />}
+
+      {result && (
+        <div className="qr-list-item scan-result">
+          <div className="qr-list-text">
+            {network ? (
+              <>
+                <div>
+                  <strong>SSID:</strong> {network.ssid}
+                  {network.hidden ? ` · ${t("queue.hidden")}` : ""}
+                </div>
+                <div>
+                  <strong>{t("form.security")}:</strong> {t(getSecurityType(network.security).label)}
+                  {network.security === "open" ? "" : " | "}
+                  {network.security === "open" ? "" : (
+                    <>
+                      <strong>{t("queue.pass")}</strong> {network.password}
+                    </>
+                  )}
+                </div>
+              </>
+            ) : (
+              <>
+                <div className="form-warning">{result.error}</div>
+                {result.raw && <div className="qr-list-value">{result.raw}</div>}
+              </>
+            )}
+          </div>
+          {network && (
+            <div className="qr-list-actions">
+              <button type="button" className="btn btn-secondary" onClick={handleLoad}>
+                {t("scan.loadForm")}
+              </button>
+              <button type="button" className="btn btn-primary" onClick={handleAdd}>
+                {t("scan.addQueue")}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {message && <p className="field-note">{message}</p>}
+      <p className="field-note">{t("scan.hint")}</p>
+    </details>
+  );
+}
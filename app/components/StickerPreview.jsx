@@ -0,0 +1,66 @@
+"use client";
+
+import { t } from "../lib/i18n";
+
+export const PREVIEW_ORIENTATIONS = [
+  { value: "label", label: "preview.orientation.label" },
+  { value: "file", label: "preview.orientation.file" },
+];
+
+// `urls` has one image per label the entry prints (several for a group split
+// into one label per network).
+export default function StickerPreview({ title, urls = [], metrics, verification, orientation, onOrientationChange, busy, error }) {
+  const warnings = [];
+  if (urls.length > 1) warnings.push(t("preview.groupSplit", { count: urls.length }));
+  if (metrics?.passOverflow) warnings.push(t("preview.passOverflow"));
+  else if (metrics?.passShrunk) warnings.push(t("preview.passShrunk", { px: metrics.passPx }));
+  if (metrics?.ssidOverflow) warnings.push(t("preview.ssidOverflow"));
+  if (metrics && metrics.qrSize > 0 && metrics.qrSize < metrics.qrMaxPx) {
+    warnings.push(t("preview.qrShrunk", { px: metrics.qrSize }));
+  }
+  if (metrics?.overflow) warnings.push(t("preview.overflow"));
+  if (verification) warnings.push(...verification.messages);
+
+  return (
+    <div className="print-summary no-print sticker-preview">
+      <div className="sticker-preview-header">
+        <strong>
+          {t("preview.title")}
+          {title ? `: ${title}` : ""}
+        </strong>
+        <select
+          className="form-input"
+          value={orientation}
+          onChange={(e) => onOrientationChange(e.target.value)}
+          aria-label={t("preview.orientation")}
+        >
+          {PREVIEW_ORIENTATIONS.map((o) => (
+            <option key={o.value} value={o.value}>
+              {t(o.label)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className={`sticker-preview-frame sticker-preview-${orientation}`}>
+        {urls.length > 0 ? (
+          urls.map((url) => <img key={url} src={url} alt={t("preview.alt")} style={{ opacity: busy ? 0.6 : 1 }} />)
+        ) : (
+          <span className="sticker-preview-empty">{error || t("preview.empty")}</span>
+        )}
+      </div>
+
+      {verification?.ok && urls.length > 0 && (
+        <div className="verify-ok">{t("preview.verified", { mm: verification.moduleMm.toFixed(2) })}</div>
+      )}
+
+      {warnings.length > 0 && (
+        <ul className="form-warning sticker-preview-warnings">
+          {warnings.map((w) => (
+            <li key={w}>{w}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
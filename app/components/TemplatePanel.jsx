@@ -0,0 +1,347 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { t } from "../lib/i18n";
+import { QR_LEVELS, normalizeQrOptions, validateQrOptions } from "../lib/qr";
+import {
+  FONT_FAMILIES,
+  FOOTER_ASSETS,
+  LOGO_ASSETS,
+  STICKER_FIELDS,
+  getTemplateGeometry,
+  makeTemplateId,
+  normalizeTemplate,
+  templateLabel,
+  validateTemplateSize,
+} from "../lib/templates";
+
+export default function TemplatePanel({ templates, template, logos = [], onSelect, onCreate, onUpdate, onDelete }) {
+  // `template` is the raw (possibly half-typed) record; layout always uses the normalized one.
+  const normalized = normalizeTemplate(template);
+  const editable = !normalized.builtIn;
+  const { outW, outH } = getTemplateGeometry(normalized);
+  const sizeError = validateTemplateSize(normalized);
+
+  const [qrError, setQrError] = useState("");
+
+  useEffect(() => {
+    setQrError("");
+  }, [template.id]);
+
+  const update = (patch) => onUpdate({ ...template, ...patch });
+
+  // Combinations that would not scan are refused instead of saved.
+  const updateQr = (patch) => {
+    const next = normalizeQrOptions({ ...normalized.qr, ...patch });
+    const problem = validateQrOptions(next);
+    setQrError(problem);
+    if (!problem) update({ qr: next });
+  };
+
+  const handleDuplicate = () => {
+    onCreate({ ...normalized, id: makeTemplateId(), name: `${templateLabel(normalized)} ${t("template.copySuffix")}`, builtIn: false });
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(t("template.confirmDelete", { name: template.name }))) return;
+    onDelete(template.id);
+  };
+
+  const toggleField = (field, enabled) => {
+    update({ fields: enabled ? [...template.fields, field] : template.fields.filter((f) => f !== field) });
+  };
+
+  const moveField = (field, delta) => {
+    const fields = [...template.fields];
+    const i = fields.indexOf(field);
+    const j = i + delta;
+    if (i < 0 || j < 0 || j >= fields.length) return;
+    [fields[i], fields[j]] = [fields[j], fields[i]];
+    update({ fields });
+  };
+
+  // Bundled logos plus the ones processed in the logo panel; a template keeps
+  // its embedded logo even after that logo is deleted from the list.
+  const logoOptions = [
+    ...LOGO_ASSETS.map((a) => ({ value: a.value, label: t(a.label) })),
+    ...logos.map((l) => ({ value: l.dataUrl, label: l.name })),
+  ];
+  const withCurrent = (value) =>
+    value && !logoOptions.some((o) => o.value === value)
+      ? [...logoOptions, { value, label: t("template.asset.custom") }]
+      : logoOptions;
+
+  const orderedFields = [
+    ...template.fields.map((f) => STICKER_FIELDS.find((x) => x.value === f)),
+    ...STICKER_FIELDS.filter((f) => !template.fields.includes(f.value)),
+  ];
+
+  return (
+    <details className="print-summary no-print template-panel">
+      <summary>
+        <strong>{t("template.summary")}</strong> {templateLabel(normalized)}{" "}
+        <span className="template-size">
+          ({normalized.widthMm}×{normalized.heightMm}mm · {outW}×{outH}px)
+        </span>
+      </summary>
+
+      <div className="form-grid">
+        <div className="form-field form-grid-full">
+          <label className="form-label" htmlFor="templateId">
+            {t("template.select")}
+          </label>
+          <select id="templateId" className="form-input" value={template.id} onChange={(e) => onSelect(e.target.value)}>
+            {templates.map((tpl) => (
+              <option key={tpl.id} value={tpl.id}>
+                {templateLabel(tpl)}
+                {tpl.builtIn ? "" : ` ${t("template.custom")}`}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="actions-row form-grid-full">
+          <button type="button" className="btn btn-secondary" onClick={handleDuplicate}>
+            {editable ? t("template.duplicate") : t("template.duplicateToEdit")}
+          </button>
+          {editable && (
+            <button type="button" className="btn btn-secondary" onClick={handleDelete}>
+              {t("template.delete")}
+            </button>
+          )}
+        </div>
+
+        <fieldset className="form-grid-full template-fields" disabled={!editable}>
+          <div className="form-grid">
+            <div className="form-field form-grid-full">
+              <label className="form-label" htmlFor="tpl-name">
+                {t("template.name")}
+              </label>
+              <input
+                id="tpl-name"
+                className="form-input"
+                value={editable ? template.name : templateLabel(template)}
+                onChange={(e) => onUpdate({ ...template, name: e.target.value })}
+              />
+            </div>
+            {[
+              "widthMm",
+              "heightMm",
+              "dpi",
+              "textScale",
+            ].map((key) => (
+              <div key={key} className="form-field">
+                <label className="form-label" htmlFor={`tpl-${key}`}>
+                  {t(`template.${key}`)}
+                </label>
+                <input
+                  id={`tpl-${key}`}
+                  className="form-input"
+                  type="number"
+                  step={key === "textScale" ? 0.05 : 1}
+                  value={template[key]}
+                  onChange={(e) => update({ [key]: e.target.value })}
+                />
+              </div>
+            ))}
+            {sizeError && <div className="form-warning form-grid-full">{sizeError}</div>}
+            <div className="form-field form-grid-full ot-checkbox-group">
+              <label>
+                <input type="checkbox" checked={Boolean(template.rotate)} onChange={(e) => update({ rotate: e.target.checked })} />
+                <span>{t("template.rotate")}</span>
+              </label>
+            </div>
+            <div className="form-field">
+              <label className="form-label" htmlFor="tpl-font">
+                {t("template.font")}
+              </label>
+              <select
+                id="tpl-font"
+                className="form-input"
+                value={template.fontFamily}
+                onChange={(e) => update({ fontFamily: e.target.value })}
+              >
+                {FONT_FAMILIES.map((f) => (
+                  <option key={f.value} value={f.value}>
+                    {f.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="form-field">
+              <label className="form-label" htmlFor="tpl-logo">
+                {t("template.logo")}
+              </label>
+              <select
+                id="tpl-logo"
+                className="form-input"
+                value={template.logo}
+                onChange={(e) => update({ logo: e.target.value })}
+              >
+                {withCurrent(template.logo).map((o) => (
+                  <option key={o.value} value={o.value}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="form-field">
+              <label className="form-label" htmlFor="tpl-footer">
+                {t("template.footer")}
+              </label>
+              <select
+                id="tpl-footer"
+                className="form-input"
+                value={template.footer}
+                onChange={(e) => update({ footer: e.target.value })}
+              >
+                {FOOTER_ASSETS.map((a) => (
+                  <option key={a.value} value={a.value}>
+                    {t(a.label)}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-field form-grid-full">
+              <span className="form-label">{t("template.qr")}</span>
+            </div>
+            <div className="form-field">
+              <label className="form-label" htmlFor="tpl-qr-level">
+                {t("template.qrLevel")}
+              </label>
+              <select
+                id="tpl-qr-level"
+                className="form-input"
+                value={normalized.qr.level}
+                onChange={(e) => updateQr({ level: e.target.value })}
+              >
+                {QR_LEVELS.map((l) => (
+                  <option key={l.value} value={l.value}>
+                    {t(l.label)}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="form-field">
+              <label className="form-label" htmlFor="tpl-qr-margin">
+                {t("template.qrMargin")}
+              </label>
+              <input
+                id="tpl-qr-margin"
+                className="form-input"
+                type="number"
+                min={0}
+                max={10}
+                value={normalized.qr.margin}
+                onChange={(e) => updateQr({ margin: e.target.value })}
+              />
+            </div>
+            <div className="form-field">
+              <label className="form-label" htmlFor="tpl-qr-fg">
+                {t("template.qrFg")}
+              </label>
+              <input
+                id="tpl-qr-fg"
+                className="form-input"
+                type="color"
+                value={normalized.qr.fg}
+                onChange={(e) => updateQr({ fg: e.target.value })}
+              />
+            </div>
+            <div className="form-field">
+              <label className="form-label" htmlFor="tpl-qr-bg">
+                {t("template.qrBg")}
+              </label>
+              <input
+                id="tpl-qr-bg"
+                className="form-input"
+                type="color"
+                value={normalized.qr.bg}
+                onChange={(e) => updateQr({ bg: e.target.value })}
+              />
+            </div>
+            <div className="form-field">
+              <label className="form-label" htmlFor="tpl-qr-logo">
+                {t("template.qrLogo")}
+              </label>
+              <select
+                id="tpl-qr-logo"
+                className="form-input"
+                value={normalized.qr.logo || ""}
+                onChange={(e) => updateQr({ logo: e.target.value || null })}
+              >
+                <option value="">{t("template.qrNoLogo")}</option>
+                {withCurrent(normalized.qr.logo).map((o) => (
+                  <option key={o.value} value={o.value}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="form-field">
+              <label className="form-label" htmlFor="tpl-qr-logo-scale">
+                {t("template.qrLogoScale")}
+              </label>
+              <input
+                id="tpl-qr-logo-scale"
+                className="form-input"
+                type="number"
+                min={10}
+                max={30}
+                value={Math.round(normalized.qr.logoScale * 100)}
+                onChange={(e) => updateQr({ logoScale: Number(e.target.value) / 100 })}
+                disabled={!normalized.qr.logo}
+              />
+            </div>
+            {qrError && <div className="form-warning form-grid-full">{qrError}</div>}
+
+            <div className="form-field form-grid-full">
+              <span className="form-label">{t("template.fields")}</span>
+              <div className="template-field-list">
+                {orderedFields.map((f) => {
+                  const enabled = template.fields.includes(f.value);
+                  const index = template.fields.indexOf(f.value);
+                  return (
+                    <div key={f.value} className="template-field-row">
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={enabled}
+                          onChange={(e) => toggleField(f.value, e.target.checked)}
+                        />
+                        <span>{t(f.label)}</span>
+                      </label>
+                      {enabled && (
+                        <span className="qr-list-actions">
+                          <button
+                            type="button"
+                            className="btn btn-secondary"
+                            onClick={() => moveField(f.value, -1)}
+                            disabled={index === 0}
+                            aria-label={t("common.moveUp")}
+                          >
+                            ↑
+                          </button>
+                          <button
+                            type="button"
+                            className="btn btn-secondary"
+                            onClick={() => moveField(f.value, 1)}
+                            disabled={index === template.fields.length - 1}
+                            aria-label={t("common.moveDown")}
+                          >
+                            ↓
+                          </button>
+                        </span>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          </div>
+        </fieldset>
+      </div>
+    </details>
+  );
+}
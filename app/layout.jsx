@@ -1,13 +1,32 @@
+import { cookies, headers } from "next/headers";
+import { LOCALE_COOKIE, negotiateLocale, resolveLocale, translate } from "./lib/i18n";
 import './generar-qr.css';
 
-export const metadata = {
-  title: "QR Only",
-  description: "Generador de QR WiFi (proyecto aislado)",
+// The language picked in the page is stored in a cookie; first visits follow Accept-Language.
+const requestLocale = async () => {
+  const saved = (await cookies()).get(LOCALE_COOKIE)?.value;
+  if (saved) return resolveLocale(saved);
+  return negotiateLocale((await headers()).get("accept-language"));
 };
 
-export default function RootLayout({ children }) {
+export async function generateMetadata() {
+  const locale = await requestLocale();
+  return {
+    title: "QR Only",
+    description: translate(locale, "app.description"),
+    icons: { icon: "/icon.svg", apple: "/icon-192.png" },
+    appleWebApp: { capable: true, title: "QR Only" },
+  };
+}
+
+export const viewport = {
+  themeColor: "#0f172a",
+};
+
+export default async function RootLayout({ children }) {
+  const locale = await requestLocale();
   return (
-    <html lang="es">
+    <html lang={locale}>
       <body>
         {children}
       </body>
@@ -0,0 +1,153 @@
+import { createCanvas, loadImage } from "./canvas";
+import { DEFAULT_LOCALE, resolveLocale, t, translate } from "./i18n";
+import { boxNode, drawNode, fitImage, fitText, rectNode, rotatedNode, stackNode, textNode } from "./layout";
+
+// Output size for NIIMBOT B1 labels (50x30mm, horizontal). Aspect ratio must be 5:3.
+export const LABEL_OUT_PX = { w: 1000, h: 600 };
+
+// Texts printed on the sticker, taken from the catalog of the sticker's `lang`.
+const PRINTED_TEXTS = ["headline1", "headline2", "contactLabel"];
+
+export const attentionDefaults = (lang = DEFAULT_LOCALE) => ({
+  lang: resolveLocale(lang),
+  ...Object.fromEntries(PRINTED_TEXTS.map((key) => [key, translate(lang, `attention.${key}`)])),
+  phone: "(664) 954 6020",
+  countryCode: "52",
+  message: "",
+});
+
+// Switches the sticker language. Texts still at the old language's defaults
+// are replaced; anything the user typed is kept.
+export const changeAttentionLang = (config, lang) => {
+  const before = attentionDefaults(config?.lang);
+  const after = attentionDefaults(lang);
+  const texts = PRINTED_TEXTS.filter((key) => !config?.[key] || config[key] === before[key]);
+  return { ...config, lang: after.lang, ...Object.fromEntries(texts.map((key) => [key, after[key]])) };
+};
+
+const digitsOnly = (value) => String(value ?? "").replace(/\D/g, "");
+
+// wa.me expects the full international number, digits only.
+export const getWhatsAppNumber = ({ countryCode, phone } = {}) => {
+  const local = digitsOnly(phone);
+  const cc = digitsOnly(countryCode);
+  if (!local) return "";
+  return cc && !local.startsWith(cc) ? `${cc}${local}` : local;
+};
+
+export const validateAttention = (config) => {
+  const number = getWhatsAppNumber(config);
+  if (!number) return t("attention.error.phoneRequired");
+  if (number.length < 8 || number.length > 15) return t("attention.error.phoneLength");
+  if (!String(config?.headline1 || "").trim() && !String(config?.headline2 || "").trim()) {
+    return t("attention.error.headlineRequired");
+  }
+  return "";
+};
+
+export const buildWhatsAppUrl = (config) => {
+  const number = getWhatsAppNumber(config);
+  const message = String(config?.message || "").trim();
+  return `https://wa.me/${number}${message ? `?text=${encodeURIComponent(message)}` : ""}`;
+};
+
+// Two lines of vertical text fitted to `maxLen` (the label height), shrunk
+// further if the pair is thicker than `maxStackPx` (the band width).
+const verticalTwoLine = (ctx, { maxLen, t1, t2, weight = 900, startPx = 72, minPx = 42, lineGap = 18, maxStackPx }) => {
+  let t1Px = fitText(ctx, { text: t1, maxWidth: maxLen, weight, startPx, minPx }).sizePx;
+  let t2Px = fitText(ctx, { text: t2, maxWidth: maxLen, weight, startPx, minPx }).sizePx;
+
+  const floor = Math.max(18, minPx);
+  for (let i = 0; i < 60; i += 1) {
+    if (t1Px + lineGap + t2Px <= maxStackPx) break;
+    // Prefer shrinking the first line slightly ("Llámanos") to preserve the number.
+    if (t1Px > floor) t1Px -= 2;
+    if (t1Px + lineGap + t2Px <= maxStackPx) break;
+    if (t2Px > floor) t2Px -= 2;
+    if (t1Px <= floor && t2Px <= floor) break;
+  }
+
+  return rotatedNode(
+    stackNode(
+      [
+        textNode(t1, { weight, sizePx: t1Px, baseline: "middle" }),
+        textNode(t2, { weight, sizePx: t2Px, baseline: "middle" }),
+      ],
+      { gap: lineGap }
+    )
+  );
+};
+
+// Customer-service sticker: headline, WhatsApp QR and contact phone, as vertical
+// bands on a 50x30mm label. `qrDataUrl` is the QR for `buildWhatsAppUrl(config)`.
+export const renderAttentionSticker = async (config, qrDataUrl) => {
+  const { headline1, headline2, contactLabel, phone } = { ...attentionDefaults(config?.lang), ...config };
+  const labelW = LABEL_OUT_PX.w;
+  const labelH = LABEL_OUT_PX.h;
+  const padX = 30;
+  const padY = 40;
+  // Layout tuning for 50x30mm (1000x600px): keep bands readable without clipping.
+  const gapAttentionQr = 2;
+  const gapQrToSeparator = 8;
+  const separatorW = 2;
+  const gapSeparatorToContact = 10;
+  const attentionBandW = 260;
+
+  const canvas = createCanvas(labelW, labelH);
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return null;
+
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, labelW, labelH);
+  ctx.fillStyle = "#000000";
+
+  const qrImg = await loadImage(qrDataUrl);
+
+  const innerH = labelH - padY * 2;
+  const qrSize = innerH;
+  const contactBandW = Math.max(
+    120,
+    labelW -
+      padX * 2 -
+      attentionBandW -
+      qrSize -
+      gapAttentionQr -
+      gapQrToSeparator -
+      separatorW -
+      gapSeparatorToContact
+  );
+
+  // Bands left to right: headline, QR (turned like the text), separator, contact.
+  const bands = stackNode(
+    [
+      boxNode(
+        verticalTwoLine(ctx, {
+          maxLen: innerH,
+          t1: String(headline1 || ""),
+          t2: String(headline2 || ""),
+          maxStackPx: attentionBandW - 16,
+        }),
+        { w: attentionBandW, h: innerH }
+      ),
+      boxNode(rotatedNode(fitImage(qrImg, qrSize, qrSize, { smoothing: false })), { w: qrSize, h: qrSize }),
+      rectNode({ w: separatorW, h: innerH, alpha: 0.65 }),
+      // Contact is slightly smaller so the number never clips.
+      boxNode(
+        verticalTwoLine(ctx, {
+          maxLen: innerH,
+          t1: String(contactLabel || ""),
+          t2: String(phone || ""),
+          startPx: 62,
+          minPx: 30,
+          lineGap: 12,
+          maxStackPx: contactBandW - 10,
+        }),
+        { w: contactBandW, h: innerH }
+      ),
+    ],
+    { direction: "row", gaps: [gapAttentionQr, gapQrToSeparator, gapSeparatorToContact] }
+  );
+  drawNode(ctx, bands, padX, padY);
+
+  return canvas;
+};
@@ -0,0 +1,124 @@
+// Brand profiles for the ISP and its reseller partners: logo, footer icon,
+// support contact and accent colour. Queue and history entries point to a
+// profile by `brandId`; the profile's images replace the template's logo and
+// footer, and its support line prints where the template has the "support" field.
+
+import { t, translate } from "./i18n";
+
+export const BRAND_EXPORT_FORMAT = "qr-only-brands";
+
+// Ink for the band and support lines when the profile has no accent.
+export const DEFAULT_ACCENT = "#000000";
+
+const text = (value) => String(value ?? "").trim();
+
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+const PHONE_RE = /^\+?[0-9 ()-]*$/;
+
+// Images are kept as data URLs (or paths of the bundled assets), so a profile
+// renders the same after moving it to another browser.
+const isImageSource = (value) => /^data:image\//.test(value) || /^\/[^/]/.test(value);
+
+export const makeBrandId = () => `brand-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const emptyBrand = () => ({
+  name: "",
+  logo: "",
+  footer: "",
+  phone: "",
+  whatsapp: "",
+  accent: DEFAULT_ACCENT,
+  footerLine: "",
+});
+
+export const validateBrand = (b) => {
+  if (!text(b?.name)) return t("brand.error.nameRequired");
+  if (text(b?.accent) && !COLOR_RE.test(text(b.accent))) return t("brand.error.accent");
+  if (!PHONE_RE.test(text(b?.phone)) || !PHONE_RE.test(text(b?.whatsapp))) return t("brand.error.phone");
+  if ((text(b?.logo) && !isImageSource(text(b.logo))) || (text(b?.footer) && !isImageSource(text(b.footer)))) {
+    return t("brand.error.image");
+  }
+  return "";
+};
+
+// Trimmed profile with an id; an empty `logo` / `footer` keeps the template's.
+export const normalizeBrand = (b) => ({
+  id: text(b?.id) || makeBrandId(),
+  name: text(b?.name),
+  logo: text(b?.logo),
+  footer: text(b?.footer),
+  phone: text(b?.phone),
+  whatsapp: text(b?.whatsapp),
+  accent: COLOR_RE.test(text(b?.accent)) ? text(b.accent).toLowerCase() : DEFAULT_ACCENT,
+  footerLine: text(b?.footerLine),
+});
+
+// What the "support" sticker field prints, in the sticker's language: the
+// profile's own footer line, or its phone and WhatsApp (one part each, so the
+// renderer can stack them when they do not fit side by side).
+export const brandStickerParts = (brand, lang) => {
+  if (!brand) return [];
+  if (brand.footerLine) return [brand.footerLine];
+  return [
+    brand.phone && translate(lang, "sticker.brand.phone", { phone: brand.phone }),
+    brand.whatsapp && translate(lang, "sticker.brand.whatsapp", { phone: brand.whatsapp }),
+  ].filter(Boolean);
+};
+
+export const brandStickerText = (brand, lang) => brandStickerParts(brand, lang).join(" · ");
+
+export const findBrand = (brands, id) => (id ? brands.find((b) => b.id === id) || null : null);
+
+// The entry with its brand profile attached, as the sticker renderer reads it.
+export const withBrand = (item, brands) => {
+  const brand = findBrand(brands, item?.brandId);
+  return brand ? { ...item, brand } : item;
+};
+
+const readAsDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+// Bundled assets are fetched and inlined, so the file stands on its own.
+const embedImage = async (src) => {
+  if (!src || src.startsWith("data:")) return src;
+  const res = await fetch(src);
+  if (!res.ok) throw new Error(t("brand.error.embed", { src }));
+  return readAsDataUrl(await res.blob());
+};
+
+export const buildBrandExport = async (brands, { now = new Date() } = {}) => ({
+  format: BRAND_EXPORT_FORMAT,
+  version: 1,
+  exportedAt: now.toISOString(),
+  brands: await Promise.all(
+    brands.map(async (b) => ({ ...b, logo: await embedImage(b.logo), footer: await embedImage(b.footer) }))
+  ),
+});
+
+// Parses a bundle. Returns { brands, error }; invalid profiles are skipped.
+export const parseBrandExport = (raw) => {
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    return { brands: [], error: t("brand.error.importJson") };
+  }
+  if (!data || data.format !== BRAND_EXPORT_FORMAT || !Array.isArray(data.brands)) {
+    return { brands: [], error: t("brand.error.importFormat") };
+  }
+  const brands = data.brands.filter((b) => b && typeof b === "object" && !validateBrand(b)).map(normalizeBrand);
+  return { brands, error: "" };
+};
+
+// Imported profiles replace the ones with the same id and the rest are appended.
+export const mergeBrands = (current, incoming) => {
+  const byId = new Map(incoming.map((b) => [b.id, b]));
+  const kept = current.map((b) => byId.get(b.id) || b);
+  const known = new Set(current.map((b) => b.id));
+  return [...kept, ...incoming.filter((b) => !known.has(b.id))];
+};
@@ -0,0 +1,171 @@
+// Canvas helpers shared by the sticker renderers.
+
+import { t } from "./i18n";
+
+// The DOM backend is the default; the server swaps in a native canvas with
+// `setCanvasBackend` so both sides run the exact same drawing code.
+const domBackend = {
+  createCanvas: (w, h) => {
+    const c = document.createElement("canvas");
+    c.width = w;
+    c.height = h;
+    return c;
+  },
+  loadImage: (src) =>
+    new Promise((resolve, reject) => {
+      const img = new Image();
+      img.decoding = "async";
+      img.crossOrigin = "anonymous";
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error(t("canvas.error.loadImage", { src })));
+      img.src = src;
+    }),
+};
+
+let backend = domBackend;
+
+export const setCanvasBackend = (overrides) => {
+  backend = { ...domBackend, ...overrides };
+};
+
+export const createCanvas = (w, h) => backend.createCanvas(w, h);
+
+export const loadImage = (src) => backend.loadImage(src);
+
+// `create` makes the output surface (an SVG canvas keeps a vector label vector).
+export const rotateCanvas90CWTo = (srcCanvas, outW, outH, create = createCanvas) => {
+  const out = create(outW, outH);
+  const ctx = out.getContext("2d");
+  if (!ctx) return null;
+
+  // Map src (w x h) -> out (h x w) via 90° clockwise rotation.
+  ctx.translate(outW, 0);
+  ctx.rotate(Math.PI / 2);
+  ctx.drawImage(srcCanvas, 0, 0);
+  return out;
+};
+
+export const getBackgroundBoundsFromImage = (
+  img,
+  { alphaThreshold = 10, tolerance = 24, sampleSize = 12, lumaDelta = 10 } = {}
+) => {
+  const w = Math.max(1, Math.floor(img.naturalWidth || img.width || 1));
+  const h = Math.max(1, Math.floor(img.naturalHeight || img.height || 1));
+
+  const c = createCanvas(w, h);
+  const ctx = c.getContext("2d", { willReadFrequently: true });
+  if (!ctx) return { x: 0, y: 0, w, h };
+
+  ctx.clearRect(0, 0, w, h);
+  ctx.drawImage(img, 0, 0, w, h);
+
+  const read = (sx, sy, sw, sh) => {
+    try {
+      return ctx.getImageData(sx, sy, sw, sh);
+    } catch {
+      return null;
+    }
+  };
+
+  const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
+  const s = clamp(sampleSize, 1, Math.min(w, h));
+
+  // Estimate background from 4 corners.
+  const cornerRects = [
+    { x: 0, y: 0 },
+    { x: w - s, y: 0 },
+    { x: 0, y: h - s },
+    { x: w - s, y: h - s },
+  ];
+
+  let sumR = 0;
+  let sumG = 0;
+  let sumB = 0;
+  let count = 0;
+  for (const p of cornerRects) {
+    const id = read(p.x, p.y, s, s);
+    if (!id) continue;
+    const d = id.data;
+    for (let i = 0; i < d.length; i += 4) {
+      const a = d[i + 3];
+      if (a <= alphaThreshold) continue;
+      sumR += d[i];
+      sumG += d[i + 1];
+      sumB += d[i + 2];
+      count += 1;
+    }
+  }
+
+  // Fallback: if we couldn't sample, return full image.
+  if (count <= 0) return { x: 0, y: 0, w, h };
+
+  const bgR = sumR / count;
+  const bgG = sumG / count;
+  const bgB = sumB / count;
+  const bgL = 0.2126 * bgR + 0.7152 * bgG + 0.0722 * bgB;
+
+  const full = read(0, 0, w, h);
+  if (!full) return { x: 0, y: 0, w, h };
+  const data = full.data;
+
+  let minX = w;
+  let minY = h;
+  let maxX = -1;
+  let maxY = -1;
+
+  for (let y = 0; y < h; y += 1) {
+    const row = y * w * 4;
+    for (let x = 0; x < w; x += 1) {
+      const i = row + x * 4;
+      const r = data[i];
+      const g = data[i + 1];
+      const b = data[i + 2];
+      const a = data[i + 3];
+
+      if (a <= alphaThreshold) continue;
+      const dr = r - bgR;
+      const dg = g - bgG;
+      const db = b - bgB;
+      const dist = Math.sqrt(dr * dr + dg * dg + db * db);
+      const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+      // Treat pixels close to the background as empty margin.
+      // Also ignore "almost background" bright pixels even if compression noise pushes dist up.
+      if (dist <= tolerance && luma >= bgL - lumaDelta) continue;
+      if (luma >= bgL - Math.max(3, lumaDelta / 2) && dist <= tolerance * 2) continue;
+
+      if (x < minX) minX = x;
+      if (y < minY) minY = y;
+      if (x > maxX) maxX = x;
+      if (y > maxY) maxY = y;
+    }
+  }
+
+  if (maxX < minX || maxY < minY) return { x: 0, y: 0, w, h };
+  return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+};
+
+export const imageDataFromUrl = async (src) => {
+  const img = await loadImage(src);
+  const c = createCanvas(img.naturalWidth || img.width, img.naturalHeight || img.height);
+  const ctx = c.getContext("2d", { willReadFrequently: true });
+  if (!ctx) throw new Error(t("canvas.error.readImage"));
+  ctx.drawImage(img, 0, 0);
+  return ctx.getImageData(0, 0, c.width, c.height);
+};
+
+export const DEFAULT_FONT_FAMILY = "Arial, Helvetica, sans-serif";
+
+export const setFont = (ctx, { weight = 700, sizePx = 48, family = DEFAULT_FONT_FAMILY } = {}) => {
+  ctx.font = `${weight} ${sizePx}px ${family}`;
+};
+
+export const fitTextSize = (ctx, { text, maxWidth, weight = 800, startPx, minPx, family }) => {
+  let sizePx = startPx;
+  while (sizePx > minPx) {
+    setFont(ctx, { weight, sizePx, family });
+    if (ctx.measureText(text).width <= maxWidth) return sizePx;
+    sizePx -= 2;
+  }
+  return minPx;
+};
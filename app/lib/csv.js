@@ -0,0 +1,164 @@
+// CSV / TSV parsing for bulk-importing networks (files from the provisioning
+// team, or cells pasted from Excel / Google Sheets, which arrive tab-separated).
+
+import { t } from "./i18n";
+import { findDuplicateEntry } from "./payloads";
+import { SECURITY_TYPES, normalizeEntry } from "./wifi";
+
+// Picks the delimiter that appears most in the first line (outside quotes).
+export const detectDelimiter = (text) => {
+  const firstLine = String(text ?? "").split(/\r?\n/, 1)[0] || "";
+  const unquoted = firstLine.replace(/"[^"]*"/g, "");
+  const counts = ["\t", ";", ","].map((d) => ({ d, n: unquoted.split(d).length - 1 }));
+  counts.sort((a, b) => b.n - a.n);
+  return counts[0].n > 0 ? counts[0].d : ",";
+};
+
+// RFC 4180-style parser: quoted fields, doubled quotes, embedded newlines.
+export const parseDelimited = (text, delimiter = detectDelimiter(text)) => {
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+};
+
+// Fields an import column can be mapped to.
+export const IMPORT_FIELDS = [
+  { key: "ssid", label: "import.field.ssid", aliases: ["ssid", "red", "nombre", "network", "wifi", "nombre de red"] },
+  { key: "password", label: "import.field.password", aliases: ["password", "contraseña", "contrasena", "clave", "pass", "key"] },
+  { key: "networkType", label: "import.field.networkType", aliases: ["banda", "band", "tipo", "tipo de red", "frecuencia", "ghz"] },
+  { key: "open", label: "import.field.open", aliases: ["abierta", "open", "abierta/cerrada", "estado", "tipo acceso"] },
+  { key: "security", label: "import.field.security", aliases: ["seguridad", "security", "cifrado", "auth", "encryption"] },
+  { key: "hidden", label: "import.field.hidden", aliases: ["oculta", "hidden", "oculto"] },
+];
+
+const normalizeHeader = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+
+// Guesses { field: columnIndex } from a header row; -1 means unmapped.
+export const guessMapping = (header) => {
+  const names = header.map(normalizeHeader);
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    const aliases = field.aliases.map(normalizeHeader);
+    mapping[field.key] = names.findIndex((n) => aliases.includes(n));
+  }
+  // No recognizable header: assume the provisioning sheet order SSID, password, band, open.
+  if (Object.values(mapping).every((i) => i < 0)) {
+    ["ssid", "password", "networkType", "open"].forEach((key, i) => {
+      if (i < header.length) mapping[key] = i;
+    });
+  }
+  return mapping;
+};
+
+export const looksLikeHeader = (row) => {
+  const names = row.map(normalizeHeader);
+  return IMPORT_FIELDS.some((f) => f.aliases.map(normalizeHeader).some((a) => names.includes(a)));
+};
+
+const TRUE_WORDS = ["1", "si", "sí", "s", "x", "true", "yes", "y", "abierta", "abierto", "open", "oculta", "oculto", "hidden"];
+
+const parseFlag = (value) => TRUE_WORDS.includes(normalizeHeader(value)) || TRUE_WORDS.includes(String(value).trim().toLowerCase());
+
+const SECURITY_WORDS = {
+  wpa: "wpa",
+  wpa2: "wpa",
+  "wpa/wpa2": "wpa",
+  "wpa2-psk": "wpa",
+  wpa3: "sae",
+  sae: "sae",
+  "wpa3-sae": "sae",
+  "wpa2/wpa3": "sae-transition",
+  transicion: "sae-transition",
+  transition: "sae-transition",
+  wep: "wep",
+  open: "open",
+  abierta: "open",
+  nopass: "open",
+  ninguna: "open",
+};
+
+const parseSecurity = (value) => {
+  const key = normalizeHeader(value);
+  if (!key) return undefined;
+  if (SECURITY_TYPES.some((type) => type.value === key)) return key;
+  return SECURITY_WORDS[key];
+};
+
+// Runs every data row through the same validation as the form.
+export const buildImportRows = (rows, mapping) =>
+  rows.map((cells, index) => {
+    const get = (key) => (mapping[key] >= 0 ? cells[mapping[key]] ?? "" : "");
+    const rawSecurity = get("security");
+    const security = parseSecurity(rawSecurity);
+    if (rawSecurity.trim() && !security) {
+      return { index, cells, entry: null, error: t("import.error.unknownSecurity", { value: rawSecurity.trim() }) };
+    }
+    const { entry, error } = normalizeEntry({
+      ssid: get("ssid"),
+      password: get("password"),
+      networkType: get("networkType"),
+      isOpen: parseFlag(get("open")),
+      security,
+      hidden: parseFlag(get("hidden")),
+    });
+    return { index, cells, entry, error };
+  });
+
+// Marks valid rows that would print the same sticker as a queued entry or an
+// earlier row of the file (same rule as the form): `duplicate` is
+// { position } in the queue or { row } in the file, both 1-based.
+export const markImportDuplicates = (rows, queue) => {
+  const seen = [];
+  return rows.map((r) => {
+    if (!r.entry) return r;
+    const inQueue = findDuplicateEntry(queue, r.entry);
+    const inFile = findDuplicateEntry(seen.map((s) => s.entry), r.entry);
+    const earlier = seen[inFile];
+    seen.push(r);
+    if (inQueue >= 0) return { ...r, duplicate: { position: inQueue + 1 } };
+    if (earlier) return { ...r, duplicate: { row: earlier.index + 1 } };
+    return r;
+  });
+};
@@ -0,0 +1,139 @@
+// Customer / site records for installs: who a sticker was printed for, where
+// and when. Queue and history entries point to a record by `customerId`; the
+// fields listed in the record's `show` are printed on the sticker (the
+// "customer" template field), the rest stay internal.
+
+import { t } from "./i18n";
+import { isStoredEntry, needsPassword } from "./payloads";
+import { stripPassword } from "./storage";
+
+export const CUSTOMER_FIELDS = [
+  { key: "name", label: "customer.field.name", placeholder: "customer.placeholder.name", required: true, printable: true },
+  { key: "address", label: "customer.field.address", placeholder: "customer.placeholder.address", printable: true },
+  { key: "account", label: "customer.field.account", placeholder: "customer.placeholder.account", printable: true },
+  { key: "installDate", label: "customer.field.installDate", type: "date", printable: true },
+  { key: "notes", label: "customer.field.notes", placeholder: "", multiline: true },
+];
+
+const PRINTABLE = CUSTOMER_FIELDS.filter((f) => f.printable).map((f) => f.key);
+
+// Filter value for entries without a customer (real ids never start with "_").
+export const NO_CUSTOMER = "_none";
+
+export const CUSTOMER_EXPORT_FORMAT = "qr-only-customers";
+
+const text = (value) => String(value ?? "").trim();
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Local date as YYYY-MM-DD, the value of an <input type="date">.
+const today = (now = new Date()) =>
+  `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}`;
+
+export const makeCustomerId = () => `cust-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const emptyCustomer = (now) => ({
+  name: "",
+  address: "",
+  account: "",
+  installDate: today(now),
+  notes: "",
+  show: ["name"],
+});
+
+export const validateCustomer = (c) => {
+  if (!text(c?.name)) return t("customer.error.nameRequired");
+  const date = text(c?.installDate);
+  if (date && (!DATE_RE.test(date) || Number.isNaN(new Date(`${date}T00:00:00`).getTime()))) {
+    return t("customer.error.date");
+  }
+  return "";
+};
+
+// Trimmed record with an id; `show` keeps only printable fields, in form order.
+export const normalizeCustomer = (c) => ({
+  id: text(c?.id) || makeCustomerId(),
+  name: text(c?.name),
+  address: text(c?.address),
+  account: text(c?.account),
+  installDate: text(c?.installDate),
+  notes: text(c?.notes),
+  show: PRINTABLE.filter((key) => Array.isArray(c?.show) && c.show.includes(key)),
+});
+
+// The line the "customer" sticker field prints ("" when nothing is shown).
+export const customerStickerText = (customer) =>
+  (customer?.show || [])
+    .filter((key) => PRINTABLE.includes(key))
+    .map((key) => text(customer[key]))
+    .filter(Boolean)
+    .join(" · ");
+
+export const customerLabel = (customer) =>
+  customer ? [customer.name, customer.account && `#${customer.account}`].filter(Boolean).join(" ") : "";
+
+export const findCustomer = (customers, id) => (id ? customers.find((c) => c.id === id) || null : null);
+
+// The entry with its customer record attached, as the sticker renderer reads it.
+export const withCustomer = (item, customers) => {
+  const customer = findCustomer(customers, item?.customerId);
+  return customer ? { ...item, customer } : item;
+};
+
+// `filter` is "" (everything), NO_CUSTOMER or a customer id.
+export const matchesCustomer = (entry, filter) => {
+  if (!filter) return true;
+  if (filter === NO_CUSTOMER) return !entry?.customerId;
+  return entry?.customerId === filter;
+};
+
+// Records for the office: every customer with the networks printed for it (from
+// the history), without passwords. Entries keep their history id so importing
+// the same file twice does not duplicate them.
+export const buildCustomerExport = (customers, history, { now = new Date() } = {}) => ({
+  format: CUSTOMER_EXPORT_FORMAT,
+  version: 1,
+  exportedAt: now.toISOString(),
+  customers: customers.map((c) => ({
+    ...c,
+    networks: history.filter((e) => e.customerId === c.id).map(stripPassword),
+  })),
+});
+
+// Parses an export file. Returns { customers, entries, error }; records without
+// a name are skipped, and entries keep the customer they were listed under.
+// The file has no passwords, so networks that need one come in marked
+// `passwordMissing`: reprinting them from the history asks for it first.
+export const parseCustomerExport = (raw) => {
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    return { customers: [], entries: [], error: t("customer.error.importJson") };
+  }
+  if (!data || data.format !== CUSTOMER_EXPORT_FORMAT || !Array.isArray(data.customers)) {
+    return { customers: [], entries: [], error: t("customer.error.importFormat") };
+  }
+
+  const customers = [];
+  const entries = [];
+  data.customers.forEach((record) => {
+    if (!record || typeof record !== "object" || validateCustomer(record)) return;
+    const customer = normalizeCustomer(record);
+    customers.push(customer);
+    (Array.isArray(record.networks) ? record.networks : []).forEach((e) => {
+      if (isStoredEntry(e) && typeof e.id === "string") {
+        entries.push({ ...e, customerId: customer.id, ...(needsPassword(e) ? { passwordMissing: true } : {}) });
+      }
+    });
+  });
+  return { customers, entries, error: "" };
+};
+
+// Imported records replace the ones with the same id and the rest are appended.
+export const mergeCustomers = (current, incoming) => {
+  const byId = new Map(incoming.map((c) => [c.id, c]));
+  const kept = current.map((c) => byId.get(c.id) || c);
+  const known = new Set(current.map((c) => c.id));
+  return [...kept, ...incoming.filter((c) => !known.has(c.id))];
+};
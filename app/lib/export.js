@@ -0,0 +1,127 @@
+// Download formats for the stickers: PNG at the template's resolution or at a
+// chosen dpi and size, or SVG. Every format goes through the same renderers
+// with the same millimetres, so the layout decisions (text sizes, group split)
+// do not depend on the format.
+
+import { QR_SIZE_PX } from "./qr";
+import { renderEntryStickers } from "./sticker";
+import { MAX_LABEL_AREA_PX, mmToPx } from "./templates";
+import { crc32, dataUrlToBytes } from "./zip";
+
+export const EXPORT_FORMATS = [
+  { value: "png", label: "export.format.png", ext: "png", mime: "image/png" },
+  { value: "svg", label: "export.format.svg", ext: "svg", mime: "image/svg+xml" },
+];
+
+// PNG resolutions offered besides the template's own (null).
+export const EXPORT_DPIS = [203, 300, 600];
+
+// Printed size as a multiple of the label (2× for a laminated sign, ...).
+export const EXPORT_SCALES = [1, 2, 3, 4];
+
+export const DEFAULT_EXPORT_OPTIONS = { format: "png", dpi: null, scale: 1 };
+
+// Longest side of an exported PNG; larger canvases fail in some browsers.
+export const MAX_EXPORT_PX = 8192;
+
+export const getExportFormat = (value) => EXPORT_FORMATS.find((f) => f.value === value) || EXPORT_FORMATS[0];
+
+export const normalizeExportOptions = (options) => ({
+  format: getExportFormat(options?.format).value,
+  dpi: EXPORT_DPIS.includes(Number(options?.dpi)) ? Number(options.dpi) : null,
+  scale: EXPORT_SCALES.includes(Number(options?.scale)) ? Number(options.scale) : 1,
+});
+
+// Physical and pixel size of one exported label: { widthMm, heightMm, dpi,
+// widthPx, heightPx, renderDpi }. `renderDpi` is what the label is drawn at
+// (dpi × scale, lowered when it would go over MAX_EXPORT_PX or
+// MAX_LABEL_AREA_PX); the file says
+// `dpi` so it prints at `widthMm`×`heightMm`. SVG has no pixel size.
+export const exportSize = (template, options) => {
+  const o = normalizeExportOptions(options);
+  const widthMm = template.widthMm * o.scale;
+  const heightMm = template.heightMm * o.scale;
+  if (o.format === "svg") return { widthMm, heightMm, dpi: null, widthPx: null, heightPx: null, renderDpi: template.dpi };
+
+  const maxDpi = Math.min(
+    (MAX_EXPORT_PX * 25.4) / Math.max(template.widthMm, template.heightMm),
+    25.4 * Math.sqrt(MAX_LABEL_AREA_PX / (template.widthMm * template.heightMm))
+  );
+  const renderDpi = Math.min((o.dpi || template.dpi) * o.scale, maxDpi);
+  return {
+    widthMm,
+    heightMm,
+    dpi: renderDpi / o.scale,
+    widthPx: mmToPx(template.widthMm, renderDpi),
+    heightPx: mmToPx(template.heightMm, renderDpi),
+    renderDpi,
+  };
+};
+
+const u32 = (n) => [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+
+const chunkType = (bytes, at) => String.fromCharCode(...bytes.subarray(at + 4, at + 8));
+
+// Returns the PNG with a pHYs chunk for `dpi`, so image viewers and print
+// dialogs open it at its physical size. Any existing pHYs is replaced.
+export const setPngDpi = (bytes, dpi) => {
+  const ppm = Math.round(dpi / 0.0254);
+  const body = new Uint8Array([..."pHYs"].map((c) => c.charCodeAt(0)).concat(u32(ppm), u32(ppm), [1]));
+  const chunk = new Uint8Array([...u32(9), ...body, ...u32(crc32(body))]);
+
+  // Signature (8) + IHDR (4 length + 4 type + 13 data + 4 CRC).
+  const afterHeader = 33;
+  const parts = [bytes.subarray(0, afterHeader), chunk];
+  let at = afterHeader;
+  while (at + 8 <= bytes.length) {
+    const length = ((bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3]) >>> 0;
+    const end = at + 12 + length;
+    if (chunkType(bytes, at) !== "pHYs") parts.push(bytes.subarray(at, end));
+    at = end;
+  }
+
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  parts.forEach((p) => {
+    out.set(p, offset);
+    offset += p.length;
+  });
+  return out;
+};
+
+// Every label of an entry (see `renderEntryStickers`) as files in the chosen
+// format: [{ item, ext, mime, data, metrics }], `data` being the file bytes and
+// `metrics` the renderer's. `rotate` as in the renderers (false for the upright label).
+export const renderExportFiles = async (item, template, options, { rotate = true } = {}) => {
+  const o = normalizeExportOptions(options);
+  const format = getExportFormat(o.format);
+  const size = exportSize(template, o);
+
+  if (format.value === "svg") {
+    const results = await renderEntryStickers(item, template, { rotate, svg: true });
+    const encoder = new TextEncoder();
+    // Millimetres from the canvas, so the upright label keeps its own proportions.
+    const toMm = (px) => (px / template.dpi) * 25.4 * o.scale;
+    return results.map((r) => ({
+      item: r.item,
+      ext: format.ext,
+      mime: format.mime,
+      data: encoder.encode(r.canvas.toSvg({ widthMm: toMm(r.canvas.width), heightMm: toMm(r.canvas.height) })),
+      metrics: r.metrics,
+    }));
+  }
+
+  const factor = size.renderDpi / template.dpi;
+  const results = await renderEntryStickers(
+    item,
+    { ...template, dpi: size.renderDpi },
+    { rotate, qrSize: Math.round(QR_SIZE_PX * Math.max(1, factor)) }
+  );
+  return results.map((r) => ({
+    item: r.item,
+    ext: format.ext,
+    mime: format.mime,
+    data: setPngDpi(dataUrlToBytes(r.canvas.toDataURL("image/png")), size.dpi),
+    metrics: r.metrics,
+  }));
+};
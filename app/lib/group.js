@@ -0,0 +1,63 @@
+// Group entries: several WiFi networks of one site (a dual-band router's 2.4 and
+// 5 GHz SSIDs, mesh nodes, a guest network) printed together on one label.
+
+import { t } from "./i18n";
+import { DEFAULT_SECURITY, generateValue, normalizeEntry } from "./wifi";
+
+export const GROUP_MIN_NETWORKS = 2;
+export const GROUP_MAX_NETWORKS = 4;
+
+export const isGroupEntry = (item) => item?.kind === "group";
+
+// The WiFi networks an entry prints: the group's, or the entry itself.
+export const entryNetworks = (item) => (isGroupEntry(item) ? item.networks || [] : [item]);
+
+export const emptyGroupNetwork = (networkType = "5.0") => ({
+  ssid: "",
+  password: "",
+  security: DEFAULT_SECURITY,
+  hidden: false,
+  networkType,
+  label: "",
+});
+
+export const emptyGroupValues = () => ({ networks: [emptyGroupNetwork("2.4"), emptyGroupNetwork("5.0")] });
+
+// Validates every network like the WiFi form. Returns { networks, error } with
+// the first error prefixed by the network number.
+const checkNetworks = (networks) => {
+  const list = Array.isArray(networks) ? networks : [];
+  if (list.length < GROUP_MIN_NETWORKS) return { networks: null, error: t("group.error.tooFew", { min: GROUP_MIN_NETWORKS }) };
+  if (list.length > GROUP_MAX_NETWORKS) return { networks: null, error: t("group.error.tooMany", { max: GROUP_MAX_NETWORKS }) };
+
+  const normalized = [];
+  for (let i = 0; i < list.length; i += 1) {
+    const { entry, error } = normalizeEntry(list[i] || {});
+    if (error) return { networks: null, error: t("group.error.network", { n: i + 1, error }) };
+    normalized.push({ ...entry, label: String(list[i].label ?? "").trim() });
+  }
+
+  const seen = new Set();
+  for (const n of normalized) {
+    const key = `${n.ssid.toLowerCase()}\u0000${n.networkType}`;
+    if (seen.has(key)) return { networks: null, error: t("group.error.duplicate", { ssid: n.ssid }) };
+    seen.add(key);
+  }
+  return { networks: normalized, error: "" };
+};
+
+export const validateGroup = (v) => checkNetworks(v?.networks).error;
+
+export const normalizeGroup = (v) => ({ networks: checkNetworks(v?.networks).networks });
+
+// One QR value per network, one per line.
+export const encodeGroup = (v) => (v?.networks || []).map(generateValue).join("\n");
+
+export const groupTitle = (v) =>
+  (v?.networks || [])
+    .map((n) => String(n.ssid || ""))
+    .filter(Boolean)
+    .join(" + ");
+
+// Heading of a network's column: its own label ("Invitados") or the band.
+export const networkHeading = (network) => String(network?.label || "").trim() || String(network?.networkType || "");
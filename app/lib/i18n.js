@@ -0,0 +1,73 @@
+// Message catalogs for the UI and for the texts drawn on stickers. Keys are flat
+// dotted strings; `{name}` placeholders are filled from `params`. A key missing
+// from a catalog falls back to Spanish, then to the key itself.
+
+import { EN_MESSAGES } from "./messages/en";
+import { ES_MESSAGES } from "./messages/es";
+
+export const LOCALES = [
+  { value: "es", label: "Español", dateLocale: "es-MX" },
+  { value: "en", label: "English", dateLocale: "en-US" },
+];
+
+export const DEFAULT_LOCALE = "es";
+
+// Read by the root layout to render `<html lang>` before any client code runs.
+export const LOCALE_COOKIE = "qr-only-lang";
+
+const CATALOGS = { es: ES_MESSAGES, en: EN_MESSAGES };
+
+export const resolveLocale = (value) => {
+  const base = String(value || "").toLowerCase().split(/[-_]/)[0];
+  return CATALOGS[base] ? base : DEFAULT_LOCALE;
+};
+
+export const getLocaleInfo = (locale) => LOCALES.find((l) => l.value === resolveLocale(locale));
+
+// Picks the first supported language from an Accept-Language header.
+export const negotiateLocale = (acceptLanguage) => {
+  const tags = String(acceptLanguage || "")
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.find((p) => p.trim().startsWith("q="));
+      return { tag, q: q ? Number(q.trim().slice(2)) || 0 : 1 };
+    })
+    .filter((x) => x.tag && x.q > 0)
+    .sort((a, b) => b.q - a.q);
+  const match = tags.find((x) => CATALOGS[x.tag.toLowerCase().split(/[-_]/)[0]]);
+  return match ? resolveLocale(match.tag) : DEFAULT_LOCALE;
+};
+
+const interpolate = (message, params) =>
+  params ? message.replace(/\{(\w+)\}/g, (m, name) => (name in params ? String(params[name]) : m)) : message;
+
+export const translate = (locale, key, params) => {
+  const message = CATALOGS[resolveLocale(locale)][key] ?? ES_MESSAGES[key] ?? key;
+  return interpolate(message, params);
+};
+
+// Language of the UI. Library messages (validation errors, labels) use it, so
+// the page sets it before rendering; sticker texts use each entry's own `lang`.
+let activeLocale = DEFAULT_LOCALE;
+
+export const setLocale = (locale) => {
+  activeLocale = resolveLocale(locale);
+  return activeLocale;
+};
+
+export const getLocale = () => activeLocale;
+
+export const t = (key, params) => translate(activeLocale, key, params);
+
+// Runs synchronous `fn` with another active locale (the server route validates
+// in the request's language without leaking it into other requests).
+export const withLocale = (locale, fn) => {
+  const previous = activeLocale;
+  activeLocale = resolveLocale(locale);
+  try {
+    return fn();
+  } finally {
+    activeLocale = previous;
+  }
+};
@@ -0,0 +1,158 @@
+// Layout engine for the sticker renderers. A label is a tree of plain nodes
+// (text, image, rect, stack, box, rotated): `measure` sizes a node and
+// `drawNode` paints it with its top-left corner at (x, y). Only the 2D context
+// is used, so the same tree gives the same label in the browser and in Node.
+
+import { DEFAULT_FONT_FAMILY, fitTextSize, setFont } from "./canvas";
+
+// Text box: as tall as its font size, as wide as the measured string. The
+// glyphs hang from the top of the box, or are centred in it with
+// `baseline: "middle"` (as the vertical texts of the attention label are).
+// `color` overrides the context's fill for this text only.
+export const textNode = (
+  text,
+  { weight = 700, sizePx = 48, family = DEFAULT_FONT_FAMILY, baseline = "top", color = null } = {}
+) => ({
+  type: "text",
+  text: String(text ?? ""),
+  weight,
+  sizePx,
+  family,
+  baseline,
+  color,
+});
+
+// `key` makes `drawNode` report where the image landed (e.g. a QR to verify).
+export const imageNode = (image, { w, h, smoothing = true, alpha = 1, key } = {}) => ({
+  type: "image",
+  image,
+  w,
+  h,
+  smoothing,
+  alpha,
+  key,
+});
+
+export const rectNode = ({ w, h, alpha = 1 }) => ({ type: "rect", w, h, alpha });
+
+// Children one after another along `direction` ("column" or "row"), centred
+// across it. `gaps[i]` is the space after child i (default `gap`).
+export const stackNode = (children, { direction = "column", gap = 0, gaps = [] } = {}) => ({
+  type: "stack",
+  children: children.filter(Boolean),
+  direction,
+  gap,
+  gaps,
+});
+
+// Fixed-size box with its child centred (the child may overflow it).
+export const boxNode = (child, { w, h }) => ({ type: "box", child, w, h });
+
+// The child turned 90° counter-clockwise, the way vertical text reads on a label.
+export const rotatedNode = (child) => ({ type: "rotated", child });
+
+// Largest size (2px steps from `startPx`) at which `text` fits `maxWidth`, as a
+// text node; `overflow` is set when even `minPx` is too wide.
+export const fitText = (ctx, { text, maxWidth, weight, startPx, minPx, family, color }) => {
+  const sizePx = fitTextSize(ctx, { text, maxWidth, weight, startPx, minPx, family });
+  const node = textNode(text, { weight, sizePx, family, color });
+  return { ...node, overflow: measure(ctx, node).w > maxWidth };
+};
+
+// Image scaled to fit `maxW`×`maxH` keeping its aspect ratio (pass Infinity
+// to constrain one side only).
+export const fitImage = (image, maxW, maxH, options) => {
+  const scale = Math.min(maxW / image.width, maxH / image.height);
+  return imageNode(image, { ...options, w: Math.round(image.width * scale), h: Math.round(image.height * scale) });
+};
+
+const gapAfter = (node, i) => node.gaps[i] ?? node.gap;
+
+export const measure = (ctx, node) => {
+  switch (node.type) {
+    case "text":
+      setFont(ctx, node);
+      return { w: ctx.measureText(node.text).width, h: node.sizePx };
+    case "image":
+    case "rect":
+    case "box":
+      return { w: node.w, h: node.h };
+    case "rotated": {
+      const { w, h } = measure(ctx, node.child);
+      return { w: h, h: w };
+    }
+    case "stack": {
+      const column = node.direction === "column";
+      let main = 0;
+      let cross = 0;
+      node.children.forEach((child, i) => {
+        const size = measure(ctx, child);
+        main += (column ? size.h : size.w) + (i < node.children.length - 1 ? gapAfter(node, i) : 0);
+        cross = Math.max(cross, column ? size.w : size.h);
+      });
+      return column ? { w: cross, h: main } : { w: main, h: cross };
+    }
+    default:
+      throw new Error(`Unknown layout node: ${node.type}`);
+  }
+};
+
+// Paints `node` at (x, y) and returns { [key]: { x, y, w, h } } for keyed
+// images, in canvas pixels (keys inside rotated nodes are not reported).
+export const drawNode = (ctx, node, x, y, positions = {}) => {
+  switch (node.type) {
+    case "text": {
+      const { w } = measure(ctx, node);
+      ctx.textAlign = "center";
+      ctx.textBaseline = node.baseline;
+      const ink = ctx.fillStyle;
+      if (node.color) ctx.fillStyle = node.color;
+      ctx.fillText(node.text, x + w / 2, node.baseline === "middle" ? y + node.sizePx / 2 : Math.round(y));
+      ctx.fillStyle = ink;
+      break;
+    }
+    case "image": {
+      const at = { x: Math.round(x), y: Math.round(y), w: node.w, h: node.h };
+      ctx.globalAlpha = node.alpha;
+      ctx.imageSmoothingEnabled = node.smoothing;
+      ctx.drawImage(node.image, at.x, at.y, node.w, node.h);
+      ctx.globalAlpha = 1;
+      if (node.key) positions[node.key] = at;
+      break;
+    }
+    case "rect":
+      ctx.globalAlpha = node.alpha;
+      ctx.fillRect(Math.round(x), Math.round(y), node.w, node.h);
+      ctx.globalAlpha = 1;
+      break;
+    case "box": {
+      const size = measure(ctx, node.child);
+      drawNode(ctx, node.child, x + (node.w - size.w) / 2, y + (node.h - size.h) / 2, positions);
+      break;
+    }
+    case "rotated": {
+      const size = measure(ctx, node.child);
+      ctx.save();
+      ctx.translate(Math.round(x + size.h / 2), Math.round(y + size.w / 2));
+      ctx.rotate(-Math.PI / 2);
+      drawNode(ctx, node.child, -size.w / 2, -size.h / 2);
+      ctx.restore();
+      break;
+    }
+    case "stack": {
+      const column = node.direction === "column";
+      const outer = measure(ctx, node);
+      let at = column ? y : x;
+      node.children.forEach((child, i) => {
+        const size = measure(ctx, child);
+        if (column) drawNode(ctx, child, x + (outer.w - size.w) / 2, at, positions);
+        else drawNode(ctx, child, at, y + (outer.h - size.h) / 2, positions);
+        at += (column ? size.h : size.w) + gapAfter(node, i);
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown layout node: ${node.type}`);
+  }
+  return positions;
+};
@@ -0,0 +1,89 @@
+// Brand logos for thermal labels: trims the background margins around the
+// artwork and converts it to pure black ink on a transparent background, the
+// only thing a 1-bit print head reproduces faithfully.
+
+import { createCanvas, getBackgroundBoundsFromImage, loadImage } from "./canvas";
+import { t } from "./i18n";
+
+// Threshold suits flat artwork; dithering keeps gradients and photos readable.
+export const LOGO_MODES = [
+  { value: "threshold", label: "logo.mode.threshold" },
+  { value: "dither", label: "logo.mode.dither" },
+];
+
+// `maxPx` caps the longest side: logos are drawn about 490×92px on the B1 base,
+// so anything larger only makes the stored template heavier.
+export const DEFAULT_LOGO_OPTIONS = { trim: true, mode: "threshold", threshold: 160, invert: false, maxPx: 600 };
+
+export const LOGO_MAX_BYTES = 5 * 1024 * 1024;
+
+export const validateLogoFile = (file) => {
+  if (!file || !String(file.type).startsWith("image/")) return t("logo.error.type");
+  if (file.size > LOGO_MAX_BYTES) return t("logo.error.tooLarge", { mb: LOGO_MAX_BYTES / 1024 / 1024 });
+  return "";
+};
+
+export const makeLogoId = () => `logo-${Date.now().toString(36)}`;
+
+const luma = (d, i) => 0.2126 * d[i] + 0.7152 * d[i + 1] + 0.0722 * d[i + 2];
+
+// Rewrites RGBA `data` (already flattened on white) as black ink / transparent.
+// Dithering is Floyd–Steinberg around `threshold`.
+const toMonochrome = (data, w, h, { mode, threshold, invert }) => {
+  const gray = new Float32Array(w * h);
+  for (let p = 0; p < gray.length; p += 1) {
+    const value = luma(data, p * 4);
+    gray[p] = invert ? 255 - value : value;
+  }
+
+  for (let y = 0; y < h; y += 1) {
+    for (let x = 0; x < w; x += 1) {
+      const p = y * w + x;
+      const ink = gray[p] < threshold;
+      if (mode === "dither") {
+        const err = gray[p] - (ink ? 0 : 255);
+        if (x + 1 < w) gray[p + 1] += (err * 7) / 16;
+        if (y + 1 < h) {
+          if (x > 0) gray[p + w - 1] += (err * 3) / 16;
+          gray[p + w] += (err * 5) / 16;
+          if (x + 1 < w) gray[p + w + 1] += err / 16;
+        }
+      }
+      const i = p * 4;
+      data[i] = 0;
+      data[i + 1] = 0;
+      data[i + 2] = 0;
+      data[i + 3] = ink ? 255 : 0;
+    }
+  }
+};
+
+// Returns { dataUrl, width, height, source: { w, h }, bounds } where `bounds`
+// is the part of the original kept after trimming.
+export const processLogo = async (src, options) => {
+  const { trim, mode, threshold, invert, maxPx } = { ...DEFAULT_LOGO_OPTIONS, ...options };
+  const img = await loadImage(src);
+  const w = Math.max(1, Math.floor(img.naturalWidth || img.width || 1));
+  const h = Math.max(1, Math.floor(img.naturalHeight || img.height || 1));
+  const bounds = trim ? getBackgroundBoundsFromImage(img) : { x: 0, y: 0, w, h };
+
+  const scale = Math.min(1, maxPx / Math.max(bounds.w, bounds.h));
+  const outW = Math.max(1, Math.round(bounds.w * scale));
+  const outH = Math.max(1, Math.round(bounds.h * scale));
+
+  const canvas = createCanvas(outW, outH);
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  if (!ctx) throw new Error(t("logo.error.process"));
+
+  // Transparent areas count as label paper.
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, outW, outH);
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(img, bounds.x, bounds.y, bounds.w, bounds.h, 0, 0, outW, outH);
+
+  const image = ctx.getImageData(0, 0, outW, outH);
+  toMonochrome(image.data, outW, outH, { mode, threshold: Number(threshold), invert });
+  ctx.putImageData(image, 0, 0);
+
+  return { dataUrl: canvas.toDataURL("image/png"), width: outW, height: outH, source: { w, h }, bounds };
+};
@@ -0,0 +1,482 @@
+// English catalog. Missing keys fall back to the Spanish one.
+
+export const EN_MESSAGES = {
+  "app.title": "WiFi QR Generator",
+  "app.subtitle": "Download the label ready for NIIMBOT (50×30mm)",
+  "app.description": "WiFi QR generator (standalone project)",
+  "app.language": "Language",
+  "offline.offline": "Offline: stickers are still generated, previewed and downloaded on this device. The API is not available.",
+  "offline.ready": "The app is saved for offline use.",
+  "offline.update": "A new version is available.",
+  "offline.reload": "Update",
+  "offline.later": "Later",
+
+  "common.save": "Save",
+  "common.cancel": "Cancel",
+  "common.remove": "Remove",
+  "common.edit": "Edit",
+  "common.download": "Download",
+  "common.print": "Print",
+  "common.moveUp": "Move up",
+  "common.moveDown": "Move down",
+  "common.reset": "Reset",
+  "common.unknownError": "Unknown error.",
+
+  "form.contentKind": "Content type",
+  "form.ssid": "SSID",
+  "form.ssidPlaceholder": "Network name",
+  "form.networkType": "Network type",
+  "form.password": "Password",
+  "form.noPassword": "No password",
+  "form.security": "Security",
+  "form.hidden": "Hidden network",
+  "form.stickerLang": "Label language",
+  "form.add": "Add",
+  "form.bytes": "{count}/{max} bytes",
+  "form.passwordNotStored": "The password was not saved; type it again to reprint.",
+  "form.passwordInvalid": "The saved password of \"{ssid}\" is not valid: {error} Fix it to reprint.",
+  "form.duplicate": "There is already a label for {what} at position {position}. Add it anyway?",
+
+  "security.wpa": "WPA/WPA2",
+  "security.sae": "WPA3-SAE",
+  "security.sae-transition": "WPA2/WPA3 (transition)",
+  "security.wep": "WEP",
+  "security.open": "Open (no password)",
+
+  "wifi.ssid.required": "Enter the SSID.",
+  "wifi.ssid.blank": "The SSID cannot be only spaces.",
+  "wifi.ssid.control": "The SSID contains control characters.",
+  "wifi.ssid.tooLong": "The SSID allows {max} bytes and has {bytes} (accents and emoji take more than one).",
+  "wifi.password.required": "Enter the password or choose Open network.",
+  "wifi.password.wepAscii": "WEP keys only allow printable ASCII characters.",
+  "wifi.password.wepLength": "WEP keys must be 5 or 13 characters, or 10 or 26 hexadecimal digits.",
+  "wifi.password.hex64": "A 64-character key must be hexadecimal.",
+  "wifi.password.tooShort": "WPA passwords need at least 8 characters (this one has {length}).",
+  "wifi.password.tooLong": "WPA2 passwords cannot exceed 63 characters (this one has {length}).",
+  "wifi.password.ascii": "WPA2 passwords only allow printable ASCII characters (no accents, ñ or emoji).",
+
+  "readability.edgeSpace": "Starts or ends with a space: it does not show on the label.",
+  "readability.doubleSpace": "Has double spaces: on the label they look like one.",
+  "readability.invisible": "Contains invisible or zero-width spaces that cannot be told apart on the label.",
+  "readability.homoglyphs": "Mixes Latin letters with Greek or Cyrillic ones that look the same.",
+  "readability.ambiguous": "Characters easily confused when read: {chars}.",
+
+  "content.wifi": "WiFi network",
+  "content.group": "Several networks (dual-band / mesh)",
+  "content.url": "Website (URL)",
+  "content.vcard": "Contact (vCard)",
+  "content.tel": "Phone call (tel:)",
+  "content.sms": "SMS message",
+  "content.email": "Email (mailto:)",
+  "content.whatsapp": "WhatsApp",
+  "content.text": "Free text",
+  "content.field.url": "URL",
+  "content.field.caption": "Text on label",
+  "content.field.firstName": "First name",
+  "content.field.lastName": "Last name",
+  "content.field.phone": "Phone",
+  "content.field.email": "Email",
+  "content.field.org": "Company",
+  "content.field.jobTitle": "Job title",
+  "content.field.message": "Message",
+  "content.field.subject": "Subject",
+  "content.field.countryCode": "Country code",
+  "content.field.prefilled": "Prefilled message",
+  "content.field.text": "Text",
+  "content.placeholder.visit": "Visit us",
+  "content.placeholder.firstName": "John",
+  "content.placeholder.lastName": "Smith",
+  "content.placeholder.jobTitle": "Installer",
+  "content.placeholder.support": "Tech support",
+  "content.placeholder.smsMessage": "Hi, I need support",
+  "content.placeholder.subject": "Support",
+  "content.placeholder.whatsappMessage": "Hi, I need help",
+  "content.error.phoneRequired": "Enter the phone number.",
+  "content.error.phoneLength": "Check the phone number: it must have 7 to 15 digits.",
+  "content.error.whatsappLength": "The number must have 8 to 15 digits including the country code.",
+  "content.error.urlRequired": "Enter the URL.",
+  "content.error.urlScheme": "The URL must start with http:// or https://.",
+  "content.error.urlInvalid": "Check the URL.",
+  "content.error.nameRequired": "Enter the contact's name.",
+  "content.error.emailRequired": "Enter the email address.",
+  "content.error.emailInvalid": "Check the email address.",
+  "content.error.phoneOrEmail": "Enter at least a phone number or an email.",
+  "content.error.textRequired": "Enter the text.",
+  "content.error.textTooLong": "The text is too long for a label.",
+
+  "sticker.open": "OPEN",
+  "sticker.scanMe": "Scan me",
+  "sticker.website": "Website",
+  "sticker.contact": "Contact",
+  "sticker.call": "Call",
+  "sticker.email": "Email",
+  "sticker.text": "Text",
+  "sticker.brand.phone": "Support: {phone}",
+  "sticker.brand.whatsapp": "WhatsApp: {phone}",
+
+  "queue.count": "QRs added:",
+  "queue.saved": "Saved labels:",
+  "queue.network": "Network:",
+  "queue.hidden": "Hidden",
+  "queue.pass": "Pass:",
+  "queue.preview": "Show preview",
+  "queue.downloadAll": "Download all (ZIP)",
+  "queue.verifyAll": "Check readability",
+  "queue.zipName": "wifi-labels.zip",
+  "queue.passwordMissing": "Password not saved: downloading or printing it moves it to the form to type it again.",
+  "queue.passwordInvalid": "Saved password not valid: {error} Downloading or printing it moves it to the form to fix it.",
+  "queue.passwordsMissing": "{count} queued label(s) have no saved password, or one that is not valid; they are skipped when downloading or printing the whole queue.",
+  "queue.skippedNoPassword": "Skipped: the password was not saved.",
+  "queue.skippedInvalidPassword": "Skipped: the saved password is not valid. {error}",
+
+  "export.format": "Download format",
+  "export.format.png": "PNG (image)",
+  "export.format.svg": "SVG (vector)",
+  "export.dpi": "Resolution",
+  "export.dpi.template": "Template's ({dpi} dpi)",
+  "export.size": "Printed size",
+  "export.size.option": "{width}×{height} mm ({scale}×)",
+  "export.summary.png": "{width}×{height} px at {dpi} dpi. The layout is the same in every format; the PDF and the printer always use the template.",
+  "export.summary.svg": "Vector QR and text, embedded logos. The layout is the same in every format; the PDF and the printer always use the template.",
+  "export.download": "Download {format}",
+
+  "batch.running": "Generating",
+  "batch.done": "Done",
+  "batch.verify": "Check",
+  "batch.print": "Printing",
+  "batch.failed": "{count} label(s) could not be generated:",
+  "batch.verifyOk": "All {count} label(s) scan correctly, also on the simulated print.",
+  "batch.verifyProblems": "{count} label(s) might not scan:",
+
+  "error.qr": "Could not generate the QR code.",
+  "error.sticker": "Could not generate the label.",
+  "error.pdf": "Could not generate the PDF.",
+
+  "pdf.format": "PDF format",
+  "pdf.layout.label": "50×30mm roll (one per page)",
+  "pdf.layout.sheet": "A4 label sheet",
+  "pdf.includeAttention": "Include customer service label",
+  "pdf.marginX": "Horizontal margin (mm)",
+  "pdf.marginY": "Vertical margin (mm)",
+  "pdf.columns": "Columns",
+  "pdf.rows": "Rows",
+  "pdf.gutterX": "Horizontal gap (mm)",
+  "pdf.gutterY": "Vertical gap (mm)",
+  "pdf.download": "Download PDF",
+  "pdf.fileName": "wifi-labels.pdf",
+  "pdf.sheetFileName": "wifi-labels-sheet.pdf",
+  "pdf.error.gridTooBig": "The grid does not fit on the sheet with those margins.",
+  "pdf.error.empty": "There are no labels to export.",
+
+  "canvas.error.loadImage": "Could not load the image: {src}",
+  "canvas.error.readImage": "The image could not be read.",
+  "canvas.error.imagePath": "Image path not allowed: {src}",
+
+  "qr.level.L": "L · 7%",
+  "qr.level.M": "M · 15%",
+  "qr.level.Q": "Q · 25%",
+  "qr.level.H": "H · 30% (outdoor)",
+  "qr.error.inverted": "The code colour must be darker than the background: many readers cannot scan inverted QRs.",
+  "qr.error.contrast": "The colours have too little contrast to scan reliably.",
+  "qr.error.logoLevelL": "Level L cannot take a centre logo; use M, Q or H.",
+  "qr.error.logoTooBig": "With level {level} the centre logo can take up to {max}% of the QR width.",
+
+  "verify.unreadable": "The label's QR could not be read.",
+  "verify.mismatch": "The QR reads, but does not match the expected content.",
+  "verify.printUnreadable": "The QR could not be read on a simulated print at {dpi} dpi.",
+  "verify.moduleTooSmall":
+    "Each QR module measures {mm} mm ({dots} dots at {dpi} dpi); at least {min} mm is recommended.",
+
+  "preview.title": "Preview",
+  "preview.orientation": "Preview orientation",
+  "preview.orientation.label": "As printed",
+  "preview.orientation.file": "As the file (rotated)",
+  "preview.alt": "Label preview",
+  "preview.empty": "Type an SSID to see the label.",
+  "preview.verified": "QR verified · {mm} mm printed module.",
+  "preview.passOverflow": "The password does not fit even at the smallest size: it will be clipped on the label.",
+  "preview.passShrunk": "The password was reduced to {px}px to fit.",
+  "preview.ssidOverflow": "The SSID does not fit even at the smallest size: it will be clipped on the label.",
+  "preview.qrShrunk": "The QR was reduced to {px}px to make room for the text.",
+  "preview.overflow": "The content does not fit on the label with this template.",
+  "preview.groupSplit": "The networks do not fit legibly on one label: {count} labels will be printed, one per network.",
+
+  "group.network": "Network {n}",
+  "group.label": "Name on label",
+  "group.labelPlaceholder": "E.g. Guests (optional)",
+  "group.addNetwork": "Add network",
+  "group.removeNetwork": "Remove network",
+  "group.hint": "Printed side by side on one label; if they do not fit legibly, one label per network.",
+  "group.error.tooFew": "Add at least {min} networks.",
+  "group.error.tooMany": "At most {max} networks per label.",
+  "group.error.network": "Network {n}: {error}",
+  "group.error.duplicate": "The network \"{ssid}\" is repeated with the same band.",
+
+  "password.generate": "Generate password",
+  "password.options": "Generator options",
+  "password.mode": "Type",
+  "password.length": "Length (8–63)",
+  "password.mode.random": "Random",
+  "password.mode.syllables": "Pronounceable",
+  "password.mode.words": "Words",
+  "password.charset.lower": "Lowercase",
+  "password.charset.upper": "Uppercase",
+  "password.charset.digits": "Numbers",
+  "password.charset.symbols": "Symbols",
+  "password.avoidAmbiguous": "Avoid ambiguous characters (0/O, 1/l/I)",
+  "password.strength.0": "Very weak",
+  "password.strength.1": "Weak",
+  "password.strength.2": "Fair",
+  "password.strength.3": "Strong",
+  "password.strength.4": "Very strong",
+  "password.warning.escaped": "Contains {chars}: the QR escapes them and they are hard to read on the label.",
+  "password.warning.nonAscii": "Contains non-ASCII characters (accents, ñ): some devices do not accept them.",
+
+  "template.summary": "Template:",
+  "template.select": "Label template",
+  "template.custom": "(custom)",
+  "template.copySuffix": "(copy)",
+  "template.duplicate": "Duplicate",
+  "template.duplicateToEdit": "Duplicate to edit",
+  "template.delete": "Delete",
+  "template.confirmDelete": "Delete the template \"{name}\"?",
+  "template.name": "Name",
+  "template.untitled": "Untitled template",
+  "template.error.tooLarge": "The label is {width}×{height} px and the maximum is {max} megapixels. Reduce its size or resolution.",
+  "template.widthMm": "Width (mm)",
+  "template.heightMm": "Height (mm)",
+  "template.dpi": "Resolution (dpi)",
+  "template.textScale": "Text scale",
+  "template.rotate": "Rotate 90° (portrait layout, as the NIIMBOT app expects)",
+  "template.font": "Font",
+  "template.logo": "Logo",
+  "template.footer": "Bottom icon",
+  "template.qr": "QR code",
+  "template.qrLevel": "Error correction",
+  "template.qrMargin": "QR margin (modules)",
+  "template.qrFg": "Code colour",
+  "template.qrBg": "Background colour",
+  "template.qrLogo": "Logo in the QR centre",
+  "template.qrNoLogo": "No logo",
+  "template.qrLogoScale": "Logo size (% of the QR)",
+  "template.fields": "Fields (in order, top to bottom)",
+  "template.field.logo": "Logo",
+  "template.field.qr": "QR",
+  "template.field.password": "Password",
+  "template.field.ssid": "SSID",
+  "template.field.band": "Band / security",
+  "template.field.customer": "Customer / site",
+  "template.field.support": "Support (brand)",
+  "template.field.footer": "WiFi icon",
+  "template.asset.red7Dark": "Red7 (dark)",
+  "template.asset.altLogo": "Alternate logo",
+  "template.asset.wifiIcon": "WiFi icon",
+  "template.asset.custom": "Custom image",
+  "customer.title": "Customers / sites:",
+  "customer.assign": "Customer / site",
+  "customer.filter": "Filter by customer",
+  "customer.all": "All customers",
+  "customer.none": "No customer",
+  "customer.label": "Customer:",
+  "customer.add": "New customer",
+  "customer.export": "Export JSON",
+  "customer.import": "Import JSON",
+  "customer.imported": "Imported {customers} customer(s) and {networks} network(s) into the history.",
+  "customer.networks": "{count} label(s)",
+  "customer.confirmDelete": "Delete the customer \"{name}\"? Its labels stay in the queue and history, without a customer.",
+  "customer.fileName": "customers-{date}.json",
+  "customer.show": "Print on the label",
+  "customer.internal": "Internal only",
+  "customer.hint": "Fields marked for printing appear where the template has the \"Customer / site\" field. The exported JSON lists every customer with the networks printed for it, without passwords.",
+  "customer.field.name": "Customer",
+  "customer.field.address": "Address / site",
+  "customer.field.account": "Account number",
+  "customer.field.installDate": "Install date",
+  "customer.field.notes": "Notes",
+  "customer.placeholder.name": "E.g. John Smith",
+  "customer.placeholder.address": "E.g. 123 Main St, San Diego",
+  "customer.placeholder.account": "E.g. 100234",
+  "customer.error.nameRequired": "The customer needs a name.",
+  "customer.error.date": "The install date is not valid.",
+  "customer.error.importJson": "The file is not valid JSON.",
+  "customer.error.importFormat": "The file is not a customer export.",
+  "brand.title": "Brands:",
+  "brand.assign": "Brand",
+  "brand.none": "The template's",
+  "brand.label": "Brand:",
+  "brand.add": "New brand",
+  "brand.export": "Export JSON",
+  "brand.import": "Import JSON",
+  "brand.imported": "Imported {count} brand(s).",
+  "brand.confirmDelete": "Delete the brand \"{name}\"? Its labels will use the template's logo and footer.",
+  "brand.fileName": "brands-{date}.json",
+  "brand.fromTemplate": "The template's",
+  "brand.hint": "The brand's logo and footer icon replace the template's; the support line (the footer line, or else the phone and WhatsApp) prints where the template has the \"Support (brand)\" field, and the accent colour is used on that line and on the band / security line. On thermal printers use a dark accent: light colours do not print. New logos are added in the \"Logos\" panel. The exported JSON has the images embedded.",
+  "brand.field.name": "Name",
+  "brand.field.logo": "Logo",
+  "brand.field.footer": "Footer icon",
+  "brand.field.phone": "Support phone",
+  "brand.field.whatsapp": "WhatsApp",
+  "brand.field.footerLine": "Footer line (optional, replaces phone and WhatsApp)",
+  "brand.field.accent": "Accent colour",
+  "brand.placeholder.name": "E.g. Red7 Telecomunicaciones",
+  "brand.placeholder.phone": "E.g. 664 123 4567",
+  "brand.placeholder.footerLine": "E.g. Support: 664 123 4567 · red7.mx",
+  "brand.error.nameRequired": "The brand needs a name.",
+  "brand.error.accent": "The accent colour must be #rrggbb.",
+  "brand.error.phone": "Phone and WhatsApp only take digits, spaces, dashes, parentheses and a leading +.",
+  "brand.error.image": "The logo and the icon must be embedded images or bundled assets.",
+  "brand.error.embed": "Could not embed the image {src}.",
+  "brand.error.storage": "Could not save the brands: the browser storage is full.",
+  "brand.error.importJson": "The file is not valid JSON.",
+  "brand.error.importFormat": "The file is not a brand export.",
+  "logo.title": "Logos",
+  "logo.upload": "Upload image",
+  "logo.fromAsset": "Or start from a bundled logo",
+  "logo.pickAsset": "Choose…",
+  "logo.trim": "Trim background margins",
+  "logo.invert": "Invert (light logo on a dark background)",
+  "logo.mode": "Black and white conversion",
+  "logo.mode.threshold": "Threshold (flat artwork)",
+  "logo.mode.dither": "Dithering (gradients and photos)",
+  "logo.threshold": "Threshold: {value}",
+  "logo.original": "Original",
+  "logo.processed": "For printing",
+  "logo.size": "{w}×{h}px (original {sw}×{sh}px)",
+  "logo.name": "Name",
+  "logo.save": "Save logo",
+  "logo.saved": "Logo saved. It now shows up in the template logo selects.",
+  "logo.list": "Saved logos",
+  "logo.hint": "Removing a logo does not change the templates that already use it.",
+  "logo.untitled": "Untitled logo",
+  "logo.error.read": "The file could not be read.",
+  "logo.error.process": "The image could not be processed.",
+  "logo.error.type": "The file is not an image.",
+  "logo.error.tooLarge": "The image is larger than {mb} MB.",
+  "logo.error.storage": "The logo could not be saved: the browser storage is full.",
+  "template.builtIn.niimbot-b1-50x30": "NIIMBOT B1 · 50×30mm",
+  "template.builtIn.roll-40x30": "40×30mm roll",
+  "template.builtIn.niimbot-d11-12x40": "NIIMBOT D11 · 12×40mm",
+  "template.builtIn.alt-brand-50x30": "Alternate brand · 50×30mm",
+
+  "attention.title": "Customer service label",
+  "attention.headline1": "Customer service",
+  "attention.headline2": "on WhatsApp!",
+  "attention.contactLabel": "Call us:",
+  "attention.field.headline1": "Headline (line 1)",
+  "attention.field.headline2": "Headline (line 2)",
+  "attention.field.contactLabel": "Contact text",
+  "attention.field.phone": "Phone / WhatsApp",
+  "attention.field.countryCode": "Country code",
+  "attention.field.message": "Prefilled message (optional)",
+  "attention.placeholder.message": "Hi, I need help with my internet service.",
+  "attention.opens": "The QR will open:",
+  "attention.download": "Download customer service label",
+  "attention.fileName": "Customer service.png",
+  "attention.error.phoneRequired": "Enter the WhatsApp number.",
+  "attention.error.phoneLength": "The WhatsApp number must have 8 to 15 digits including the country code.",
+  "attention.error.headlineRequired": "Enter the headline text.",
+
+  "printer.title": "Direct NIIMBOT printing",
+  "printer.model": "Model",
+  "printer.connection": "Connection",
+  "printer.connection.bluetooth": "Bluetooth",
+  "printer.connection.usb": "USB",
+  "printer.connection.simulated": "Simulated (no printer)",
+  "printer.simulatedName": "Simulated printer",
+  "printer.density": "Density ({min}–{max})",
+  "printer.copies": "Copies per label",
+  "printer.printAll": "Print all",
+  "printer.connect": "Connect printer",
+  "printer.disconnect": "Disconnect",
+  "printer.connected": "Connected: {name}.",
+  "printer.printing": "Printing…",
+  "printer.printed": "Printed: {count} of {total}.",
+  "printer.notSelected": "No printer was selected.",
+  "printer.connectFailed": "Could not connect.",
+  "printer.notReady": "The printer is not ready.",
+  "printer.error.cover-open": "The printer cover is open.",
+  "printer.error.paper-out": "The printer is out of labels.",
+  "printer.error.low-battery": "Low battery.",
+  "printer.error.battery": "Battery fault.",
+  "printer.error.cancelled": "Printing cancelled on the printer.",
+  "printer.error.data": "The printer rejected the data.",
+  "printer.error.overheat": "The printhead is overheated.",
+  "printer.error.paper-jam": "Jam while ejecting the label.",
+  "printer.error.busy": "The printer is busy.",
+  "printer.error.unknown": "Printer error.",
+  "printer.error.canvas": "Could not prepare the image for the printer.",
+  "printer.error.timeout": "The printer did not respond.",
+  "printer.error.unfinished": "The printer did not finish printing.",
+  "printer.error.too-wide": "The image is wider than the printhead ({px} dots).",
+  "printer.error.noBluetooth": "This browser does not support Web Bluetooth (use Chrome or Edge).",
+  "printer.error.noSerial": "This browser does not support Web Serial (use Chrome or Edge).",
+
+  "import.title": "Import CSV / paste from Excel",
+  "import.file": "CSV file",
+  "import.paste": "Or paste the rows (SSID, password, band, open)",
+  "import.pastePlaceholder": "SSID\tPassword\tBand\tOpen",
+  "import.hasHeader": "The first row is a header",
+  "import.unused": "(not used)",
+  "import.column": "Column {n}",
+  "import.status": "Status",
+  "import.okOpen": "OK (open)",
+  "import.duplicateQueue": "Duplicate: already queued (position {position})",
+  "import.duplicateRow": "Duplicate: same as row {row}",
+  "import.includeDuplicates": "Also add the {count} duplicate row(s)",
+  "import.submit": "Add {valid} of {total} row(s)",
+  "import.added": "{count} network(s) added to the queue.",
+  "import.readFailed": "Could not read the file.",
+  "import.field.ssid": "SSID",
+  "import.field.password": "Password",
+  "import.field.networkType": "Band",
+  "import.field.open": "Open / closed",
+  "import.field.security": "Security",
+  "import.field.hidden": "Hidden",
+  "import.error.unknownSecurity": "Unknown security: \"{value}\".",
+
+  "scan.title": "Scan an existing QR",
+  "scan.fromImage": "From a photo or image",
+  "scan.reading": "Reading…",
+  "scan.camera": "Use the camera",
+  "scan.stopCamera": "Stop the camera",
+  "scan.loadForm": "Load into the form",
+  "scan.addQueue": "Add to the queue",
+  "scan.loaded": "\"{ssid}\" is now in the form.",
+  "scan.added": "\"{ssid}\" was added to the queue.",
+  "scan.skipped": "Not added: it is already in the queue.",
+  "scan.hint": "Reads the QR of a damaged label so it can be reprinted without asking for the password. The QR has no band: the one selected in the form is used.",
+  "scan.error.noQr": "No QR code was found in the image.",
+  "scan.error.notWifi": "The QR is not a WiFi network.",
+  "scan.error.noSsid": "The WiFi QR has no network name.",
+  "scan.error.image": "The image could not be read.",
+  "scan.error.camera": "The camera could not be opened.",
+  "history.title": "History:",
+  "history.storePasswords": "Store passwords in this browser",
+  "history.search": "Search by SSID",
+  "history.searchLabel": "Search history",
+  "history.clear": "Clear all",
+  "history.confirmClear": "Clear the whole label history?",
+  "history.notStored": "(not stored)",
+  "history.hide": "Hide",
+  "history.show": "Show",
+  "history.reprint": "Reprint",
+  "history.retype": "Enter password",
+  "history.empty": "No results.",
+
+  "api.error.unknownTemplate": "Unknown template: {value}. Available: {ids}.",
+  "api.error.customerType": "The customer must be an object.",
+  "api.error.brandType": "The brand must be an object.",
+  "api.error.templateType": "The template must be an id or an object.",
+  "api.error.unknownKind": "Unknown content type: {kind}.",
+  "api.error.invalidJson": "The body must be valid JSON.",
+  "api.error.notObject": "The body must be a JSON object.",
+  "api.error.format": "Unsupported format: {format}. Use \"png\", \"svg\" or \"pdf\".",
+  "api.error.dpi": "Unsupported resolution: {dpi}. Use {dpis}.",
+  "api.error.scale": "Unsupported scale: {scale}. Use a whole number from 1 to {max}.",
+  "api.error.orientation": "Unsupported orientation: {orientation}. Use \"file\" or \"label\".",
+  "api.error.pdfOrientation": "PDF always uses the file orientation.",
+  "api.error.image": "The {field} image could not be loaded: use a valid data URL or the path of a bundled asset.",
+  "api.error.passwordClipped": "The password of {ssid} does not fit on the label even at the smallest size: use a larger template or a shorter password.",
+  "api.error.ssidClipped": "The SSID {ssid} does not fit on the label even at the smallest size: use a larger template.",
+};
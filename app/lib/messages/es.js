@@ -0,0 +1,482 @@
+// Spanish catalog (reference language: every key must exist here).
+
+export const ES_MESSAGES = {
+  "app.title": "Generador de QR WiFi",
+  "app.subtitle": "Descarga la etiqueta lista para NIIMBOT (50×30mm)",
+  "app.description": "Generador de QR WiFi (proyecto aislado)",
+  "app.language": "Idioma",
+  "offline.offline": "Sin conexión: las etiquetas se siguen generando, previsualizando y descargando en este dispositivo. La API no está disponible.",
+  "offline.ready": "La aplicación quedó guardada para usarse sin conexión.",
+  "offline.update": "Hay una nueva versión disponible.",
+  "offline.reload": "Actualizar",
+  "offline.later": "Más tarde",
+
+  "common.save": "Guardar",
+  "common.cancel": "Cancelar",
+  "common.remove": "Quitar",
+  "common.edit": "Editar",
+  "common.download": "Descargar",
+  "common.print": "Imprimir",
+  "common.moveUp": "Subir",
+  "common.moveDown": "Bajar",
+  "common.reset": "Restablecer",
+  "common.unknownError": "Error desconocido.",
+
+  "form.contentKind": "Tipo de contenido",
+  "form.ssid": "SSID",
+  "form.ssidPlaceholder": "Nombre de la red",
+  "form.networkType": "Tipo de red",
+  "form.password": "Contraseña",
+  "form.noPassword": "Sin contraseña",
+  "form.security": "Seguridad",
+  "form.hidden": "Red oculta",
+  "form.stickerLang": "Idioma de la etiqueta",
+  "form.add": "Agregar",
+  "form.bytes": "{count}/{max} bytes",
+  "form.passwordNotStored": "La contraseña no está guardada; ingrésala para reimprimir.",
+  "form.passwordInvalid": "La contraseña guardada de \"{ssid}\" no es válida: {error} Corrígela para reimprimir.",
+  "form.duplicate": "Ya hay una etiqueta para {what} en la posición {position}. ¿Agregar de todas formas?",
+
+  "security.wpa": "WPA/WPA2",
+  "security.sae": "WPA3-SAE",
+  "security.sae-transition": "WPA2/WPA3 (transición)",
+  "security.wep": "WEP",
+  "security.open": "Abierta (sin contraseña)",
+
+  "wifi.ssid.required": "Ingresa el SSID.",
+  "wifi.ssid.blank": "El SSID no puede ser solo espacios.",
+  "wifi.ssid.control": "El SSID contiene caracteres de control.",
+  "wifi.ssid.tooLong": "El SSID admite {max} bytes y tiene {bytes} (acentos y emoji ocupan más de uno).",
+  "wifi.password.required": "Ingresa la contraseña o elige Red abierta.",
+  "wifi.password.wepAscii": "La clave WEP solo admite caracteres ASCII imprimibles.",
+  "wifi.password.wepLength": "La clave WEP debe tener 5 o 13 caracteres, o 10 o 26 dígitos hexadecimales.",
+  "wifi.password.hex64": "Una clave de 64 caracteres debe ser hexadecimal.",
+  "wifi.password.tooShort": "La contraseña WPA debe tener al menos 8 caracteres (tiene {length}).",
+  "wifi.password.tooLong": "La contraseña WPA2 no puede exceder 63 caracteres (tiene {length}).",
+  "wifi.password.ascii": "La contraseña WPA2 solo admite caracteres ASCII imprimibles (sin acentos, ñ ni emoji).",
+
+  "readability.edgeSpace": "Empieza o termina con espacio: no se ve en la etiqueta.",
+  "readability.doubleSpace": "Tiene espacios dobles: en la etiqueta parecen uno solo.",
+  "readability.invisible": "Contiene espacios invisibles o de ancho cero que no se distinguen en la etiqueta.",
+  "readability.homoglyphs": "Mezcla letras latinas con griegas o cirílicas que se ven iguales.",
+  "readability.ambiguous": "Caracteres que se confunden al leerlos: {chars}.",
+
+  "content.wifi": "Red WiFi",
+  "content.group": "Varias redes (doble banda / mesh)",
+  "content.url": "Sitio web (URL)",
+  "content.vcard": "Contacto (vCard)",
+  "content.tel": "Llamada (tel:)",
+  "content.sms": "Mensaje SMS",
+  "content.email": "Correo (mailto:)",
+  "content.whatsapp": "WhatsApp",
+  "content.text": "Texto libre",
+  "content.field.url": "URL",
+  "content.field.caption": "Texto en etiqueta",
+  "content.field.firstName": "Nombre",
+  "content.field.lastName": "Apellidos",
+  "content.field.phone": "Teléfono",
+  "content.field.email": "Correo",
+  "content.field.org": "Empresa",
+  "content.field.jobTitle": "Puesto",
+  "content.field.message": "Mensaje",
+  "content.field.subject": "Asunto",
+  "content.field.countryCode": "Lada del país",
+  "content.field.prefilled": "Mensaje prellenado",
+  "content.field.text": "Texto",
+  "content.placeholder.visit": "Visítanos",
+  "content.placeholder.firstName": "Juan",
+  "content.placeholder.lastName": "Pérez",
+  "content.placeholder.jobTitle": "Técnico instalador",
+  "content.placeholder.support": "Soporte técnico",
+  "content.placeholder.smsMessage": "Hola, necesito soporte",
+  "content.placeholder.subject": "Soporte",
+  "content.placeholder.whatsappMessage": "Hola, necesito ayuda",
+  "content.error.phoneRequired": "Ingresa el teléfono.",
+  "content.error.phoneLength": "Revisa el teléfono: debe tener entre 7 y 15 dígitos.",
+  "content.error.whatsappLength": "El número debe tener entre 8 y 15 dígitos con lada.",
+  "content.error.urlRequired": "Ingresa la URL.",
+  "content.error.urlScheme": "La URL debe empezar con http:// o https://.",
+  "content.error.urlInvalid": "Revisa la URL.",
+  "content.error.nameRequired": "Ingresa el nombre del contacto.",
+  "content.error.emailRequired": "Ingresa el correo.",
+  "content.error.emailInvalid": "Revisa el correo.",
+  "content.error.phoneOrEmail": "Ingresa al menos un teléfono o correo.",
+  "content.error.textRequired": "Ingresa el texto.",
+  "content.error.textTooLong": "El texto es demasiado largo para una etiqueta.",
+
+  "sticker.open": "OPEN",
+  "sticker.scanMe": "Escanéame",
+  "sticker.website": "Sitio web",
+  "sticker.contact": "Contacto",
+  "sticker.call": "Llamar",
+  "sticker.email": "Correo",
+  "sticker.text": "Texto",
+  "sticker.brand.phone": "Soporte: {phone}",
+  "sticker.brand.whatsapp": "WhatsApp: {phone}",
+
+  "queue.count": "QRs agregados:",
+  "queue.saved": "Etiquetas guardadas:",
+  "queue.network": "Red:",
+  "queue.hidden": "Oculta",
+  "queue.pass": "Pass:",
+  "queue.preview": "Ver vista previa",
+  "queue.downloadAll": "Descargar todas (ZIP)",
+  "queue.verifyAll": "Verificar legibilidad",
+  "queue.zipName": "etiquetas-wifi.zip",
+  "queue.passwordMissing": "Contraseña no guardada: al descargarla o imprimirla pasa al formulario para ingresarla.",
+  "queue.passwordInvalid": "Contraseña guardada no válida: {error} Al descargarla o imprimirla pasa al formulario para corregirla.",
+  "queue.passwordsMissing": "{count} etiqueta(s) de la cola no tienen la contraseña guardada, o la tienen no válida; se omiten al descargar o imprimir toda la cola.",
+  "queue.skippedNoPassword": "Se omitió: la contraseña no está guardada.",
+  "queue.skippedInvalidPassword": "Se omitió: la contraseña guardada no es válida. {error}",
+
+  "export.format": "Formato de descarga",
+  "export.format.png": "PNG (imagen)",
+  "export.format.svg": "SVG (vectorial)",
+  "export.dpi": "Resolución",
+  "export.dpi.template": "De la plantilla ({dpi} dpi)",
+  "export.size": "Tamaño impreso",
+  "export.size.option": "{width}×{height} mm ({scale}×)",
+  "export.summary.png": "{width}×{height} px a {dpi} dpi. El diseño es el mismo en todos los formatos; el PDF y la impresora usan siempre la plantilla.",
+  "export.summary.svg": "QR y texto vectoriales, logos incrustados. El diseño es el mismo en todos los formatos; el PDF y la impresora usan siempre la plantilla.",
+  "export.download": "Descargar {format}",
+
+  "batch.running": "Generando",
+  "batch.done": "Listo",
+  "batch.verify": "Verificación",
+  "batch.print": "Impresión",
+  "batch.failed": "No se pudieron generar {count} etiqueta(s):",
+  "batch.verifyOk": "Las {count} etiqueta(s) se leen correctamente, también al simular la impresión.",
+  "batch.verifyProblems": "{count} etiqueta(s) podrían no escanearse:",
+
+  "error.qr": "No se pudo generar el código QR.",
+  "error.sticker": "No se pudo generar la etiqueta.",
+  "error.pdf": "No se pudo generar el PDF.",
+
+  "pdf.format": "Formato PDF",
+  "pdf.layout.label": "Rollo 50×30mm (una por página)",
+  "pdf.layout.sheet": "Hoja A4 de etiquetas",
+  "pdf.includeAttention": "Incluir etiqueta de atención",
+  "pdf.marginX": "Margen horizontal (mm)",
+  "pdf.marginY": "Margen vertical (mm)",
+  "pdf.columns": "Columnas",
+  "pdf.rows": "Filas",
+  "pdf.gutterX": "Separación horizontal (mm)",
+  "pdf.gutterY": "Separación vertical (mm)",
+  "pdf.download": "Descargar PDF",
+  "pdf.fileName": "etiquetas-wifi.pdf",
+  "pdf.sheetFileName": "etiquetas-wifi-hoja.pdf",
+  "pdf.error.gridTooBig": "La cuadrícula no cabe en la hoja con esos márgenes.",
+  "pdf.error.empty": "No hay etiquetas para exportar.",
+
+  "canvas.error.loadImage": "No se pudo cargar la imagen: {src}",
+  "canvas.error.readImage": "No se pudo leer la imagen.",
+  "canvas.error.imagePath": "Ruta de imagen no permitida: {src}",
+
+  "qr.level.L": "L · 7%",
+  "qr.level.M": "M · 15%",
+  "qr.level.Q": "Q · 25%",
+  "qr.level.H": "H · 30% (exterior)",
+  "qr.error.inverted": "El color del código debe ser más oscuro que el fondo: muchos lectores no leen QR invertidos.",
+  "qr.error.contrast": "Los colores tienen muy poco contraste para escanearse de forma confiable.",
+  "qr.error.logoLevelL": "El nivel L no tolera un logo central; usa M, Q o H.",
+  "qr.error.logoTooBig": "Con nivel {level} el logo central puede ocupar hasta {max}% del ancho del QR.",
+
+  "verify.unreadable": "El QR de la etiqueta no se pudo leer.",
+  "verify.mismatch": "El QR se lee, pero no coincide con el contenido esperado.",
+  "verify.printUnreadable": "El QR no se pudo leer al simular la impresión a {dpi} dpi.",
+  "verify.moduleTooSmall":
+    "Cada módulo del QR mide {mm} mm ({dots} puntos a {dpi} dpi); se recomienda al menos {min} mm.",
+
+  "preview.title": "Vista previa",
+  "preview.orientation": "Orientación de la vista previa",
+  "preview.orientation.label": "Como se imprime",
+  "preview.orientation.file": "Como queda el archivo (rotado)",
+  "preview.alt": "Vista previa de la etiqueta",
+  "preview.empty": "Escribe un SSID para ver la etiqueta.",
+  "preview.verified": "QR verificado · módulo de {mm} mm impreso.",
+  "preview.passOverflow": "La contraseña no cabe aun con la letra mínima: se recortará en la etiqueta.",
+  "preview.passShrunk": "La contraseña se redujo a {px}px para caber.",
+  "preview.ssidOverflow": "El SSID no cabe aun con la letra mínima: se recortará en la etiqueta.",
+  "preview.qrShrunk": "El QR se redujo a {px}px para dejar espacio al texto.",
+  "preview.overflow": "El contenido no cabe en la etiqueta con esta plantilla.",
+  "preview.groupSplit": "Las redes no caben legibles en una sola etiqueta: se imprimirán {count} etiquetas, una por red.",
+
+  "group.network": "Red {n}",
+  "group.label": "Nombre en etiqueta",
+  "group.labelPlaceholder": "Ej. Invitados (opcional)",
+  "group.addNetwork": "Agregar red",
+  "group.removeNetwork": "Quitar red",
+  "group.hint": "Se imprimen lado a lado en una etiqueta; si no caben legibles, una etiqueta por red.",
+  "group.error.tooFew": "Agrega al menos {min} redes.",
+  "group.error.tooMany": "Máximo {max} redes por etiqueta.",
+  "group.error.network": "Red {n}: {error}",
+  "group.error.duplicate": "La red \"{ssid}\" está repetida con la misma banda.",
+
+  "password.generate": "Generar contraseña",
+  "password.options": "Opciones del generador",
+  "password.mode": "Tipo",
+  "password.length": "Longitud (8–63)",
+  "password.mode.random": "Aleatoria",
+  "password.mode.syllables": "Pronunciable",
+  "password.mode.words": "Palabras",
+  "password.charset.lower": "Minúsculas",
+  "password.charset.upper": "Mayúsculas",
+  "password.charset.digits": "Números",
+  "password.charset.symbols": "Símbolos",
+  "password.avoidAmbiguous": "Evitar caracteres ambiguos (0/O, 1/l/I)",
+  "password.strength.0": "Muy débil",
+  "password.strength.1": "Débil",
+  "password.strength.2": "Aceptable",
+  "password.strength.3": "Fuerte",
+  "password.strength.4": "Muy fuerte",
+  "password.warning.escaped": "Contiene {chars}: el QR los escapa y en la etiqueta son difíciles de leer.",
+  "password.warning.nonAscii": "Contiene caracteres fuera de ASCII (acentos, ñ): algunos equipos no los aceptan.",
+
+  "template.summary": "Plantilla:",
+  "template.select": "Plantilla de etiqueta",
+  "template.custom": "(personalizada)",
+  "template.copySuffix": "(copia)",
+  "template.duplicate": "Duplicar",
+  "template.duplicateToEdit": "Duplicar para editar",
+  "template.delete": "Eliminar",
+  "template.confirmDelete": "¿Eliminar la plantilla \"{name}\"?",
+  "template.name": "Nombre",
+  "template.untitled": "Plantilla sin nombre",
+  "template.error.tooLarge": "La etiqueta mide {width}×{height} px y el máximo es de {max} megapíxeles. Reduce el tamaño o la resolución.",
+  "template.widthMm": "Ancho (mm)",
+  "template.heightMm": "Alto (mm)",
+  "template.dpi": "Resolución (dpi)",
+  "template.textScale": "Escala de texto",
+  "template.rotate": "Rotar 90° (diseño vertical, como lo espera la app NIIMBOT)",
+  "template.font": "Fuente",
+  "template.logo": "Logo",
+  "template.footer": "Ícono inferior",
+  "template.qr": "Código QR",
+  "template.qrLevel": "Corrección de errores",
+  "template.qrMargin": "Margen del QR (módulos)",
+  "template.qrFg": "Color del código",
+  "template.qrBg": "Color de fondo",
+  "template.qrLogo": "Logo al centro del QR",
+  "template.qrNoLogo": "Sin logo",
+  "template.qrLogoScale": "Tamaño del logo (% del QR)",
+  "template.fields": "Campos (en orden, de arriba a abajo)",
+  "template.field.logo": "Logo",
+  "template.field.qr": "QR",
+  "template.field.password": "Contraseña",
+  "template.field.ssid": "SSID",
+  "template.field.band": "Banda / seguridad",
+  "template.field.customer": "Cliente / sitio",
+  "template.field.support": "Soporte (marca)",
+  "template.field.footer": "Ícono WiFi",
+  "template.asset.red7Dark": "Red7 (oscuro)",
+  "template.asset.altLogo": "Logo alterno",
+  "template.asset.wifiIcon": "Ícono WiFi",
+  "template.asset.custom": "Imagen personalizada",
+  "customer.title": "Clientes / sitios:",
+  "customer.assign": "Cliente / sitio",
+  "customer.filter": "Filtrar por cliente",
+  "customer.all": "Todos los clientes",
+  "customer.none": "Sin cliente",
+  "customer.label": "Cliente:",
+  "customer.add": "Nuevo cliente",
+  "customer.export": "Exportar JSON",
+  "customer.import": "Importar JSON",
+  "customer.imported": "Se importaron {customers} cliente(s) y {networks} red(es) al historial.",
+  "customer.networks": "{count} etiqueta(s)",
+  "customer.confirmDelete": "¿Eliminar el cliente \"{name}\"? Sus etiquetas quedan en la cola y el historial, sin cliente.",
+  "customer.fileName": "clientes-{date}.json",
+  "customer.show": "Imprimir en la etiqueta",
+  "customer.internal": "Solo interno",
+  "customer.hint": "Los datos marcados para imprimir salen donde la plantilla tenga el campo \"Cliente / sitio\". El JSON exportado lleva cada cliente con las redes impresas para él, sin contraseñas.",
+  "customer.field.name": "Cliente",
+  "customer.field.address": "Dirección / sitio",
+  "customer.field.account": "Número de cuenta",
+  "customer.field.installDate": "Fecha de instalación",
+  "customer.field.notes": "Notas",
+  "customer.placeholder.name": "Ej: Juan Pérez",
+  "customer.placeholder.address": "Ej: Av. Revolución 123, Tijuana",
+  "customer.placeholder.account": "Ej: 100234",
+  "customer.error.nameRequired": "El cliente necesita un nombre.",
+  "customer.error.date": "La fecha de instalación no es válida.",
+  "customer.error.importJson": "El archivo no es un JSON válido.",
+  "customer.error.importFormat": "El archivo no es una exportación de clientes.",
+  "brand.title": "Marcas:",
+  "brand.assign": "Marca",
+  "brand.none": "La de la plantilla",
+  "brand.label": "Marca:",
+  "brand.add": "Nueva marca",
+  "brand.export": "Exportar JSON",
+  "brand.import": "Importar JSON",
+  "brand.imported": "Se importaron {count} marca(s).",
+  "brand.confirmDelete": "¿Eliminar la marca \"{name}\"? Sus etiquetas usarán el logo y el pie de la plantilla.",
+  "brand.fileName": "marcas-{date}.json",
+  "brand.fromTemplate": "El de la plantilla",
+  "brand.hint": "El logo y el ícono de pie de la marca reemplazan a los de la plantilla; la línea de soporte (la línea de pie, o si no el teléfono y el WhatsApp) sale donde la plantilla tenga el campo \"Soporte (marca)\", y el color de acento se usa en esa línea y en la de banda / seguridad. En impresoras térmicas usa un acento oscuro: los colores claros no se imprimen. Los logos nuevos se agregan en el panel \"Logos\". El JSON exportado lleva las imágenes incrustadas.",
+  "brand.field.name": "Nombre",
+  "brand.field.logo": "Logo",
+  "brand.field.footer": "Ícono de pie",
+  "brand.field.phone": "Teléfono de soporte",
+  "brand.field.whatsapp": "WhatsApp",
+  "brand.field.footerLine": "Línea de pie (opcional, reemplaza teléfono y WhatsApp)",
+  "brand.field.accent": "Color de acento",
+  "brand.placeholder.name": "Ej: Red7 Telecomunicaciones",
+  "brand.placeholder.phone": "Ej: 664 123 4567",
+  "brand.placeholder.footerLine": "Ej: Soporte: 664 123 4567 · red7.mx",
+  "brand.error.nameRequired": "La marca necesita un nombre.",
+  "brand.error.accent": "El color de acento debe ser #rrggbb.",
+  "brand.error.phone": "El teléfono y el WhatsApp solo admiten dígitos, espacios, guiones, paréntesis y un + inicial.",
+  "brand.error.image": "El logo y el ícono deben ser imágenes incrustadas o recursos incluidos.",
+  "brand.error.embed": "No se pudo incrustar la imagen {src}.",
+  "brand.error.storage": "No se pudieron guardar las marcas: el almacenamiento del navegador está lleno.",
+  "brand.error.importJson": "El archivo no es un JSON válido.",
+  "brand.error.importFormat": "El archivo no es una exportación de marcas.",
+  "logo.title": "Logos",
+  "logo.upload": "Subir imagen",
+  "logo.fromAsset": "O partir de un logo incluido",
+  "logo.pickAsset": "Elegir…",
+  "logo.trim": "Recortar márgenes del fondo",
+  "logo.invert": "Invertir (logo claro sobre fondo oscuro)",
+  "logo.mode": "Conversión a blanco y negro",
+  "logo.mode.threshold": "Umbral (arte plano)",
+  "logo.mode.dither": "Tramado (degradados y fotos)",
+  "logo.threshold": "Umbral: {value}",
+  "logo.original": "Original",
+  "logo.processed": "Para imprimir",
+  "logo.size": "{w}×{h}px (original {sw}×{sh}px)",
+  "logo.name": "Nombre",
+  "logo.save": "Guardar logo",
+  "logo.saved": "Logo guardado. Ya aparece en los selectores de logo de las plantillas.",
+  "logo.list": "Logos guardados",
+  "logo.hint": "Quitar un logo no cambia las plantillas que ya lo usan.",
+  "logo.untitled": "Logo sin nombre",
+  "logo.error.read": "No se pudo leer el archivo.",
+  "logo.error.process": "No se pudo procesar la imagen.",
+  "logo.error.type": "El archivo no es una imagen.",
+  "logo.error.tooLarge": "La imagen supera los {mb} MB.",
+  "logo.error.storage": "No se pudo guardar el logo: el almacenamiento del navegador está lleno.",
+  "template.builtIn.niimbot-b1-50x30": "NIIMBOT B1 · 50×30mm",
+  "template.builtIn.roll-40x30": "Rollo 40×30mm",
+  "template.builtIn.niimbot-d11-12x40": "NIIMBOT D11 · 12×40mm",
+  "template.builtIn.alt-brand-50x30": "Marca alterna · 50×30mm",
+
+  "attention.title": "Etiqueta de atención al cliente",
+  "attention.headline1": "¡Atención al cliente",
+  "attention.headline2": "por WhatsApp!",
+  "attention.contactLabel": "Llámanos:",
+  "attention.field.headline1": "Encabezado (línea 1)",
+  "attention.field.headline2": "Encabezado (línea 2)",
+  "attention.field.contactLabel": "Texto de contacto",
+  "attention.field.phone": "Teléfono / WhatsApp",
+  "attention.field.countryCode": "Lada del país",
+  "attention.field.message": "Mensaje prellenado (opcional)",
+  "attention.placeholder.message": "Hola, necesito ayuda con mi servicio de internet.",
+  "attention.opens": "El QR abrirá:",
+  "attention.download": "Descargar etiqueta de atención",
+  "attention.fileName": "Atencion al cliente.png",
+  "attention.error.phoneRequired": "Ingresa el número de WhatsApp.",
+  "attention.error.phoneLength": "El número de WhatsApp debe tener entre 8 y 15 dígitos con lada.",
+  "attention.error.headlineRequired": "Ingresa el texto del encabezado.",
+
+  "printer.title": "Impresión directa NIIMBOT",
+  "printer.model": "Modelo",
+  "printer.connection": "Conexión",
+  "printer.connection.bluetooth": "Bluetooth",
+  "printer.connection.usb": "USB",
+  "printer.connection.simulated": "Simulada (sin impresora)",
+  "printer.simulatedName": "Impresora simulada",
+  "printer.density": "Densidad ({min}–{max})",
+  "printer.copies": "Copias por etiqueta",
+  "printer.printAll": "Imprimir todas",
+  "printer.connect": "Conectar impresora",
+  "printer.disconnect": "Desconectar",
+  "printer.connected": "Conectada: {name}.",
+  "printer.printing": "Imprimiendo…",
+  "printer.printed": "Impresas: {count} de {total}.",
+  "printer.notSelected": "No se seleccionó ninguna impresora.",
+  "printer.connectFailed": "No se pudo conectar.",
+  "printer.notReady": "La impresora no está lista.",
+  "printer.error.cover-open": "La tapa de la impresora está abierta.",
+  "printer.error.paper-out": "La impresora no tiene etiquetas.",
+  "printer.error.low-battery": "Batería baja.",
+  "printer.error.battery": "Falla de batería.",
+  "printer.error.cancelled": "Impresión cancelada en la impresora.",
+  "printer.error.data": "La impresora rechazó los datos.",
+  "printer.error.overheat": "El cabezal está sobrecalentado.",
+  "printer.error.paper-jam": "Atasco al expulsar la etiqueta.",
+  "printer.error.busy": "La impresora está ocupada.",
+  "printer.error.unknown": "Error de la impresora.",
+  "printer.error.canvas": "No se pudo preparar la imagen para la impresora.",
+  "printer.error.timeout": "La impresora no respondió.",
+  "printer.error.unfinished": "La impresora no terminó la impresión.",
+  "printer.error.too-wide": "La imagen excede el ancho del cabezal ({px} puntos).",
+  "printer.error.noBluetooth": "Este navegador no soporta Bluetooth web (usa Chrome o Edge).",
+  "printer.error.noSerial": "Este navegador no soporta USB serie web (usa Chrome o Edge).",
+
+  "import.title": "Importar CSV / pegar desde Excel",
+  "import.file": "Archivo CSV",
+  "import.paste": "O pega las filas (SSID, contraseña, banda, abierta)",
+  "import.pastePlaceholder": "SSID\tContraseña\tBanda\tAbierta",
+  "import.hasHeader": "La primera fila es encabezado",
+  "import.unused": "(no usar)",
+  "import.column": "Columna {n}",
+  "import.status": "Estado",
+  "import.okOpen": "OK (abierta)",
+  "import.duplicateQueue": "Duplicada: ya está en la cola (posición {position})",
+  "import.duplicateRow": "Duplicada: igual a la fila {row}",
+  "import.includeDuplicates": "Agregar también las {count} fila(s) duplicada(s)",
+  "import.submit": "Agregar {valid} de {total} fila(s)",
+  "import.added": "Se agregaron {count} red(es) a la cola.",
+  "import.readFailed": "No se pudo leer el archivo.",
+  "import.field.ssid": "SSID",
+  "import.field.password": "Contraseña",
+  "import.field.networkType": "Banda",
+  "import.field.open": "Abierta / cerrada",
+  "import.field.security": "Seguridad",
+  "import.field.hidden": "Oculta",
+  "import.error.unknownSecurity": "Seguridad desconocida: \"{value}\".",
+
+  "scan.title": "Escanear un QR existente",
+  "scan.fromImage": "Desde foto o imagen",
+  "scan.reading": "Leyendo…",
+  "scan.camera": "Usar la cámara",
+  "scan.stopCamera": "Detener la cámara",
+  "scan.loadForm": "Cargar en el formulario",
+  "scan.addQueue": "Agregar a la cola",
+  "scan.loaded": "\"{ssid}\" quedó en el formulario.",
+  "scan.added": "\"{ssid}\" se agregó a la cola.",
+  "scan.skipped": "No se agregó: ya está en la cola.",
+  "scan.hint": "Lee el QR de una etiqueta dañada para reimprimirla sin pedir la contraseña. El QR no incluye la banda: se usa la elegida en el formulario.",
+  "scan.error.noQr": "No se encontró ningún código QR en la imagen.",
+  "scan.error.notWifi": "El QR no es de una red WiFi.",
+  "scan.error.noSsid": "El QR de WiFi no trae el nombre de la red.",
+  "scan.error.image": "No se pudo leer la imagen.",
+  "scan.error.camera": "No se pudo abrir la cámara.",
+  "history.title": "Historial:",
+  "history.storePasswords": "Guardar contraseñas en este navegador",
+  "history.search": "Buscar por SSID",
+  "history.searchLabel": "Buscar en historial",
+  "history.clear": "Borrar todo",
+  "history.confirmClear": "¿Borrar todo el historial de etiquetas?",
+  "history.notStored": "(no guardada)",
+  "history.hide": "Ocultar",
+  "history.show": "Ver",
+  "history.reprint": "Reimprimir",
+  "history.retype": "Ingresar contraseña",
+  "history.empty": "Sin resultados.",
+
+  "api.error.unknownTemplate": "Plantilla desconocida: {value}. Disponibles: {ids}.",
+  "api.error.customerType": "El cliente debe ser un objeto.",
+  "api.error.brandType": "La marca debe ser un objeto.",
+  "api.error.templateType": "La plantilla debe ser un id o un objeto.",
+  "api.error.unknownKind": "Tipo de contenido desconocido: {kind}.",
+  "api.error.invalidJson": "El cuerpo debe ser JSON válido.",
+  "api.error.notObject": "El cuerpo debe ser un objeto JSON.",
+  "api.error.format": "Formato no soportado: {format}. Usa \"png\", \"svg\" o \"pdf\".",
+  "api.error.dpi": "Resolución no soportada: {dpi}. Usa {dpis}.",
+  "api.error.scale": "Escala no soportada: {scale}. Usa un entero de 1 a {max}.",
+  "api.error.orientation": "Orientación no soportada: {orientation}. Usa \"file\" o \"label\".",
+  "api.error.pdfOrientation": "El PDF siempre usa la orientación del archivo.",
+  "api.error.image": "No se pudo cargar la imagen de {field}: usa una data URL válida o la ruta de un recurso incluido.",
+  "api.error.passwordClipped": "La contraseña de {ssid} no cabe en la etiqueta ni con la letra mínima: usa una plantilla más grande o una contraseña más corta.",
+  "api.error.ssidClipped": "El SSID {ssid} no cabe en la etiqueta ni con la letra mínima: usa una plantilla más grande.",
+};
@@ -0,0 +1,392 @@
+// NIIMBOT printer driver: packet protocol, 1-bit rasterization and transports
+// (Web Bluetooth, USB through Web Serial, and a simulated printer that records
+// every packet so the print flow can be exercised without hardware).
+//
+// Packet: 55 55 | cmd | len | data... | xor(cmd, len, data) | AA AA
+
+import { createCanvas } from "./canvas";
+import { t } from "./i18n";
+
+export const PRINTER_MODELS = [
+  // B1 and D11 both print at 203 dpi; the printhead width bounds the label side across it.
+  { value: "b1", label: "NIIMBOT B1", dpi: 203, printheadPx: 384, protocol: 2, density: { min: 1, max: 5, default: 3 } },
+  { value: "d11", label: "NIIMBOT D11", dpi: 203, printheadPx: 96, protocol: 1, density: { min: 1, max: 3, default: 2 } },
+];
+
+export const getPrinterModel = (value) => PRINTER_MODELS.find((m) => m.value === value) || PRINTER_MODELS[0];
+
+export const CMD = {
+  START_PRINT: 0x01,
+  START_PAGE_PRINT: 0x03,
+  SET_DIMENSION: 0x13,
+  SET_QUANTITY: 0x15,
+  SET_LABEL_DENSITY: 0x21,
+  SET_LABEL_TYPE: 0x23,
+  GET_INFO: 0x40,
+  IMAGE_ROW: 0x85,
+  GET_PRINT_STATUS: 0xa3,
+  ERROR: 0xdb,
+  HEARTBEAT: 0xdc,
+  END_PAGE_PRINT: 0xe3,
+  END_PRINT: 0xf3,
+};
+
+// Responses echo the request code + 1, except heartbeat (several variants) and errors.
+const RESPONSE = {
+  [CMD.START_PRINT]: [0x02],
+  [CMD.START_PAGE_PRINT]: [0x04],
+  [CMD.SET_DIMENSION]: [0x14],
+  [CMD.SET_QUANTITY]: [0x16],
+  [CMD.SET_LABEL_DENSITY]: [0x31],
+  [CMD.SET_LABEL_TYPE]: [0x33],
+  [CMD.GET_PRINT_STATUS]: [0xb3],
+  [CMD.HEARTBEAT]: [0xdd, 0xde, 0xdf, 0xd9],
+  [CMD.END_PAGE_PRINT]: [0xe4],
+  [CMD.END_PRINT]: [0xf4],
+};
+
+// Printer error codes reported in 0xDB packets.
+export const PRINTER_ERRORS = {
+  1: "cover-open",
+  2: "paper-out",
+  3: "low-battery",
+  4: "battery",
+  5: "cancelled",
+  6: "data",
+  7: "overheat",
+  8: "paper-jam",
+  9: "busy",
+};
+
+// The message comes from the catalog (`printer.error.<code>` unless `key` says otherwise).
+export const printerError = (code, key = `printer.error.${code}`, params) =>
+  Object.assign(new Error(t(key, params)), { code });
+
+export const encodePacket = (cmd, data = []) => {
+  const body = Uint8Array.from(data);
+  const out = new Uint8Array(body.length + 7);
+  out[0] = 0x55;
+  out[1] = 0x55;
+  out[2] = cmd;
+  out[3] = body.length;
+  out.set(body, 4);
+  let checksum = cmd ^ body.length;
+  for (const b of body) checksum ^= b;
+  out[4 + body.length] = checksum;
+  out[5 + body.length] = 0xaa;
+  out[6 + body.length] = 0xaa;
+  return out;
+};
+
+// Streaming decoder: feed it transport chunks, it calls `onPacket({ cmd, data })`.
+export const createPacketParser = (onPacket) => {
+  let buffer = new Uint8Array(0);
+  return (chunk) => {
+    const merged = new Uint8Array(buffer.length + chunk.length);
+    merged.set(buffer);
+    merged.set(chunk, buffer.length);
+    buffer = merged;
+
+    for (;;) {
+      const start = buffer.findIndex((b, i) => b === 0x55 && buffer[i + 1] === 0x55);
+      if (start < 0) {
+        buffer = buffer.slice(buffer.length && buffer[buffer.length - 1] === 0x55 ? buffer.length - 1 : buffer.length);
+        return;
+      }
+      if (buffer.length < start + 7) {
+        buffer = buffer.slice(start);
+        return;
+      }
+      const len = buffer[start + 3];
+      const end = start + 7 + len;
+      if (buffer.length < end) {
+        buffer = buffer.slice(start);
+        return;
+      }
+      const cmd = buffer[start + 2];
+      const data = buffer.slice(start + 4, start + 4 + len);
+      let checksum = cmd ^ len;
+      for (const b of data) checksum ^= b;
+      const valid = checksum === buffer[start + 4 + len] && buffer[end - 2] === 0xaa && buffer[end - 1] === 0xaa;
+      buffer = buffer.slice(valid ? end : start + 2);
+      if (valid) onPacket({ cmd, data });
+    }
+  };
+};
+
+const u16 = (n) => [(n >> 8) & 0xff, n & 0xff];
+
+// Converts a sticker canvas to printer rows: scaled to the label size at the
+// printer dpi, turned 90° when the label is longer than the printhead allows,
+// thresholded to 1 bit (1 = burn). Returns { width, height, rows: Uint8Array[] }.
+export const rasterizeForPrinter = (source, { widthMm, heightMm, dpi, printheadPx, threshold = 128 }) => {
+  let w = Math.round((widthMm / 25.4) * dpi);
+  let h = Math.round((heightMm / 25.4) * dpi);
+  // Labels slightly wider than the head (50 mm on the B1's 48 mm) still go
+  // across it, scaled down; clearly longer ones (D11 12×40) are fed lengthwise.
+  const rotate = w > printheadPx * 1.1 && h <= printheadPx;
+  if (rotate) [w, h] = [h, w];
+  if (w > printheadPx) {
+    h = Math.round((h * printheadPx) / w);
+    w = printheadPx;
+  }
+
+  const c = createCanvas(w, h);
+  const ctx = c.getContext("2d", { willReadFrequently: true });
+  if (!ctx) throw printerError("canvas");
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, w, h);
+  ctx.imageSmoothingEnabled = true;
+  if (rotate) {
+    // 90° clockwise, same mapping as the sticker export.
+    ctx.translate(w, 0);
+    ctx.rotate(Math.PI / 2);
+    ctx.drawImage(source, 0, 0, h, w);
+  } else {
+    ctx.drawImage(source, 0, 0, w, h);
+  }
+
+  const { data } = ctx.getImageData(0, 0, w, h);
+  const bytesPerRow = Math.ceil(w / 8);
+  const rows = [];
+  for (let y = 0; y < h; y += 1) {
+    const row = new Uint8Array(bytesPerRow);
+    for (let x = 0; x < w; x += 1) {
+      const i = (y * w + x) * 4;
+      const a = data[i + 3] / 255;
+      const luma = (0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2]) * a + 255 * (1 - a);
+      if (luma < threshold) row[x >> 3] |= 0x80 >> (x & 7);
+    }
+    rows.push(row);
+  }
+  return { width: w, height: h, rows };
+};
+
+// Heartbeat payload layouts differ per firmware; all carry cover and paper state.
+const parseHeartbeat = (data) => {
+  const at = { 20: [18, 19], 19: [15, 17], 13: [9, 11], 10: [8, null] }[data.length];
+  if (!at) return { coverOpen: false, paperOut: false };
+  const [cover, paper] = at;
+  return {
+    coverOpen: data[cover] === 1,
+    paperOut: paper != null ? data[paper] === 1 : false,
+  };
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Talks to one printer over `transport` ({ write(bytes), onData(cb), close() }).
+// `pollMs` spaces the status polls while a job finishes (100 before giving up).
+export const createNiimbotClient = (transport, model, { timeoutMs = 3000, pollMs = 150 } = {}) => {
+  const waiting = [];
+
+  transport.onData(
+    createPacketParser((packet) => {
+      if (packet.cmd === CMD.ERROR) {
+        const code = PRINTER_ERRORS[packet.data[0]] || "unknown";
+        waiting.splice(0).forEach((w) => w.reject(printerError(code)));
+        return;
+      }
+      const index = waiting.findIndex((w) => w.codes.includes(packet.cmd));
+      if (index >= 0) waiting.splice(index, 1)[0].resolve(packet);
+    })
+  );
+
+  const send = (cmd, data) => transport.write(encodePacket(cmd, data));
+
+  const transceive = async (cmd, data = [1]) => {
+    const codes = RESPONSE[cmd] || [cmd + 1];
+    const response = new Promise((resolve, reject) => {
+      const entry = { codes, resolve, reject };
+      waiting.push(entry);
+      setTimeout(() => {
+        const i = waiting.indexOf(entry);
+        if (i < 0) return;
+        waiting.splice(i, 1);
+        reject(printerError("timeout"));
+      }, timeoutMs);
+    });
+    await send(cmd, data);
+    return response;
+  };
+
+  const getStatus = async () => parseHeartbeat((await transceive(CMD.HEARTBEAT, [1])).data);
+
+  const checkReady = async () => {
+    const status = await getStatus();
+    if (status.coverOpen) throw printerError("cover-open");
+    if (status.paperOut) throw printerError("paper-out");
+    return status;
+  };
+
+  // bitmap: result of `rasterizeForPrinter`.
+  const print = async (bitmap, { density = model.density.default, quantity = 1, onProgress } = {}) => {
+    if (bitmap.width > model.printheadPx) {
+      throw printerError("too-wide", undefined, { px: model.printheadPx });
+    }
+    await checkReady();
+    await transceive(CMD.SET_LABEL_DENSITY, [Math.max(model.density.min, Math.min(model.density.max, density))]);
+    await transceive(CMD.SET_LABEL_TYPE, [1]); // 1 = labels with gaps
+    if (model.protocol === 2) {
+      await transceive(CMD.START_PRINT, [0x00, ...u16(quantity), 0x00, 0x00, 0x00, 0x00]);
+      await transceive(CMD.START_PAGE_PRINT, [1]);
+      await transceive(CMD.SET_DIMENSION, [...u16(bitmap.height), ...u16(bitmap.width), ...u16(quantity)]);
+    } else {
+      await transceive(CMD.START_PRINT, [1]);
+      await transceive(CMD.START_PAGE_PRINT, [1]);
+      await transceive(CMD.SET_DIMENSION, [...u16(bitmap.height), ...u16(bitmap.width)]);
+      await transceive(CMD.SET_QUANTITY, u16(quantity));
+    }
+
+    for (let y = 0; y < bitmap.rows.length; y += 1) {
+      // Row header: y, three per-section dot counts (the printer accepts zeros), repeat count.
+      await send(CMD.IMAGE_ROW, [...u16(y), 0, 0, 0, 1, ...bitmap.rows[y]]);
+      if (onProgress && y % 16 === 0) onProgress({ stage: "rows", done: y, total: bitmap.rows.length });
+    }
+    await transceive(CMD.END_PAGE_PRINT, [1]);
+
+    // Poll until the printer reports every copy printed.
+    let page = 0;
+    for (let i = 0; i < 100 && page < quantity; i += 1) {
+      if (i > 0) await sleep(pollMs);
+      const { data } = await transceive(CMD.GET_PRINT_STATUS, [1]);
+      page = (data[0] << 8) | data[1];
+      if (onProgress) onProgress({ stage: "printing", done: page, total: quantity });
+    }
+    if (page < quantity) throw printerError("timeout", "printer.error.unfinished");
+    for (let i = 0; i < 20; i += 1) {
+      const { data } = await transceive(CMD.END_PRINT, [1]);
+      if (data[0]) return;
+      await sleep(pollMs);
+    }
+    throw printerError("timeout", "printer.error.unfinished");
+  };
+
+  return { getStatus, checkReady, print, close: () => transport.close() };
+};
+
+// Web Bluetooth transport (NIIMBOT serial-over-BLE service).
+const BLE_SERVICE = "e7810a71-73ae-499d-8c15-faa9aef0c3f2";
+const BLE_CHARACTERISTIC = "bef8d6c9-9c21-4c9e-b632-bd58c1009f9f";
+
+export const connectBluetooth = async () => {
+  if (typeof navigator === "undefined" || !navigator.bluetooth) {
+    throw printerError("unsupported", "printer.error.noBluetooth");
+  }
+  const device = await navigator.bluetooth.requestDevice({
+    filters: [{ namePrefix: "B1" }, { namePrefix: "D11" }, { namePrefix: "D110" }, { services: [BLE_SERVICE] }],
+    optionalServices: [BLE_SERVICE],
+  });
+  const server = await device.gatt.connect();
+  const service = await server.getPrimaryService(BLE_SERVICE);
+  const characteristic = await service.getCharacteristic(BLE_CHARACTERISTIC);
+  await characteristic.startNotifications();
+
+  let listener = null;
+  characteristic.addEventListener("characteristicvaluechanged", (e) => {
+    const v = e.target.value;
+    if (listener) listener(new Uint8Array(v.buffer, v.byteOffset, v.byteLength));
+  });
+
+  return {
+    name: device.name || "NIIMBOT",
+    write: (bytes) => characteristic.writeValueWithoutResponse(bytes),
+    onData: (cb) => {
+      listener = cb;
+    },
+    close: async () => device.gatt.disconnect(),
+  };
+};
+
+// USB transport. The printers enumerate as a USB CDC serial device, which
+// WebUSB cannot claim, so the USB path goes through the Web Serial API.
+export const connectUsb = async () => {
+  if (typeof navigator === "undefined" || !navigator.serial) {
+    throw printerError("unsupported", "printer.error.noSerial");
+  }
+  const port = await navigator.serial.requestPort();
+  await port.open({ baudRate: 115200 });
+  const writer = port.writable.getWriter();
+  const reader = port.readable.getReader();
+  let listener = null;
+  let open = true;
+
+  (async () => {
+    while (open) {
+      const { value, done } = await reader.read().catch(() => ({ done: true }));
+      if (done) break;
+      if (value && listener) listener(value);
+    }
+  })();
+
+  return {
+    name: "NIIMBOT (USB)",
+    write: (bytes) => writer.write(bytes),
+    onData: (cb) => {
+      listener = cb;
+    },
+    close: async () => {
+      open = false;
+      await reader.cancel().catch(() => {});
+      reader.releaseLock();
+      writer.releaseLock();
+      await port.close();
+    },
+  };
+};
+
+// In-memory printer: answers like the firmware and keeps every packet it got in
+// `sent`. `state` simulates conditions (`coverOpen`, `paperOut`, `stalled`: the
+// page never finishes, `errorOn: { [cmd]: code }`).
+export const createSimulatedTransport = (state = {}) => {
+  const sent = [];
+  let listener = null;
+  // Copies of the current job: START_PRINT / SET_DIMENSION (protocol 2) or SET_QUANTITY (protocol 1).
+  let quantity = 1;
+  let printedPages = 0;
+  const reply = (cmd, data) => setTimeout(() => listener && listener(encodePacket(cmd, data)), 0);
+
+  const handle = ({ cmd, data }) => {
+    sent.push({ cmd, data: Array.from(data) });
+    if (state.errorOn && state.errorOn[cmd]) return reply(CMD.ERROR, [state.errorOn[cmd]]);
+    switch (cmd) {
+      case CMD.HEARTBEAT: {
+        const payload = new Array(13).fill(0);
+        payload[9] = state.coverOpen ? 1 : 0;
+        payload[11] = state.paperOut ? 1 : 0;
+        return reply(0xdd, payload);
+      }
+      case CMD.START_PRINT:
+        printedPages = 0;
+        quantity = data.length >= 3 ? (data[1] << 8) | data[2] : 1;
+        return reply(0x02, [1]);
+      case CMD.SET_DIMENSION:
+        if (data.length >= 6) quantity = (data[4] << 8) | data[5];
+        return reply(0x14, [1]);
+      case CMD.SET_QUANTITY:
+        quantity = (data[0] << 8) | data[1];
+        return reply(0x16, [1]);
+      case CMD.IMAGE_ROW:
+        return undefined;
+      case CMD.END_PAGE_PRINT:
+        if (!state.stalled) printedPages += quantity;
+        return reply(0xe4, [1]);
+      case CMD.GET_PRINT_STATUS:
+        return reply(0xb3, [...u16(printedPages), 100, 100]);
+      default:
+        return reply((RESPONSE[cmd] || [cmd + 1])[0], [1]);
+    }
+  };
+  const parse = createPacketParser(handle);
+
+  return {
+    name: t("printer.simulatedName"),
+    sent,
+    state,
+    write: async (bytes) => parse(bytes),
+    onData: (cb) => {
+      listener = cb;
+    },
+    close: async () => {},
+  };
+};
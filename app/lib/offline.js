@@ -0,0 +1,78 @@
+// Offline support: the service worker (/sw.js, see app/sw.js/route.js and
+// public/service-worker.js) keeps the page, its scripts and styles and the
+// sticker assets in a cache, so stickers are generated, previewed and
+// downloaded without signal. A new deploy installs in the background and waits
+// until the user accepts the update.
+
+import { FOOTER_ASSETS, LOGO_ASSETS } from "./templates";
+
+export const SERVICE_WORKER_URL = "/sw.js";
+
+export const APP_BUILD = process.env.APP_BUILD || "dev";
+
+// Besides the page and what it links to: the images drawn with `loadImage`
+// (template logos and footer icons), the attention QR download and the app icons.
+export const PRECACHE_ASSETS = [
+  ...new Set([...LOGO_ASSETS, ...FOOTER_ASSETS].map((a) => a.value)),
+  "/QRb.jpeg",
+  "/manifest.webmanifest",
+  "/icon.svg",
+  "/icon-192.png",
+  "/icon-512.png",
+];
+
+// How often an open page asks for a new version.
+const UPDATE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Registers the service worker and reports its state: `onReady()` once the app
+// is cached for the first time, `onUpdate(worker)` when a new version is
+// installed and waiting. Only production builds register (the dev server's
+// chunks change on every edit); in development a worker left by a production
+// run on the same port is removed. Returns a cleanup function.
+export const registerServiceWorker = ({ onReady, onUpdate }) => {
+  if (!("serviceWorker" in navigator)) return () => {};
+  const sw = navigator.serviceWorker;
+  if (process.env.NODE_ENV !== "production") {
+    sw.getRegistrations().then((regs) => regs.forEach((reg) => reg.unregister()));
+    return () => {};
+  }
+
+  let registration = null;
+  let timer = null;
+
+  const track = (worker) => {
+    if (!worker) return;
+    worker.addEventListener("statechange", () => {
+      if (worker.state !== "installed") return;
+      // With a controller it is a new version; without, the first install.
+      if (sw.controller) onUpdate(worker);
+      else onReady();
+    });
+  };
+
+  const check = () => registration?.update().catch(() => {});
+
+  sw.register(SERVICE_WORKER_URL)
+    .then((reg) => {
+      registration = reg;
+      if (reg.waiting && sw.controller) onUpdate(reg.waiting);
+      track(reg.installing);
+      reg.addEventListener("updatefound", () => track(reg.installing));
+      timer = setInterval(check, UPDATE_INTERVAL_MS);
+    })
+    .catch(() => {});
+
+  // Back in coverage: look for a deploy made while offline.
+  window.addEventListener("online", check);
+  return () => {
+    clearInterval(timer);
+    window.removeEventListener("online", check);
+  };
+};
+
+// Activates the waiting version and reloads the page on it. The queue and
+// history are in localStorage, so nothing is lost.
+export const applyUpdate = (worker) => {
+  navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), { once: true });
+  worker.postMessage({ type: "skip-waiting" });
+};
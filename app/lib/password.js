@@ -0,0 +1,161 @@
+// WiFi password generator and strength estimate. Generated passwords avoid the
+// characters the `WIFI:` encoder has to escape, since customers retype them
+// from the printed sticker.
+
+import { t } from "./i18n";
+import { AMBIGUOUS_CHARS, readabilityWarnings } from "./wifi";
+
+const LOWER = "abcdefghijklmnopqrstuvwxyz";
+const UPPER = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+const DIGITS = "0123456789";
+const SYMBOLS = "!#$%&*+-=?@_";
+
+// Escaped by `escapeWifi` and hard to read on the label.
+export const ESCAPED_CHARS = "\\;,:\"";
+
+export const PASSWORD_MODES = [
+  { value: "random", label: "password.mode.random" },
+  { value: "syllables", label: "password.mode.syllables" },
+  { value: "words", label: "password.mode.words" },
+];
+
+export const DEFAULT_PASSWORD_POLICY = {
+  mode: "random",
+  length: 12,
+  lower: true,
+  upper: true,
+  digits: true,
+  symbols: false,
+  avoidAmbiguous: true,
+};
+
+// Short, accent-free Spanish words that are hard to misspell.
+const WORDS = [
+  "agua", "arbol", "arena", "azul", "barco", "bosque", "burro", "cafe", "calle", "campo",
+  "casa", "cielo", "cinta", "cobre", "coco", "dedo", "duna", "faro", "fresa", "fuego",
+  "gato", "globo", "hoja", "hueso", "isla", "jardin", "lago", "lapiz", "leon", "limon",
+  "luna", "mango", "mapa", "mar", "mesa", "miel", "monte", "nube", "nuez", "oro",
+  "oso", "palma", "pan", "papel", "pato", "perro", "pez", "piedra", "pino", "plata",
+  "playa", "pluma", "puerta", "queso", "radio", "rana", "rio", "roca", "rosa", "sal",
+  "selva", "silla", "sol", "taco", "tierra", "tigre", "toro", "tren", "uva", "vaca",
+  "valle", "vela", "verde", "viento", "vino", "volcan", "yate", "zorro",
+];
+const CONSONANTS = "bcdfgjkmnprstvz";
+const VOWELS = "aeiu";
+
+// Uniform integer in [0, max) from the platform CSPRNG (rejection sampling, no modulo bias).
+const randomInt = (max) => {
+  const limit = Math.floor(0x100000000 / max) * max;
+  const buf = new Uint32Array(1);
+  do {
+    globalThis.crypto.getRandomValues(buf);
+  } while (buf[0] >= limit);
+  return buf[0] % max;
+};
+
+const pick = (chars) => chars[randomInt(chars.length)];
+
+const stripAmbiguous = (chars) => [...chars].filter((c) => !AMBIGUOUS_CHARS.includes(c)).join("");
+
+const shuffle = (list) => {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i -= 1) {
+    const j = randomInt(i + 1);
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+};
+
+const clampLength = (n) => Math.max(8, Math.min(63, Math.round(Number(n)) || DEFAULT_PASSWORD_POLICY.length));
+
+const randomPassword = (policy, length) => {
+  const sets = [
+    policy.lower && LOWER,
+    policy.upper && UPPER,
+    policy.digits && DIGITS,
+    policy.symbols && SYMBOLS,
+  ]
+    .filter(Boolean)
+    .map((set) => (policy.avoidAmbiguous ? stripAmbiguous(set) : set));
+  if (sets.length === 0) sets.push(policy.avoidAmbiguous ? stripAmbiguous(LOWER) : LOWER);
+
+  // One character from every enabled set, the rest from all of them.
+  const all = sets.join("");
+  const chars = sets.map(pick);
+  while (chars.length < length) chars.push(pick(all));
+  return shuffle(chars).join("");
+};
+
+// Consonant-vowel syllables, one capital and two digits at the end.
+const syllablePassword = (policy, length) => {
+  const digits = policy.digits ? 2 : 0;
+  const digitSet = policy.avoidAmbiguous ? stripAmbiguous(DIGITS) : DIGITS;
+  let text = "";
+  while (text.length < length - digits) text += pick(CONSONANTS) + pick(VOWELS);
+  text = text.slice(0, length - digits);
+  if (policy.upper) text = text[0].toUpperCase() + text.slice(1);
+  for (let i = 0; i < digits; i += 1) text += pick(digitSet);
+  return text;
+};
+
+// Words joined by dashes plus a number, e.g. "Luna-tren-faro-47".
+const wordPassword = (policy, length) => {
+  const digitSet = policy.avoidAmbiguous ? stripAmbiguous(DIGITS) : DIGITS;
+  const pool = policy.avoidAmbiguous ? WORDS.filter((w) => w === stripAmbiguous(w)) : WORDS;
+  const words = [];
+  const joined = () => words.join("-");
+  while (joined().length < length - 3 || words.length < 3) words.push(pick(pool));
+  if (policy.upper) words[0] = words[0][0].toUpperCase() + words[0].slice(1);
+  const suffix = policy.digits ? `-${pick(digitSet)}${pick(digitSet)}` : "";
+  return (joined() + suffix).slice(0, 63);
+};
+
+export const generatePassword = (policy = DEFAULT_PASSWORD_POLICY) => {
+  const p = { ...DEFAULT_PASSWORD_POLICY, ...policy };
+  const length = clampLength(p.length);
+  if (p.mode === "words") return wordPassword(p, length);
+  if (p.mode === "syllables") return syllablePassword(p, length);
+  return randomPassword(p, length);
+};
+
+// Rough entropy from the character classes used, minus repeated characters
+// and runs. Good enough to tell "12345678" from a generated password.
+export const passwordStrength = (value) => {
+  const pw = String(value || "");
+  if (!pw) return { score: 0, bits: 0, label: "" };
+
+  let pool = 0;
+  if (/[a-z]/.test(pw)) pool += 26;
+  if (/[A-Z]/.test(pw)) pool += 26;
+  if (/[0-9]/.test(pw)) pool += 10;
+  if (/[^a-zA-Z0-9]/.test(pw)) pool += 33;
+
+  let effective = 0;
+  for (let i = 0; i < pw.length; i += 1) {
+    const prev = pw.charCodeAt(i - 1);
+    const cur = pw.charCodeAt(i);
+    const repeated = pw.indexOf(pw[i]) < i;
+    const run = i > 0 && Math.abs(cur - prev) <= 1;
+    effective += repeated || run ? 0.5 : 1;
+  }
+  const bits = Math.round(effective * Math.log2(pool || 1));
+  const score = bits < 28 ? 0 : bits < 40 ? 1 : bits < 55 ? 2 : bits < 70 ? 3 : 4;
+  const label = t(`password.strength.${score}`);
+  return { score, bits, label };
+};
+
+// Readability warnings for the password field; hard errors (length, charset)
+// come from `validateWifiPassword`.
+export const passwordWarnings = (value, security) => {
+  const pw = String(value || "");
+  if (!pw || security === "open") return [];
+
+  const warnings = [];
+  const escaped = [...new Set([...pw].filter((c) => ESCAPED_CHARS.includes(c)))];
+  if (escaped.length > 0) {
+    warnings.push(t("password.warning.escaped", { chars: escaped.join(" ") }));
+  }
+  // WPA2 rejects these outright; WPA3-SAE takes them but older clients may not.
+  if (security === "sae" && /[^\x20-\x7e]/.test(pw)) warnings.push(t("password.warning.nonAscii"));
+  return [...warnings, ...readabilityWarnings(pw)];
+};
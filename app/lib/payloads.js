@@ -0,0 +1,335 @@
+// QR content types besides WiFi. Each type declares its form fields, how to
+// validate them, the encoded QR value and the three text lines of the sticker
+// (the big / medium / small slots the WiFi sticker uses for password / SSID / band).
+
+import { buildWhatsAppUrl, getWhatsAppNumber } from "./attention";
+import {
+  GROUP_MAX_NETWORKS,
+  GROUP_MIN_NETWORKS,
+  emptyGroupValues,
+  encodeGroup,
+  groupTitle,
+  normalizeGroup,
+  validateGroup,
+} from "./group";
+import { t, translate } from "./i18n";
+import { findDuplicate, generateValue, resolveSecurity, validateSsid, validateWifiPassword } from "./wifi";
+
+export const DEFAULT_KIND = "wifi";
+
+const text = (value) => String(value ?? "").trim();
+
+const digits = (value) => String(value ?? "").replace(/\D/g, "");
+
+// tel: / SMSTO: numbers: digits with an optional leading "+".
+const normalizePhone = (value) => {
+  const raw = text(value);
+  const d = digits(raw);
+  return raw.startsWith("+") ? `+${d}` : d;
+};
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// vCard 3.0 text values escape backslash, comma, semicolon and newlines.
+const escapeVcard = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/[,;]/g, (m) => `\\${m}`)
+    .replace(/\r?\n/g, "\\n");
+
+const withScheme = (value) => (/^[a-z][a-z0-9+.-]*:/i.test(value) ? value : `https://${value}`);
+
+const validatePhone = (value) => {
+  const d = digits(value);
+  if (!d) return t("content.error.phoneRequired");
+  if (d.length < 7 || d.length > 15) return t("content.error.phoneLength");
+  return "";
+};
+
+export const CONTENT_TYPES = [
+  {
+    value: "wifi",
+    label: "content.wifi",
+  },
+  {
+    // Several WiFi networks on one label; drawn by `renderGroupSticker`, not the text slots.
+    value: "group",
+    label: "content.group",
+    empty: emptyGroupValues,
+    validate: validateGroup,
+    errorField: () => "networks",
+    normalize: normalizeGroup,
+    encode: encodeGroup,
+    title: groupTitle,
+  },
+  {
+    value: "url",
+    label: "content.url",
+    fields: [
+      { key: "url", label: "content.field.url", placeholder: "https://red7.mx", required: true },
+      { key: "caption", label: "content.field.caption", placeholder: "content.placeholder.visit" },
+    ],
+    validate: (v) => {
+      if (!text(v.url)) return t("content.error.urlRequired");
+      try {
+        const u = new URL(withScheme(text(v.url)));
+        if (!["http:", "https:"].includes(u.protocol)) return t("content.error.urlScheme");
+        if (!u.hostname.includes(".")) return t("content.error.urlInvalid");
+      } catch {
+        return t("content.error.urlInvalid");
+      }
+      return "";
+    },
+    normalize: (v) => ({ url: withScheme(text(v.url)), caption: text(v.caption) }),
+    encode: (v) => new URL(withScheme(text(v.url))).href,
+    title: (v) => text(v.caption) || text(v.url),
+    sticker: (v, tr) => ({
+      password: text(v.caption) || tr("sticker.scanMe"),
+      ssid: text(v.url).replace(/^https?:\/\//i, "").replace(/\/$/, ""),
+      band: tr("sticker.website"),
+    }),
+  },
+  {
+    value: "vcard",
+    label: "content.vcard",
+    fields: [
+      { key: "firstName", label: "content.field.firstName", placeholder: "content.placeholder.firstName", required: true },
+      { key: "lastName", label: "content.field.lastName", placeholder: "content.placeholder.lastName" },
+      { key: "phone", label: "content.field.phone", placeholder: "+52 664 000 0000" },
+      { key: "email", label: "content.field.email", placeholder: "tecnico@red7.mx" },
+      { key: "org", label: "content.field.org", placeholder: "Red7" },
+      { key: "title", label: "content.field.jobTitle", placeholder: "content.placeholder.jobTitle" },
+    ],
+    validate: (v) => {
+      if (!text(v.firstName) && !text(v.lastName)) return t("content.error.nameRequired");
+      if (text(v.phone)) {
+        const problem = validatePhone(v.phone);
+        if (problem) return problem;
+      }
+      if (text(v.email) && !EMAIL_RE.test(text(v.email))) return t("content.error.emailInvalid");
+      if (!text(v.phone) && !text(v.email)) return t("content.error.phoneOrEmail");
+      return "";
+    },
+    // Same order of checks as `validate`.
+    errorField: (v) => {
+      if (!text(v.firstName) && !text(v.lastName)) return "firstName";
+      if (text(v.phone) && validatePhone(v.phone)) return "phone";
+      return text(v.email) ? "email" : "phone";
+    },
+    normalize: (v) => ({
+      firstName: text(v.firstName),
+      lastName: text(v.lastName),
+      phone: text(v.phone),
+      email: text(v.email),
+      org: text(v.org),
+      title: text(v.title),
+    }),
+    encode: (v) => {
+      const fullName = [text(v.firstName), text(v.lastName)].filter(Boolean).join(" ");
+      const lines = [
+        "BEGIN:VCARD",
+        "VERSION:3.0",
+        `N:${escapeVcard(text(v.lastName))};${escapeVcard(text(v.firstName))};;;`,
+        `FN:${escapeVcard(fullName)}`,
+      ];
+      if (text(v.org)) lines.push(`ORG:${escapeVcard(text(v.org))}`);
+      if (text(v.title)) lines.push(`TITLE:${escapeVcard(text(v.title))}`);
+      if (text(v.phone)) lines.push(`TEL;TYPE=CELL:${normalizePhone(v.phone)}`);
+      if (text(v.email)) lines.push(`EMAIL:${escapeVcard(text(v.email))}`);
+      lines.push("END:VCARD");
+      return lines.join("\r\n");
+    },
+    title: (v) => [text(v.firstName), text(v.lastName)].filter(Boolean).join(" "),
+    sticker: (v, tr) => ({
+      password: [text(v.firstName), text(v.lastName)].filter(Boolean).join(" "),
+      ssid: text(v.phone) || text(v.email),
+      band: text(v.title) || text(v.org) || tr("sticker.contact"),
+    }),
+  },
+  {
+    value: "tel",
+    label: "content.tel",
+    fields: [
+      { key: "phone", label: "content.field.phone", placeholder: "+52 664 954 6020", required: true },
+      { key: "caption", label: "content.field.caption", placeholder: "content.placeholder.support" },
+    ],
+    validate: (v) => validatePhone(v.phone),
+    normalize: (v) => ({ phone: text(v.phone), caption: text(v.caption) }),
+    encode: (v) => `tel:${normalizePhone(v.phone)}`,
+    title: (v) => text(v.caption) || text(v.phone),
+    sticker: (v, tr) => ({ password: text(v.phone), ssid: text(v.caption), band: tr("sticker.call") }),
+  },
+  {
+    value: "sms",
+    label: "content.sms",
+    fields: [
+      { key: "phone", label: "content.field.phone", placeholder: "+52 664 954 6020", required: true },
+      { key: "message", label: "content.field.message", placeholder: "content.placeholder.smsMessage", multiline: true },
+    ],
+    validate: (v) => validatePhone(v.phone),
+    normalize: (v) => ({ phone: text(v.phone), message: text(v.message) }),
+    // SMSTO has no escaping: everything after the second ":" is the message body.
+    encode: (v) => `SMSTO:${normalizePhone(v.phone)}:${text(v.message)}`,
+    title: (v) => text(v.phone),
+    sticker: (v) => ({ password: text(v.phone), ssid: text(v.message), band: "SMS" }),
+  },
+  {
+    value: "email",
+    label: "content.email",
+    fields: [
+      { key: "email", label: "content.field.email", placeholder: "soporte@red7.mx", required: true },
+      { key: "subject", label: "content.field.subject", placeholder: "content.placeholder.subject" },
+      { key: "body", label: "content.field.message", placeholder: "", multiline: true },
+    ],
+    validate: (v) => {
+      if (!text(v.email)) return t("content.error.emailRequired");
+      if (!EMAIL_RE.test(text(v.email))) return t("content.error.emailInvalid");
+      return "";
+    },
+    normalize: (v) => ({ email: text(v.email), subject: text(v.subject), body: text(v.body) }),
+    encode: (v) => {
+      const params = [
+        text(v.subject) && `subject=${encodeURIComponent(text(v.subject))}`,
+        text(v.body) && `body=${encodeURIComponent(text(v.body))}`,
+      ].filter(Boolean);
+      return `mailto:${text(v.email)}${params.length ? `?${params.join("&")}` : ""}`;
+    },
+    title: (v) => text(v.email),
+    sticker: (v, tr) => ({ password: text(v.email), ssid: text(v.subject), band: tr("sticker.email") }),
+  },
+  {
+    value: "whatsapp",
+    label: "content.whatsapp",
+    fields: [
+      { key: "phone", label: "content.field.phone", placeholder: "(664) 954 6020", required: true },
+      { key: "countryCode", label: "content.field.countryCode", placeholder: "52" },
+      { key: "message", label: "content.field.prefilled", placeholder: "content.placeholder.whatsappMessage", multiline: true },
+    ],
+    validate: (v) => {
+      const number = getWhatsAppNumber(v);
+      if (!number) return t("content.error.phoneRequired");
+      if (number.length < 8 || number.length > 15) return t("content.error.whatsappLength");
+      return "";
+    },
+    normalize: (v) => ({ phone: text(v.phone), countryCode: digits(v.countryCode), message: text(v.message) }),
+    encode: (v) => buildWhatsAppUrl(v),
+    title: (v) => text(v.phone),
+    sticker: (v) => ({ password: text(v.phone), ssid: text(v.message), band: "WhatsApp" }),
+  },
+  {
+    value: "text",
+    label: "content.text",
+    fields: [
+      { key: "text", label: "content.field.text", placeholder: "", required: true, multiline: true },
+      { key: "caption", label: "content.field.caption", placeholder: "" },
+    ],
+    validate: (v) => {
+      if (!text(v.text)) return t("content.error.textRequired");
+      // Keeps the QR version low enough to scan from a 50×30mm label.
+      if (new TextEncoder().encode(text(v.text)).length > 800) return t("content.error.textTooLong");
+      return "";
+    },
+    normalize: (v) => ({ text: text(v.text), caption: text(v.caption) }),
+    encode: (v) => text(v.text),
+    title: (v) => text(v.caption) || text(v.text).split(/\r?\n/)[0],
+    sticker: (v, tr) => ({ password: text(v.caption) || text(v.text).split(/\r?\n/)[0], ssid: "", band: tr("sticker.text") }),
+  },
+];
+
+export const getContentType = (kind) =>
+  CONTENT_TYPES.find((type) => type.value === (kind || DEFAULT_KIND)) || CONTENT_TYPES[0];
+
+export const isWifiEntry = (item) => !item?.kind || item.kind === "wifi";
+
+// Blank form values for a content type.
+export const emptyContentValues = (kind) => {
+  const type = getContentType(kind);
+  if (type.empty) return type.empty();
+  return Object.fromEntries((type.fields || []).map((f) => [f.key, f.key === "countryCode" ? "52" : ""]));
+};
+
+// Validates a non-WiFi form and returns { entry, error } like `normalizeEntry`,
+// plus the `field` the error is about (the type's `errorField`, or else its
+// required field).
+export const normalizeContent = (kind, values) => {
+  const type = getContentType(kind);
+  const error = type.validate(values || {});
+  if (error) {
+    const field = type.errorField ? type.errorField(values || {}) : type.fields.find((f) => f.required).key;
+    return { entry: null, error, field };
+  }
+  return { entry: { kind: type.value, ...type.normalize(values) }, error: "" };
+};
+
+// The content type of a non-WiFi entry, or null for WiFi and unknown kinds
+// (which `isStoredEntry` keeps out of the queue and history).
+const entryContentType = (item) =>
+  isWifiEntry(item) ? null : CONTENT_TYPES.find((type) => type.value === item.kind && type.encode) || null;
+
+// The string encoded in the QR for any queue entry.
+export const generateContent = (item) => {
+  if (isWifiEntry(item)) return generateValue(item);
+  return entryContentType(item)?.encode(item) ?? "";
+};
+
+// Short human label for lists, file names and history.
+export const entryTitle = (item) => {
+  const type = entryContentType(item);
+  return type ? type.title(item) : String(item?.ssid || "");
+};
+
+// Sticker lines for non-WiFi entries, or null for WiFi (which has its own texts).
+// Fixed words are drawn in the entry's own language, not the UI's.
+export const contentStickerTexts = (item) => {
+  const type = entryContentType(item);
+  return type?.sticker ? type.sticker(item, (key) => translate(item.lang, key)) : null;
+};
+
+// Whether an entry read from storage or an imported file can be rendered: a
+// known kind whose fields validate. Passwords may have been left out on
+// purpose (see `stripPassword`), so WiFi networks only need a valid SSID.
+export const isStoredEntry = (e) => {
+  if (!e || typeof e !== "object") return false;
+  const validNetwork = (n) => Boolean(n) && typeof n.ssid === "string" && !validateSsid(n.ssid);
+  if (isWifiEntry(e)) return validNetwork(e);
+  if (e.kind === "group") {
+    const networks = Array.isArray(e.networks) ? e.networks : [];
+    return networks.length >= GROUP_MIN_NETWORKS && networks.length <= GROUP_MAX_NETWORKS && networks.every(validNetwork);
+  }
+  const type = entryContentType(e);
+  return Boolean(type) && !type.validate(e);
+};
+
+// Why a WiFi or group entry cannot print as saved, or null when it can:
+// `{ missing: true }` when the password was left out (by `stripPassword`, or
+// marked `passwordMissing` on import), otherwise `{ missing: false, ssid, error }`
+// with the validation message of a saved password that breaks the rules (say a
+// 6-character WPA password from before they were checked). Either way it has to
+// be typed again: a sticker with it would carry a QR that cannot connect.
+export const passwordProblem = (e) => {
+  if (e?.passwordMissing) return { missing: true };
+  let networks = [];
+  if (isWifiEntry(e)) networks = [e];
+  else if (e?.kind === "group" && Array.isArray(e.networks)) networks = e.networks;
+  for (const n of networks) {
+    const error = validateWifiPassword(resolveSecurity(n), n.password);
+    if (error) return n.password ? { missing: false, ssid: n.ssid, error } : { missing: true };
+  }
+  return null;
+};
+
+export const needsPassword = (e) => Boolean(passwordProblem(e));
+
+// Index of an entry that would print the same sticker (-1 if none). WiFi entries
+// match on SSID + band (see `findDuplicate`); other types on their encoded value.
+export const findDuplicateEntry = (queue, entry, ignoreIndex = -1) => {
+  if (isWifiEntry(entry)) {
+    return findDuplicate(
+      queue.map((e) => (isWifiEntry(e) ? e : { ssid: "\u0000", networkType: "" })),
+      entry,
+      ignoreIndex
+    );
+  }
+  const value = generateContent(entry);
+  return queue.findIndex((e, i) => i !== ignoreIndex && e.kind === entry.kind && generateContent(e) === value);
+};
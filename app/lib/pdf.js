@@ -0,0 +1,181 @@
+// Minimal PDF writer for label output: raster images placed at exact physical
+// sizes, with interpolation disabled so QR modules stay crisp when printed.
+
+import { t } from "./i18n";
+
+const MM_TO_PT = 72 / 25.4;
+
+export const mmToPt = (mm) => Number(mm) * MM_TO_PT;
+
+// Physical sizes (mm) for the supported outputs.
+export const LABEL_SIZE_MM = { w: 50, h: 30 };
+export const A4_SIZE_MM = { w: 210, h: 297 };
+
+const fmt = (n) => {
+  const v = Math.round(Number(n) * 1000) / 1000;
+  return Number.isFinite(v) ? String(v) : "0";
+};
+
+const deflate = async (bytes) => {
+  if (typeof CompressionStream !== "function") return null;
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// ImageData-like { width, height, data: RGBA } -> packed RGB flattened on white.
+const toRgb = ({ width, height, data }) => {
+  const out = new Uint8Array(width * height * 3);
+  for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+    const a = data[i + 3] / 255;
+    out[j] = Math.round(data[i] * a + 255 * (1 - a));
+    out[j + 1] = Math.round(data[i + 1] * a + 255 * (1 - a));
+    out[j + 2] = Math.round(data[i + 2] * a + 255 * (1 - a));
+  }
+  return out;
+};
+
+// Cell rectangles (mm, top-left origin) for a sheet grid.
+export const computeSheetCells = ({
+  pageW = A4_SIZE_MM.w,
+  pageH = A4_SIZE_MM.h,
+  marginX = 10,
+  marginY = 10,
+  columns = 3,
+  rows = 8,
+  gutterX = 4,
+  gutterY = 4,
+  labelW = LABEL_SIZE_MM.w,
+  labelH = LABEL_SIZE_MM.h,
+} = {}) => {
+  const cols = Math.max(1, Math.floor(columns));
+  const rowCount = Math.max(1, Math.floor(rows));
+  const cellW = (pageW - marginX * 2 - gutterX * (cols - 1)) / cols;
+  const cellH = (pageH - marginY * 2 - gutterY * (rowCount - 1)) / rowCount;
+  if (!(cellW > 0) || !(cellH > 0)) return [];
+
+  // Keep the label at its physical size; shrink (keeping 5:3) only if the cell is smaller.
+  const scale = Math.min(1, cellW / labelW, cellH / labelH);
+  const w = labelW * scale;
+  const h = labelH * scale;
+
+  const cells = [];
+  for (let r = 0; r < rowCount; r += 1) {
+    for (let c = 0; c < cols; c += 1) {
+      const cellX = marginX + c * (cellW + gutterX);
+      const cellY = marginY + r * (cellH + gutterY);
+      cells.push({ x: cellX + (cellW - w) / 2, y: cellY + (cellH - h) / 2, w, h });
+    }
+  }
+  return cells;
+};
+
+// Where an image goes in its slot: as large as fits with its own aspect ratio,
+// centred. Stickers fill their slot; the attention sticker is always 5:3, so on
+// other label sizes it is letterboxed instead of stretched.
+const fitToSlot = (slot, { width, height }) => {
+  const scale = Math.min(slot.w / width, slot.h / height);
+  const w = width * scale;
+  const h = height * scale;
+  return { ...slot, x: slot.x + (slot.w - w) / 2, y: slot.y + (slot.h - h) / 2, w, h };
+};
+
+// images: ImageData-like objects. layout: "label" (one per page) or "sheet".
+// labelSize: physical label size in mm (defaults to the 50×30mm roll).
+export const buildLabelsPdf = async (images, { layout = "label", sheet = {}, labelSize = LABEL_SIZE_MM } = {}) => {
+  const pages = [];
+  if (layout === "sheet") {
+    const pageW = sheet.pageW ?? A4_SIZE_MM.w;
+    const pageH = sheet.pageH ?? A4_SIZE_MM.h;
+    const cells = computeSheetCells({ ...sheet, pageW, pageH, labelW: labelSize.w, labelH: labelSize.h });
+    if (cells.length === 0) throw new Error(t("pdf.error.gridTooBig"));
+    for (let i = 0; i < images.length; i += cells.length) {
+      const slots = images.slice(i, i + cells.length).map((_, k) => ({ image: i + k, ...cells[k] }));
+      pages.push({ w: pageW, h: pageH, slots });
+    }
+  } else {
+    images.forEach((_, i) => {
+      pages.push({
+        w: labelSize.w,
+        h: labelSize.h,
+        slots: [{ image: i, x: 0, y: 0, w: labelSize.w, h: labelSize.h }],
+      });
+    });
+  }
+  if (pages.length === 0) throw new Error(t("pdf.error.empty"));
+
+  const encoder = new TextEncoder();
+  const objects = [];
+  const addObject = (parts) => {
+    objects.push(parts);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+
+  const imageIds = [];
+  for (const img of images) {
+    const rgb = toRgb(img);
+    const packed = await deflate(rgb);
+    const dict =
+      `<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height}` +
+      ` /ColorSpace /DeviceRGB /BitsPerComponent 8 /Interpolate false` +
+      `${packed ? " /Filter /FlateDecode" : ""} /Length ${(packed || rgb).length} >>\nstream\n`;
+    imageIds.push(addObject([dict, packed || rgb, "\nendstream"]));
+  }
+
+  const pageIds = [];
+  for (const page of pages) {
+    const pageH = mmToPt(page.h);
+    const content = page.slots
+      .map((slot) => fitToSlot(slot, images[slot.image]))
+      .map((s) => {
+        const w = mmToPt(s.w);
+        const h = mmToPt(s.h);
+        const x = mmToPt(s.x);
+        const y = pageH - mmToPt(s.y) - h;
+        return `q ${fmt(w)} 0 0 ${fmt(h)} ${fmt(x)} ${fmt(y)} cm /Im${s.image} Do Q`;
+      })
+      .join("\n");
+    const contentBytes = encoder.encode(content);
+    const contentId = addObject([`<< /Length ${contentBytes.length} >>\nstream\n`, contentBytes, "\nendstream"]);
+    const xobjects = [...new Set(page.slots.map((s) => s.image))]
+      .map((i) => `/Im${i} ${imageIds[i]} 0 R`)
+      .join(" ");
+    pageIds.push(
+      addObject([
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${fmt(mmToPt(page.w))} ${fmt(pageH)}]` +
+          ` /Resources << /XObject << ${xobjects} >> >> /Contents ${contentId} 0 R >>`,
+      ])
+    );
+  }
+
+  objects[catalogId - 1] = [`<< /Type /Catalog /Pages ${pagesId} 0 R >>`];
+  objects[pagesId - 1] = [
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`,
+  ];
+
+  const chunks = [];
+  let length = 0;
+  const push = (part) => {
+    const bytes = typeof part === "string" ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  push("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n");
+  const offsets = [];
+  objects.forEach((parts, i) => {
+    offsets.push(length);
+    push(`${i + 1} 0 obj\n`);
+    parts.forEach(push);
+    push("\nendobj\n");
+  });
+
+  const xrefAt = length;
+  push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach((o) => push(`${String(o).padStart(10, "0")} 00000 n \n`));
+  push(`trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`);
+
+  return new Blob(chunks, { type: "application/pdf" });
+};
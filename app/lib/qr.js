@@ -0,0 +1,137 @@
+// QR codes drawn with the shared canvas backend, so the browser and the
+// server produce the same modules at the same pixels.
+
+import QRCode from "qrcode";
+import { createCanvas, loadImage } from "./canvas";
+import { t } from "./i18n";
+import { createSvgCanvas } from "./svg";
+
+// Size of the raw QR bitmap fed to the sticker renderers.
+export const QR_SIZE_PX = 512;
+
+// `recovery`: share of the symbol that can be damaged and still decode.
+export const QR_LEVELS = [
+  { value: "L", label: "qr.level.L", recovery: 0.07 },
+  { value: "M", label: "qr.level.M", recovery: 0.15 },
+  { value: "Q", label: "qr.level.Q", recovery: 0.25 },
+  { value: "H", label: "qr.level.H", recovery: 0.3 },
+];
+
+// `margin` is the quiet zone in modules; the sticker already leaves white
+// space around the QR, so it defaults to none. `logo` is a centre image.
+export const DEFAULT_QR_OPTIONS = { level: "L", margin: 0, fg: "#000000", bg: "#ffffff", logo: null, logoScale: 0.2 };
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+export const normalizeQrOptions = (options) => {
+  const o = { ...DEFAULT_QR_OPTIONS, ...options };
+  const margin = Math.round(Number(o.margin));
+  const logoScale = Number(o.logoScale);
+  return {
+    level: QR_LEVELS.some((l) => l.value === o.level) ? o.level : DEFAULT_QR_OPTIONS.level,
+    margin: Number.isFinite(margin) ? Math.max(0, Math.min(10, margin)) : DEFAULT_QR_OPTIONS.margin,
+    fg: HEX_COLOR.test(o.fg) ? o.fg.toLowerCase() : DEFAULT_QR_OPTIONS.fg,
+    bg: HEX_COLOR.test(o.bg) ? o.bg.toLowerCase() : DEFAULT_QR_OPTIONS.bg,
+    logo: o.logo ? String(o.logo) : null,
+    logoScale: Number.isFinite(logoScale) ? Math.max(0.1, Math.min(0.3, logoScale)) : DEFAULT_QR_OPTIONS.logoScale,
+  };
+};
+
+// WCAG relative luminance of "#rrggbb".
+const luminance = (hex) => {
+  const [r, g, b] = [1, 3, 5].map((i) => {
+    const c = parseInt(hex.slice(i, i + 2), 16) / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+// Returns why a combination would not scan reliably, or "" when it is fine.
+export const validateQrOptions = (options) => {
+  const o = normalizeQrOptions(options);
+  const fg = luminance(o.fg);
+  const bg = luminance(o.bg);
+  if (fg >= bg) return t("qr.error.inverted");
+  if ((bg + 0.05) / (fg + 0.05) < 4) return t("qr.error.contrast");
+  if (o.logo) {
+    const level = QR_LEVELS.find((l) => l.value === o.level);
+    if (level.value === "L") return t("qr.error.logoLevelL");
+    // Keep at least half of the recovery capacity for scratches and print blur.
+    if (o.logoScale ** 2 > level.recovery / 2) {
+      return t("qr.error.logoTooBig", { level: level.value, max: Math.floor(Math.sqrt(level.recovery / 2) * 100) });
+    }
+  }
+  return "";
+};
+
+// Returns the module matrix: { size, get(x, y) } with true = dark.
+export const createQrMatrix = (value, { level = "L" } = {}) => {
+  const { modules } = QRCode.create(String(value), { errorCorrectionLevel: level });
+  return { size: modules.size, get: (x, y) => Boolean(modules.get(y, x)) };
+};
+
+// Modules across the drawn QR, quiet zone included.
+export const qrCellCount = (value, options) => {
+  const o = normalizeQrOptions(options);
+  return createQrMatrix(value, { level: o.level }).size + o.margin * 2;
+};
+
+// `svg: true` draws the modules as vector paths on an SVG canvas.
+export const renderQrCanvas = async (value, options, { size = QR_SIZE_PX, svg = false } = {}) => {
+  const o = normalizeQrOptions(options);
+  const problem = validateQrOptions(o);
+  if (problem) throw new Error(problem);
+
+  const matrix = createQrMatrix(value, { level: o.level });
+  const canvas = (svg ? createSvgCanvas : createCanvas)(size, size);
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return null;
+
+  const scale = size / (matrix.size + o.margin * 2);
+  ctx.fillStyle = o.bg;
+  ctx.fillRect(0, 0, size, size);
+  ctx.fillStyle = o.fg;
+
+  // Whole modules under the centre image are left light (excavated) so the
+  // logo never sits on top of half-covered modules.
+  let hole = null;
+  if (o.logo) {
+    let n = Math.ceil(matrix.size * o.logoScale);
+    if ((matrix.size - n) % 2) n += 1;
+    const start = (matrix.size - n) / 2;
+    hole = { start, end: start + n };
+  }
+  const inHole = (x, y) => hole && x >= hole.start && x < hole.end && y >= hole.start && y < hole.end;
+
+  // One path for every dark run; filling it once avoids hairline seams between
+  // modules when the scale is fractional.
+  ctx.beginPath();
+  for (let y = 0; y < matrix.size; y += 1) {
+    let start = -1;
+    for (let x = 0; x <= matrix.size; x += 1) {
+      const dark = x < matrix.size && matrix.get(x, y) && !inHole(x, y);
+      if (dark && start < 0) start = x;
+      if (!dark && start >= 0) {
+        ctx.rect((start + o.margin) * scale, (y + o.margin) * scale, (x - start) * scale, scale);
+        start = -1;
+      }
+    }
+  }
+  ctx.fill();
+
+  if (hole) {
+    const img = await loadImage(o.logo);
+    // Half a module of padding so the logo does not touch the surrounding modules.
+    const box = (hole.end - hole.start - 1) * scale;
+    const fit = Math.min(box / img.width, box / img.height);
+    const w = img.width * fit;
+    const h = img.height * fit;
+    ctx.drawImage(img, (size - w) / 2, (size - h) / 2, w, h);
+  }
+  return canvas;
+};
+
+export const renderQrDataUrl = async (value, options, { size } = {}) => {
+  const canvas = await renderQrCanvas(value, options, { size });
+  return canvas ? canvas.toDataURL("image/png") : null;
+};
@@ -0,0 +1,36 @@
+// Reads an existing QR back from a photo, an image file or a camera frame, to
+// reprint a damaged WiFi sticker without asking for the password again.
+
+import jsQR from "jsqr";
+import { createCanvas, loadImage } from "./canvas";
+import { t } from "./i18n";
+import { parseWifiValue } from "./wifi";
+
+// Phone photos are 12+ megapixels; jsQR finds a label-sized QR just as well at
+// this size and much faster.
+const MAX_SCAN_PX = 1600;
+
+// `source` is anything drawImage takes (image, video, canvas) with its size.
+export const decodeQrFrom = (source, width, height) => {
+  const scale = Math.min(1, MAX_SCAN_PX / Math.max(width, height));
+  const w = Math.max(1, Math.round(width * scale));
+  const h = Math.max(1, Math.round(height * scale));
+  const canvas = createCanvas(w, h);
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  if (!ctx) return null;
+  ctx.drawImage(source, 0, 0, w, h);
+  const result = jsQR(ctx.getImageData(0, 0, w, h).data, w, h, { inversionAttempts: "attemptBoth" });
+  return result ? result.data : null;
+};
+
+// Decoded text plus, when it is a WiFi QR, the network: { raw, network, error }.
+export const readScannedValue = (raw) => {
+  if (raw == null) return { raw: null, network: null, error: t("scan.error.noQr") };
+  const { network, error } = parseWifiValue(raw);
+  return { raw, network, error };
+};
+
+export const scanImage = async (src) => {
+  const img = await loadImage(src);
+  return readScannedValue(decodeQrFrom(img, img.naturalWidth || img.width, img.naturalHeight || img.height));
+};
@@ -0,0 +1,35 @@
+// Native canvas backend for server-side rendering (Node only). Same Skia
+// drawing code as the browser; text matches as long as the same fonts exist.
+
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { createCanvas, loadImage } from "@napi-rs/canvas";
+import { setCanvasBackend } from "./canvas";
+import { t } from "./i18n";
+
+const PUBLIC_DIR = path.join(process.cwd(), "public");
+
+const loadError = (src) => new Error(t("canvas.error.loadImage", { src }));
+
+// Site-relative assets ("/logo.svg") are read from public/ instead of fetched.
+const readSource = async (src) => {
+  if (typeof src !== "string" || src.startsWith("data:")) return src;
+  const file = path.join(PUBLIC_DIR, decodeURIComponent(src.split("?")[0]));
+  if (!file.startsWith(PUBLIC_DIR + path.sep)) throw new Error(t("canvas.error.imagePath", { src }));
+  return readFile(file).catch(() => {
+    throw loadError(src);
+  });
+};
+
+export const installServerCanvas = () =>
+  setCanvasBackend({
+    createCanvas: (w, h) => createCanvas(w, h),
+    loadImage: async (src) => {
+      const source = await readSource(src);
+      try {
+        return await loadImage(source);
+      } catch {
+        throw loadError(src);
+      }
+    },
+  });
@@ -0,0 +1,416 @@
+// WiFi sticker renderer. Lays out the fields a template enables, top to bottom,
+// on the template's base canvas and fits them to the label size.
+
+import { createCanvas, loadImage, rotateCanvas90CWTo } from "./canvas";
+import { DEFAULT_ACCENT, brandStickerParts, brandStickerText } from "./brands";
+import { customerStickerText } from "./customers";
+import { entryNetworks, isGroupEntry, networkHeading } from "./group";
+import { translate } from "./i18n";
+import { boxNode, drawNode, fitImage, fitText, imageNode, measure, rectNode, stackNode, textNode } from "./layout";
+import { contentStickerTexts, generateContent, isWifiEntry } from "./payloads";
+import { qrCellCount, renderQrCanvas, renderQrDataUrl } from "./qr";
+import { createSvgCanvas } from "./svg";
+import { getTemplateGeometry } from "./templates";
+import { DEFAULT_PRINTER_DPI, MIN_MODULE_DOTS } from "./verify";
+import { generateValue, getSecurityType, resolveSecurity } from "./wifi";
+
+// Spacing tuned on the NIIMBOT B1 portrait base (600×1000px); scaled for other templates.
+const BASE_PX = { w: 600, h: 1000 };
+
+const SPEC = {
+  padX: 55,
+  padTop: 55,
+  padBottom: 55,
+  logoH: 92,
+  footerH: 56,
+  qr: { startPx: 440, minPx: 360, step: 12 },
+  gapAfterLogo: 22,
+  gapAfterQr: { startPx: 38, minPx: 26, step: 4 },
+  gapBeforeFooter: 14,
+  text: {
+    password: { weight: 900, startPx: 88, minPx: 42, floorPx: 60, step: 4 },
+    ssid: { weight: 800, startPx: 56, minPx: 28, floorPx: 40, step: 3 },
+    band: { weight: 900, startPx: 74, minPx: 34, floorPx: 52, step: 3 },
+  },
+  // Customer / site line: small and left out of the shrink loop, it only
+  // narrows to fit the width.
+  customer: { weight: 700, startPx: 38, minPx: 24 },
+  // Brand support line (phone / WhatsApp / footer line), sized like the customer line.
+  support: { weight: 800, startPx: 38, minPx: 24 },
+};
+
+// Small lines that never take part in the shrink loop.
+const LINE_FIELDS = ["customer", "support"];
+
+const TEXT_FIELDS = ["password", "ssid", "band"];
+
+// `text` cut into `count` runs of (nearly) equal length: passwords seldom have
+// spaces to break at, and even runs keep the lines the same width.
+const splitEvenly = (text, count) => {
+  const chars = Array.from(text);
+  const size = Math.ceil(chars.length / count);
+  return Array.from({ length: count }, (_, i) => chars.slice(i * size, (i + 1) * size).join("")).filter(Boolean);
+};
+
+// QRs come as data URLs, or as canvases already drawn (the vector ones for SVG).
+const loadQr = (qr) => (typeof qr === "string" ? loadImage(qr) : qr);
+
+// Texts are drawn in the entry's `lang`, whatever language the UI is in.
+export const getStickerTexts = (item) => {
+  const content = contentStickerTexts(item);
+  if (content) return content;
+  // Same rule as the QR payload: `security` decides, `isOpen` only for old entries.
+  const security = resolveSecurity(item);
+  const open = security === "open";
+  return {
+    password: open ? translate(item?.lang, "sticker.open") : String(item?.password || ""),
+    ssid: String(item?.ssid || ""),
+    band: [String(item?.networkType || ""), open ? "" : getSecurityType(security).sticker].filter(Boolean).join(" · "),
+  };
+};
+
+const gapBetween = (a, b, s, gapAfterQr) => {
+  if (a === "qr") return gapAfterQr;
+  if (a === "logo") return SPEC.gapAfterLogo * s;
+  if (b === "footer") return SPEC.gapBeforeFooter * s;
+  if (a === "password" && b === "ssid") return 6 * s;
+  return 4 * s;
+};
+
+// Renders `item` with `template`; returns { canvas, metrics } or null.
+// `rotate: false` keeps the upright base canvas (what the label looks like once
+// printed); `svg: true` draws on an SVG canvas (see lib/svg) with the same layout.
+export const renderWifiSticker = async (item, qr, template, { rotate = true, svg = false } = {}) => {
+  const { outW, outH, baseW, baseH } = getTemplateGeometry(template);
+  const s = Math.min(baseW / BASE_PX.w, baseH / BASE_PX.h);
+  const t = template.textScale || 1;
+  const family = template.fontFamily;
+  // The WiFi footer icon only makes sense on WiFi stickers.
+  const fields = isWifiEntry(item) ? template.fields : template.fields.filter((f) => f !== "footer");
+  const surface = svg ? createSvgCanvas : createCanvas;
+
+  const canvas = surface(baseW, baseH);
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return null;
+
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, baseW, baseH);
+  ctx.fillStyle = "#000000";
+
+  const padX = SPEC.padX * s;
+  const padTop = SPEC.padTop * s;
+  const padBottom = SPEC.padBottom * s;
+  const maxTextW = baseW - padX * 2;
+  const availH = baseH - padTop - padBottom;
+
+  // The entry's brand profile replaces the template's images and inks the accent lines.
+  const brand = item.brand || null;
+  const logoSrc = brand?.logo || template.logo;
+  const footerSrc = brand?.footer || template.footer;
+  const accent = brand?.accent && brand.accent !== DEFAULT_ACCENT ? brand.accent : null;
+
+  const [logoImg, footerImg, qrImg] = await Promise.all([
+    fields.includes("logo") && logoSrc ? loadImage(logoSrc) : null,
+    fields.includes("footer") && footerSrc ? loadImage(footerSrc) : null,
+    fields.includes("qr") ? loadQr(qr) : null,
+  ]);
+
+  const logo = logoImg ? fitImage(logoImg, maxTextW, SPEC.logoH * s) : null;
+  const footer = footerImg ? fitImage(footerImg, Infinity, Math.round(SPEC.footerH * s), { alpha: 0.75 }) : null;
+
+  const texts = {
+    ...getStickerTexts(item),
+    customer: customerStickerText(item.customer),
+    support: brandStickerText(brand, item.lang),
+  };
+  const blocks = fields.filter((f) => {
+    if (f === "logo") return logo;
+    if (f === "footer") return footer;
+    if (LINE_FIELDS.includes(f)) return texts[f];
+    return true;
+  });
+
+  const qrMaxPx = Math.floor(Math.min(SPEC.qr.startPx * s, baseW - padX * 2));
+  let qrSize = qrMaxPx;
+  const qrMinPx = Math.min(qrMaxPx, SPEC.qr.minPx * s);
+  // Last resort when even the smallest text does not fit: keep shrinking the QR to half.
+  const qrFloorPx = Math.min(qrMinPx, qrMaxPx / 2);
+  let gapAfterQr = SPEC.gapAfterQr.startPx * s;
+  const starts = Object.fromEntries(TEXT_FIELDS.map((f) => [f, SPEC.text[f].startPx * s * t]));
+
+  const blockNode = (field) => {
+    if (field === "logo") return logo;
+    if (field === "footer") return footer;
+    if (field === "qr") return imageNode(qrImg, { w: qrSize, h: qrSize, smoothing: false });
+    if (LINE_FIELDS.includes(field)) {
+      const line = (text) =>
+        fitText(ctx, {
+          text,
+          maxWidth: maxTextW,
+          weight: SPEC[field].weight,
+          startPx: SPEC[field].startPx * s * t,
+          minPx: SPEC[field].minPx * s * t,
+          family,
+          color: field === "support" ? accent : null,
+        });
+      const node = line(texts[field]);
+      // Phone and WhatsApp go on two lines when they do not fit on one.
+      const parts = field === "support" ? brandStickerParts(brand, item.lang) : [];
+      return node.overflow && parts.length > 1 ? stackNode(parts.map(line), { gap: 4 * s }) : node;
+    }
+    const fit = (text) =>
+      fitText(ctx, {
+        text,
+        maxWidth: maxTextW,
+        weight: SPEC.text[field].weight,
+        startPx: starts[field],
+        minPx: SPEC.text[field].minPx * s * t,
+        family,
+        color: field === "band" ? accent : null,
+      });
+    const node = fit(texts[field]);
+    if (field !== "password" || !node.overflow) return node;
+    // Fewest lines that fit, all at the size of the tightest one, so any valid
+    // passphrase prints whole (the shrink loop below makes room for the lines);
+    // `sizePx` and `overflow` are read back for the metrics like on a single line.
+    let wrapped = null;
+    const maxLines = Array.from(texts[field]).length;
+    for (let count = 2; count <= maxLines && !(wrapped && !wrapped.overflow); count += 1) {
+      const parts = splitEvenly(texts[field], count).map(fit);
+      const sizePx = Math.min(...parts.map((p) => p.sizePx));
+      const lines = parts.map((p) => textNode(p.text, { weight: p.weight, sizePx, family }));
+      wrapped = {
+        ...stackNode(lines, { gap: 4 * s }),
+        sizePx,
+        overflow: lines.some((line) => measure(ctx, line).w > maxTextW),
+      };
+    }
+    return wrapped;
+  };
+
+  const layoutBlocks = () => {
+    const nodes = blocks.map(blockNode);
+    const gaps = blocks.slice(1).map((f, i) => gapBetween(blocks[i], f, s, gapAfterQr));
+    return { nodes, gaps, total: measure(ctx, stackNode(nodes, { gaps })).h };
+  };
+
+  let layout = layoutBlocks();
+  for (let i = 0; i < 60 && layout.total > availH; i += 1) {
+    if (blocks.includes("qr") && qrSize > qrMinPx) {
+      qrSize = Math.max(qrMinPx, qrSize - SPEC.qr.step * s);
+    } else if (blocks.includes("qr") && gapAfterQr > SPEC.gapAfterQr.minPx * s) {
+      gapAfterQr = Math.max(SPEC.gapAfterQr.minPx * s, gapAfterQr - SPEC.gapAfterQr.step * s);
+    } else if (TEXT_FIELDS.some((f) => starts[f] > SPEC.text[f].floorPx * s * t)) {
+      TEXT_FIELDS.forEach((f) => {
+        starts[f] = Math.max(SPEC.text[f].floorPx * s * t, starts[f] - SPEC.text[f].step * s);
+      });
+    } else if (blocks.includes("qr") && qrSize > qrFloorPx) {
+      qrSize = Math.max(qrFloorPx, qrSize - SPEC.qr.step * s);
+    } else if (starts.password > SPEC.text.password.minPx * s * t) {
+      // A password wrapped onto many lines: smaller letters fit more per line.
+      starts.password = Math.max(SPEC.text.password.minPx * s * t, starts.password - SPEC.text.password.step * s);
+    } else {
+      break;
+    }
+    qrSize = Math.round(qrSize);
+    layout = layoutBlocks();
+  }
+
+  // Spare height goes right after the QR (text sits above the footer, as on the
+  // original B1 layout); without a QR to push against, the stack is centred.
+  const spare = Math.max(0, availH - layout.total);
+  const qrIndex = blocks.indexOf("qr");
+  const spareAfterQr = qrIndex >= 0 && qrIndex < blocks.length - 1;
+  const gaps = layout.gaps.map((g, i) => g + (i === qrIndex && spareAfterQr ? spare : 0));
+  const stack = stackNode(layout.nodes, { gaps });
+  drawNode(ctx, boxNode(stack, { w: baseW, h: measure(ctx, stack).h }), 0, padTop + (spareAfterQr ? 0 : spare / 2));
+
+  const textAt = (field) => layout.nodes[blocks.indexOf(field)];
+  const metrics = {
+    qrSize: blocks.includes("qr") ? qrSize : 0,
+    qrMaxPx,
+    passPx: textAt("password")?.sizePx || 0,
+    ssidPx: textAt("ssid")?.sizePx || 0,
+    passShrunk: Boolean(textAt("password")) && textAt("password").sizePx < SPEC.text.password.startPx * s * t,
+    ssidShrunk: Boolean(textAt("ssid")) && textAt("ssid").sizePx < SPEC.text.ssid.startPx * s * t,
+    passOverflow: Boolean(textAt("password")?.overflow),
+    ssidOverflow: Boolean(textAt("ssid")?.overflow),
+    overflow: layout.total > availH,
+  };
+
+  if (!template.rotate || !rotate) return { canvas, metrics };
+  const out = rotateCanvas90CWTo(canvas, outW, outH, surface);
+  return { canvas: out || canvas, metrics };
+};
+
+// Group labels are sized in millimetres: the panels are small enough that what
+// matters is whether text and QR modules stay printable, not the B1 proportions.
+const GROUP_SPEC = {
+  padMm: 1.5,
+  gapMm: 0.8,
+  separatorMm: 0.25,
+  text: {
+    heading: { weight: 900, startMm: 3, minMm: 1.6 },
+    password: { weight: 900, startMm: 4, minMm: 2 },
+    ssid: { weight: 800, startMm: 2.8, minMm: 1.6 },
+  },
+};
+
+const GROUP_TEXTS = ["heading", "password", "ssid"];
+
+const groupPanelTexts = (network, lang) => {
+  const open = resolveSecurity(network) === "open";
+  return {
+    heading: [networkHeading(network), open ? "" : getSecurityType(resolveSecurity(network)).sticker]
+      .filter(Boolean)
+      .join(" · "),
+    password: open ? translate(lang, "sticker.open") : String(network.password || ""),
+    ssid: String(network.ssid || ""),
+  };
+};
+
+// Draws every network of a group entry on one label, in panels along its long
+// side (heading, QR, password, SSID each). Logo and footer are left out: the
+// panels need the whole label. `metrics.fits` is false when some text would
+// go below its minimum size or a QR module below MIN_MODULE_DOTS at the
+// printer's resolution; callers then print one label per network instead.
+export const renderGroupSticker = async (item, qrs, template, { rotate = true, svg = false } = {}) => {
+  const networks = entryNetworks(item);
+  const { outW, outH, baseW, baseH } = getTemplateGeometry(template);
+  const pxPerMm = template.dpi / 25.4;
+  const t = template.textScale || 1;
+  const family = template.fontFamily;
+  const n = networks.length;
+  const surface = svg ? createSvgCanvas : createCanvas;
+
+  const canvas = surface(baseW, baseH);
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return null;
+
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, baseW, baseH);
+  ctx.fillStyle = "#000000";
+
+  const horizontal = baseW >= baseH;
+  const pad = GROUP_SPEC.padMm * pxPerMm;
+  const gap = GROUP_SPEC.gapMm * pxPerMm;
+  const along = (horizontal ? baseW : baseH) - pad * 2;
+  const across = (horizontal ? baseH : baseW) - pad * 2;
+  const panelLen = (along - pad * (n - 1)) / n;
+  const panelW = horizontal ? panelLen : across;
+  const panelH = horizontal ? across : panelLen;
+
+  const texts = networks.map((network) => groupPanelTexts(network, item.lang));
+  const values = networks.map(generateValue);
+  const cells = Math.max(...values.map((value) => qrCellCount(value, template.qr)));
+  const printerDotsPerPx = DEFAULT_PRINTER_DPI / template.dpi;
+  const minPx = Object.fromEntries(GROUP_TEXTS.map((f) => [f, GROUP_SPEC.text[f].minMm * pxPerMm * t]));
+  const starts = Object.fromEntries(GROUP_TEXTS.map((f) => [f, GROUP_SPEC.text[f].startMm * pxPerMm * t]));
+
+  // One size per text line across panels so the columns line up.
+  const fitPanels = () => {
+    const sizes = Object.fromEntries(
+      GROUP_TEXTS.map((f) => [
+        f,
+        Math.min(
+          ...texts.map(
+            (tx) =>
+              fitText(ctx, {
+                text: tx[f],
+                maxWidth: panelW,
+                weight: GROUP_SPEC.text[f].weight,
+                startPx: starts[f],
+                minPx: minPx[f],
+                family,
+              }).sizePx
+          )
+        ),
+      ])
+    );
+    const textH = GROUP_TEXTS.reduce((sum, f) => sum + sizes[f], 0);
+    const qrSize = Math.floor(Math.min(panelW, panelH - textH - gap * GROUP_TEXTS.length));
+    return { sizes, qrSize, moduleDots: (qrSize / cells) * printerDotsPerPx };
+  };
+
+  let layout = fitPanels();
+  for (let i = 0; i < 40 && layout.moduleDots < MIN_MODULE_DOTS; i += 1) {
+    if (!GROUP_TEXTS.some((f) => starts[f] > minPx[f])) break;
+    GROUP_TEXTS.forEach((f) => {
+      starts[f] = Math.max(minPx[f], starts[f] * 0.92);
+    });
+    layout = fitPanels();
+  }
+
+  const { sizes, qrSize } = layout;
+  const lines = texts.map((tx) =>
+    Object.fromEntries(GROUP_TEXTS.map((f) => [f, textNode(tx[f], { weight: GROUP_SPEC.text[f].weight, sizePx: sizes[f], family })]))
+  );
+  const overflow = lines.some((line) => GROUP_TEXTS.some((f) => measure(ctx, line[f]).w > panelW));
+  const legible = qrSize > 0 && layout.moduleDots >= MIN_MODULE_DOTS;
+  const metrics = { fits: legible && !overflow, qrSize: Math.max(0, qrSize), moduleDots: layout.moduleDots, overflow, boxes: [] };
+  if (!metrics.fits) return { canvas: null, metrics };
+
+  const qrImgs = await Promise.all(qrs.map(loadQr));
+  const line = Math.max(1, Math.round(GROUP_SPEC.separatorMm * pxPerMm));
+  const separator = rectNode({ w: horizontal ? line : Math.round(across), h: horizontal ? Math.round(across) : line, alpha: 0.65 });
+  const panels = networks.map((network, i) =>
+    boxNode(
+      stackNode(
+        [
+          lines[i].heading,
+          imageNode(qrImgs[i], { w: qrSize, h: qrSize, smoothing: false, key: `qr-${i}` }),
+          lines[i].password,
+          lines[i].ssid,
+        ],
+        { gap }
+      ),
+      { w: panelW, h: panelH }
+    )
+  );
+  // Separators sit in the middle of the padding between panels.
+  const children = panels.flatMap((panel, i) => (i === 0 ? [panel] : [separator, panel]));
+  const row = stackNode(children, { direction: horizontal ? "row" : "column", gap: (pad - line) / 2 });
+  const positions = drawNode(ctx, row, pad, pad);
+  metrics.boxes = networks.map((network, i) => {
+    const at = positions[`qr-${i}`];
+    return { x: at.x, y: at.y, size: qrSize, value: values[i], ssid: network.ssid };
+  });
+
+  if (!template.rotate || !rotate) return { canvas, metrics };
+  const out = rotateCanvas90CWTo(canvas, outW, outH, surface);
+  // Same 90° clockwise turn for the QR boxes, so verification can crop them.
+  metrics.boxes = metrics.boxes.map((b) => ({ ...b, x: baseH - b.y - b.size, y: b.x }));
+  return { canvas: out || canvas, metrics };
+};
+
+// The QR for a value as the sticker renderers take it: a data URL (`qrSize` px,
+// raised for high-resolution exports), or a vector canvas when rendering SVG.
+const renderQrFor = async (value, template, options) =>
+  options?.svg
+    ? renderQrCanvas(value, template.qr, { svg: true })
+    : renderQrDataUrl(value, template.qr, { size: options?.qrSize });
+
+// QR and sticker in one step, for callers that only have the entry (the server route).
+export const renderEntrySticker = async (item, template, options) =>
+  renderWifiSticker(item, await renderQrFor(generateContent(item), template, options), template, options);
+
+// Every label an entry prints, as [{ canvas, metrics, item }] where `item` is
+// what that label shows: the entry itself, or for a group that does not fit
+// legibly on one label, each of its networks on a label of its own.
+export const renderEntryStickers = async (item, template, options) => {
+  if (!isGroupEntry(item)) {
+    const result = await renderEntrySticker(item, template, options);
+    return result ? [{ ...result, item }] : [];
+  }
+  const networks = entryNetworks(item).map((network) => ({ ...network, lang: item.lang, customer: item.customer, brand: item.brand }));
+  const qrs = await Promise.all(networks.map((network) => renderQrFor(generateValue(network), template, options)));
+  const combined = await renderGroupSticker(item, qrs, template, options);
+  if (combined?.metrics.fits) return [{ ...combined, item }];
+
+  const results = [];
+  for (let i = 0; i < networks.length; i += 1) {
+    const result = await renderWifiSticker(networks[i], qrs[i], template, options);
+    if (result) results.push({ ...result, item: networks[i] });
+  }
+  return results;
+};
@@ -0,0 +1,130 @@
+// Local persistence for the label queue, the sticker history and their settings.
+// Everything lives in localStorage; reads never throw (private mode, quota, bad JSON).
+
+import { DEFAULT_PASSWORD_POLICY } from "./password";
+import { entryTitle, isStoredEntry } from "./payloads";
+
+const KEYS = {
+  queue: "qr-only:queue",
+  history: "qr-only:history",
+  settings: "qr-only:settings",
+  templates: "qr-only:templates",
+  attention: "qr-only:attention",
+  logos: "qr-only:logos",
+  customers: "qr-only:customers",
+  brands: "qr-only:brands",
+};
+
+const HISTORY_LIMIT = 500;
+
+export const DEFAULT_STORAGE_SETTINGS = {
+  storePasswords: true,
+  templateId: null,
+  // Brand profile stamped on new entries (null: the template's own assets).
+  brandId: null,
+  printer: { model: "b1", connection: "bluetooth", density: 3, copies: 1 },
+  passwordPolicy: DEFAULT_PASSWORD_POLICY,
+  // null on the first visit: the browser languages pick one.
+  locale: null,
+};
+
+const readJson = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const stripPassword = (entry) => {
+  if (Array.isArray(entry.networks)) return { ...entry, networks: entry.networks.map(stripPassword) };
+  return "password" in entry ? { ...entry, password: "" } : entry;
+};
+
+export const loadSettings = () => ({ ...DEFAULT_STORAGE_SETTINGS, ...readJson(KEYS.settings, {}) });
+
+export const saveSettings = (settings) => writeJson(KEYS.settings, settings);
+
+export const loadQueue = () => {
+  const list = readJson(KEYS.queue, []);
+  return Array.isArray(list) ? list.filter(isStoredEntry) : [];
+};
+
+// Without `storePasswords` passwords are left out; `needsPassword` spots those entries on load.
+export const saveQueue = (queue, { storePasswords = true } = {}) =>
+  writeJson(KEYS.queue, storePasswords ? queue : queue.map(stripPassword));
+
+export const loadHistory = () => {
+  const list = readJson(KEYS.history, []);
+  return Array.isArray(list) ? list.filter((e) => isStoredEntry(e) && e.id) : [];
+};
+
+export const saveHistory = (history, { storePasswords = true } = {}) =>
+  writeJson(KEYS.history, storePasswords ? history : history.map(stripPassword));
+
+export const makeHistoryId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Same network printed again replaces its previous record (newest first).
+const historyKey = (e) => `${e.kind || "wifi"}\u0000${entryTitle(e)}\u0000${e.networkType || ""}`;
+
+export const addToHistory = (history, entries, { now = new Date() } = {}) => {
+  const fresh = entries.map((e) => ({ ...e, id: makeHistoryId(), createdAt: now.toISOString() }));
+  const keys = new Set(fresh.map(historyKey));
+  return [...fresh, ...history.filter((e) => !keys.has(historyKey(e)))].slice(0, HISTORY_LIMIT);
+};
+
+// Entries from an imported file join the history unless it already has their
+// id; the list stays newest first.
+export const mergeHistory = (history, entries) => {
+  const known = new Set(history.map((e) => e.id));
+  const fresh = entries.filter((e) => !known.has(e.id));
+  return [...history, ...fresh]
+    .sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")))
+    .slice(0, HISTORY_LIMIT);
+};
+
+// Only custom templates are stored; built-ins always come from the code.
+export const loadTemplates = () => {
+  const list = readJson(KEYS.templates, []);
+  return Array.isArray(list) ? list.filter((t) => t && typeof t.id === "string") : [];
+};
+
+export const saveTemplates = (templates) => writeJson(KEYS.templates, templates);
+
+// Processed logos ({ id, name, dataUrl, width, height }); templates embed the
+// data URL they use, so deleting a logo here does not break them.
+export const loadLogos = () => {
+  const list = readJson(KEYS.logos, []);
+  return Array.isArray(list) ? list.filter((l) => l && typeof l.id === "string" && typeof l.dataUrl === "string") : [];
+};
+
+export const saveLogos = (logos) => writeJson(KEYS.logos, logos);
+
+export const loadCustomers = () => {
+  const list = readJson(KEYS.customers, []);
+  return Array.isArray(list) ? list.filter((c) => c && typeof c.id === "string" && typeof c.name === "string") : [];
+};
+
+export const saveCustomers = (customers) => writeJson(KEYS.customers, customers);
+
+export const loadBrands = () => {
+  const list = readJson(KEYS.brands, []);
+  return Array.isArray(list) ? list.filter((b) => b && typeof b.id === "string" && typeof b.name === "string") : [];
+};
+
+export const saveBrands = (brands) => writeJson(KEYS.brands, brands);
+
+export const loadAttention = () => readJson(KEYS.attention, null);
+
+export const saveAttention = (config) => writeJson(KEYS.attention, config);
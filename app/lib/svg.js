@@ -0,0 +1,171 @@
+// Vector output for the sticker renderers: an object that passes for a canvas
+// and records what is drawn on it as SVG. Only the part of the 2D API the
+// renderers and the QR drawer use is implemented; text is measured on a real
+// canvas, so the layout is the same as in the PNG and is kept as text.
+
+import { createCanvas } from "./canvas";
+
+// Bitmaps (logos, footer icons) are embedded at twice the size they are drawn
+// at, so they stay sharp when the SVG is printed larger than the label.
+const IMAGE_SCALE = 2;
+
+const num = (n) => String(Math.round(n * 1000) / 1000);
+
+const escapeXml = (value) =>
+  String(value).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+
+const ANCHORS = { center: "middle", left: "start", start: "start", right: "end", end: "end" };
+
+// A canvas font ("700 48px Arial, sans-serif") as separate attributes: some SVG
+// renderers ignore the `font` shorthand.
+const fontAttributes = (font) => {
+  const match = /^(.*?)\s*([\d.]+)px\s+(.+)$/.exec(font);
+  if (!match) return `style="font: ${escapeXml(font)}"`;
+  const weight = match[1].split(/\s+/).find((token) => /^(bold|bolder|lighter|\d{3})$/.test(token));
+  return `font-family="${escapeXml(match[3])}" font-size="${num(Number(match[2]))}"${weight ? ` font-weight="${weight}"` : ""}`;
+};
+
+const isSvgCanvas = (source) => typeof source?.toSvgMarkup === "function";
+
+// Any other drawImage source (image, bitmap canvas) as a PNG data URL.
+const rasterize = (source, w, h) => {
+  const c = createCanvas(Math.max(1, Math.round(w)), Math.max(1, Math.round(h)));
+  const ctx = c.getContext("2d");
+  ctx.drawImage(source, 0, 0, c.width, c.height);
+  return c.toDataURL("image/png");
+};
+
+// The 2D context of an SVG canvas; `parts` collects the elements drawn so far.
+const createSvgContext = () => {
+  const parts = [];
+  const stack = [];
+  const measurer = createCanvas(1, 1).getContext("2d");
+  let path = [];
+  let transform = [];
+
+  // Adds an element, inside a group carrying the current transform and opacity.
+  const push = (markup) => {
+    const attrs = [];
+    if (transform.length > 0) attrs.push(`transform="${transform.join(" ")}"`);
+    if (ctx.globalAlpha < 1) attrs.push(`opacity="${num(ctx.globalAlpha)}"`);
+    parts.push(attrs.length > 0 ? `<g ${attrs.join(" ")}>${markup}</g>` : markup);
+  };
+
+  const STATE = ["fillStyle", "globalAlpha", "imageSmoothingEnabled", "textAlign", "textBaseline", "font"];
+
+  const ctx = {
+    parts,
+    fillStyle: "#000000",
+    globalAlpha: 1,
+    imageSmoothingEnabled: true,
+    textAlign: "start",
+    textBaseline: "alphabetic",
+
+    get font() {
+      return measurer.font;
+    },
+    set font(value) {
+      measurer.font = value;
+    },
+
+    save() {
+      stack.push({ transform: [...transform], ...Object.fromEntries(STATE.map((key) => [key, ctx[key]])) });
+    },
+    restore() {
+      const state = stack.pop();
+      if (!state) return;
+      transform = state.transform;
+      STATE.forEach((key) => {
+        ctx[key] = state[key];
+      });
+    },
+    translate(x, y) {
+      transform.push(`translate(${num(x)} ${num(y)})`);
+    },
+    rotate(radians) {
+      transform.push(`rotate(${num((radians * 180) / Math.PI)})`);
+    },
+
+    clearRect() {},
+    fillRect(x, y, w, h) {
+      push(`<rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}" fill="${escapeXml(ctx.fillStyle)}"/>`);
+    },
+    beginPath() {
+      path = [];
+    },
+    rect(x, y, w, h) {
+      path.push(`M${num(x)} ${num(y)}h${num(w)}v${num(h)}h${num(-w)}z`);
+    },
+    fill() {
+      if (path.length > 0) push(`<path d="${path.join("")}" fill="${escapeXml(ctx.fillStyle)}"/>`);
+    },
+
+    measureText: (text) => measurer.measureText(text),
+
+    // SVG text sits on its alphabetic baseline; the offset from the canvas
+    // baseline is the difference of the font ascents measured from each.
+    fillText(text, x, y) {
+      const ascentFrom = (baseline) => {
+        measurer.textBaseline = baseline;
+        return measurer.measureText(text).fontBoundingBoxAscent;
+      };
+      const offset = ascentFrom("alphabetic") - ascentFrom(ctx.textBaseline);
+      push(
+        `<text x="${num(x)}" y="${num(y + (Number.isFinite(offset) ? offset : 0))}" ` +
+          `text-anchor="${ANCHORS[ctx.textAlign] || "start"}" ${fontAttributes(ctx.font)} ` +
+          `fill="${escapeXml(ctx.fillStyle)}" xml:space="preserve">${escapeXml(text)}</text>`
+      );
+    },
+
+    // drawImage(source, dx, dy[, dw, dh]) or with a source rectangle
+    // (sx, sy, sw, sh, dx, dy, dw, dh), as on a canvas.
+    drawImage(source, ...args) {
+      const sourceW = source.naturalWidth || source.width;
+      const sourceH = source.naturalHeight || source.height;
+      let [sx, sy, sw, sh] = [0, 0, sourceW, sourceH];
+      let [dx, dy, dw, dh] = [args[0], args[1], args[2] ?? sourceW, args[3] ?? sourceH];
+      if (args.length === 8) [sx, sy, sw, sh, dx, dy, dw, dh] = args;
+      const box = `x="${num(dx)}" y="${num(dy)}" width="${num(dw)}" height="${num(dh)}"`;
+
+      // Another SVG canvas (the QR, the upright label) stays vector.
+      if (isSvgCanvas(source)) {
+        push(
+          `<svg ${box} viewBox="${num(sx)} ${num(sy)} ${num(sw)} ${num(sh)}" preserveAspectRatio="none">` +
+            `${source.toSvgMarkup()}</svg>`
+        );
+        return;
+      }
+
+      let bitmap = source;
+      if (args.length === 8) {
+        bitmap = createCanvas(Math.max(1, Math.round(sw)), Math.max(1, Math.round(sh)));
+        bitmap.getContext("2d").drawImage(source, sx, sy, sw, sh, 0, 0, bitmap.width, bitmap.height);
+      }
+      const href = rasterize(bitmap, dw * IMAGE_SCALE, dh * IMAGE_SCALE);
+      const rendering = ctx.imageSmoothingEnabled ? "" : ` style="image-rendering: pixelated"`;
+      // `href` for current renderers, `xlink:href` for older editors.
+      push(`<image ${box} href="${href}" xlink:href="${href}" preserveAspectRatio="none"${rendering}/>`);
+    },
+  };
+  return ctx;
+};
+
+// A `width`×`height` drawing surface; `toSvg` gives the standalone document,
+// sized in millimetres when `widthMm`/`heightMm` are passed.
+export const createSvgCanvas = (width, height) => {
+  const context = createSvgContext();
+  return {
+    width,
+    height,
+    getContext: () => context,
+    toSvgMarkup: () => context.parts.join(""),
+    toSvg: ({ widthMm, heightMm } = {}) => {
+      const size = widthMm && heightMm ? `width="${num(widthMm)}mm" height="${num(heightMm)}mm"` : `width="${width}" height="${height}"`;
+      return (
+        `<?xml version="1.0" encoding="UTF-8"?>\n` +
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ${size} viewBox="0 0 ${width} ${height}">` +
+        `${context.parts.join("")}</svg>\n`
+      );
+    },
+  };
+};
@@ -0,0 +1,156 @@
+// Label templates: physical size, output resolution, orientation, which
+// fields the WiFi sticker shows (in order; "customer" and "support" only print
+// when the entry's customer record / brand profile has something to show), the
+// assets it uses (a brand profile may replace them) and the QR options.
+
+import { t } from "./i18n";
+import { normalizeQrOptions } from "./qr";
+
+export const STICKER_FIELDS = [
+  { value: "logo", label: "template.field.logo" },
+  { value: "qr", label: "template.field.qr" },
+  { value: "password", label: "template.field.password" },
+  { value: "ssid", label: "template.field.ssid" },
+  { value: "band", label: "template.field.band" },
+  { value: "customer", label: "template.field.customer" },
+  { value: "support", label: "template.field.support" },
+  { value: "footer", label: "template.field.footer" },
+];
+
+export const LOGO_ASSETS = [
+  { value: "/logo-red7-dark.png", label: "template.asset.red7Dark" },
+  { value: "/logo.svg", label: "template.asset.altLogo" },
+];
+
+export const FOOTER_ASSETS = [{ value: "/wifi-footer%20copy.svg", label: "template.asset.wifiIcon" }];
+
+export const FONT_FAMILIES = [
+  { value: "Arial, Helvetica, sans-serif", label: "Arial" },
+  { value: "Verdana, Geneva, sans-serif", label: "Verdana" },
+  { value: "Tahoma, Geneva, sans-serif", label: "Tahoma" },
+  { value: "\"Courier New\", Courier, monospace", label: "Courier New" },
+];
+
+const ALL_FIELDS = STICKER_FIELDS.map((f) => f.value);
+
+// `rotate`: the NIIMBOT app may rotate the label "sheet" without rotating the
+// imported image. To keep the content aligned with a horizontal label we render
+// on a portrait base (same pixels swapped) and rotate the final bitmap 90° clockwise.
+// 508 dpi keeps the original B1 output of 1000×600px for 50×30mm.
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: "niimbot-b1-50x30",
+    name: "NIIMBOT B1 · 50×30mm",
+    widthMm: 50,
+    heightMm: 30,
+    dpi: 508,
+    rotate: true,
+    fields: ALL_FIELDS,
+    fontFamily: "Arial, Helvetica, sans-serif",
+    textScale: 1,
+    logo: "/logo-red7-dark.png",
+    footer: "/wifi-footer%20copy.svg",
+    builtIn: true,
+  },
+  {
+    id: "roll-40x30",
+    name: "Rollo 40×30mm",
+    widthMm: 40,
+    heightMm: 30,
+    dpi: 508,
+    rotate: true,
+    fields: ALL_FIELDS,
+    fontFamily: "Arial, Helvetica, sans-serif",
+    textScale: 1,
+    logo: "/logo-red7-dark.png",
+    footer: "/wifi-footer%20copy.svg",
+    builtIn: true,
+  },
+  {
+    id: "niimbot-d11-12x40",
+    name: "NIIMBOT D11 · 12×40mm",
+    widthMm: 40,
+    heightMm: 12,
+    dpi: 508,
+    rotate: true,
+    fields: ["qr", "password", "ssid", "band"],
+    fontFamily: "Arial, Helvetica, sans-serif",
+    textScale: 1,
+    logo: "/logo-red7-dark.png",
+    footer: "/wifi-footer%20copy.svg",
+    builtIn: true,
+  },
+  {
+    id: "alt-brand-50x30",
+    name: "Marca alterna · 50×30mm",
+    widthMm: 50,
+    heightMm: 30,
+    dpi: 508,
+    rotate: true,
+    fields: ALL_FIELDS,
+    fontFamily: "Arial, Helvetica, sans-serif",
+    textScale: 1,
+    logo: "/logo.svg",
+    footer: "/wifi-footer%20copy.svg",
+    builtIn: true,
+  },
+];
+
+export const DEFAULT_TEMPLATE_ID = BUILT_IN_TEMPLATES[0].id;
+
+export const mmToPx = (mm, dpi) => Math.max(1, Math.round((Number(mm) / 25.4) * Number(dpi)));
+
+// Final bitmap size and the base canvas the content is laid out on.
+export const getTemplateGeometry = (template) => {
+  const outW = mmToPx(template.widthMm, template.dpi);
+  const outH = mmToPx(template.heightMm, template.dpi);
+  const base = template.rotate ? { w: outH, h: outW } : { w: outW, h: outH };
+  return { outW, outH, baseW: base.w, baseH: base.h };
+};
+
+// Largest bitmap a label is drawn at, in pixels (width × height), for every
+// format: about 64 MB of RGBA, enough for a 200×200 mm sign at 508 dpi.
+export const MAX_LABEL_AREA_PX = 16_000_000;
+
+// Error message when the template's bitmap goes over MAX_LABEL_AREA_PX, or "".
+export const validateTemplateSize = (template) => {
+  const { outW, outH } = getTemplateGeometry(template);
+  if (outW * outH <= MAX_LABEL_AREA_PX) return "";
+  return t("template.error.tooLarge", { width: outW, height: outH, max: MAX_LABEL_AREA_PX / 1_000_000 });
+};
+
+const clampNumber = (value, min, max, fallback) => {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, n));
+};
+
+// Fills missing/invalid values so stored or hand-edited templates always render.
+export const normalizeTemplate = (template) => {
+  const base = BUILT_IN_TEMPLATES[0];
+  const fields = Array.isArray(template?.fields)
+    ? template.fields.filter((f, i, list) => ALL_FIELDS.includes(f) && list.indexOf(f) === i)
+    : base.fields;
+  return {
+    ...base,
+    ...template,
+    name: String(template?.name || "").trim() || t("template.untitled"),
+    widthMm: clampNumber(template?.widthMm, 5, 300, base.widthMm),
+    heightMm: clampNumber(template?.heightMm, 5, 300, base.heightMm),
+    dpi: clampNumber(template?.dpi, 72, 1200, base.dpi),
+    rotate: Boolean(template?.rotate ?? base.rotate),
+    fields,
+    textScale: clampNumber(template?.textScale, 0.5, 2, 1),
+    qr: normalizeQrOptions(template?.qr),
+    builtIn: BUILT_IN_TEMPLATES.some((tpl) => tpl.id === template?.id),
+  };
+};
+
+// Built-in names are translated; custom ones are shown as the user typed them.
+export const templateLabel = (template) =>
+  BUILT_IN_TEMPLATES.some((tpl) => tpl.id === template?.id) ? t(`template.builtIn.${template.id}`) : template?.name;
+
+export const makeTemplateId = () => `custom-${Date.now().toString(36)}`;
+
+export const getTemplate = (templates, id) =>
+  templates.find((tpl) => tpl.id === id) || templates.find((tpl) => tpl.id === DEFAULT_TEMPLATE_ID) || BUILT_IN_TEMPLATES[0];
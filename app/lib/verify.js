@@ -0,0 +1,111 @@
+// Scannability check: decodes the finished sticker bitmap, and again after
+// simulating a 1-bit thermal print, and measures the printed module size.
+
+import jsQR from "jsqr";
+import { createCanvas } from "./canvas";
+import { t } from "./i18n";
+import { rasterizeForPrinter } from "./niimbot";
+import { generateContent } from "./payloads";
+import { qrCellCount } from "./qr";
+
+// Thermal heads blur anything smaller than about three dots per module.
+export const DEFAULT_PRINTER_DPI = 203;
+export const MIN_MODULE_DOTS = 3;
+
+const decode = (data, width, height) => {
+  const result = jsQR(data, width, height, { inversionAttempts: "attemptBoth" });
+  return result ? result.data : null;
+};
+
+const decodeCanvas = (canvas) => {
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  if (!ctx) return null;
+  const { data, width, height } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  return decode(data, width, height);
+};
+
+// Rows from `rasterizeForPrinter` back to RGBA, as the printed label would look.
+const decodeBitmap = ({ width, height, rows }) => {
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      if (rows[y][x >> 3] & (0x80 >> (x & 7))) {
+        const i = (y * width + x) * 4;
+        data[i] = 0;
+        data[i + 1] = 0;
+        data[i + 2] = 0;
+      }
+    }
+  }
+  return decode(data, width, height);
+};
+
+// `canvas` is a sticker at the template dpi (either orientation), `qrSize` the
+// QR side in those pixels. Returns { ok, decoded, printed, moduleMm, moduleDots, messages }.
+export const verifyStickerCanvas = (canvas, expected, { template, qrSize, printerDpi = DEFAULT_PRINTER_DPI }) => {
+  const messages = [];
+
+  const full = decodeCanvas(canvas);
+  const decoded = full === expected;
+  if (full == null) messages.push(t("verify.unreadable"));
+  else if (!decoded) messages.push(t("verify.mismatch"));
+
+  const pxToMm = 25.4 / template.dpi;
+  const bitmap = rasterizeForPrinter(canvas, {
+    widthMm: canvas.width * pxToMm,
+    heightMm: canvas.height * pxToMm,
+    dpi: printerDpi,
+    printheadPx: Infinity,
+  });
+  const printed = decodeBitmap(bitmap) === expected;
+  if (!printed) messages.push(t("verify.printUnreadable", { dpi: printerDpi }));
+
+  const moduleMm = (qrSize / qrCellCount(expected, template.qr)) * pxToMm;
+  const moduleDots = (moduleMm / 25.4) * printerDpi;
+  if (moduleDots < MIN_MODULE_DOTS) {
+    const minMm = (MIN_MODULE_DOTS / printerDpi) * 25.4;
+    messages.push(
+      t("verify.moduleTooSmall", {
+        mm: moduleMm.toFixed(2),
+        dots: moduleDots.toFixed(1),
+        dpi: printerDpi,
+        min: minMm.toFixed(2),
+      })
+    );
+  }
+
+  return { ok: messages.length === 0, decoded, printed, moduleMm, moduleDots, messages };
+};
+
+// One QR of a multi-QR label plus a quiet zone, so the decoder sees only that code.
+const cropQr = (canvas, { x, y, size }) => {
+  const margin = Math.round(size * 0.15);
+  const out = createCanvas(size + margin * 2, size + margin * 2);
+  const ctx = out.getContext("2d");
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, out.width, out.height);
+  ctx.drawImage(canvas, x, y, size, size, margin, margin, size, size);
+  return out;
+};
+
+// Same check for a `renderWifiSticker` result; null when the template has no QR.
+// Group labels (`metrics.boxes`) are checked QR by QR, messages prefixed by SSID.
+export const verifySticker = (item, { canvas, metrics }, template, options) => {
+  if (metrics.boxes?.length) {
+    const checks = metrics.boxes.map((box) => ({
+      ssid: box.ssid,
+      ...verifyStickerCanvas(cropQr(canvas, box), box.value, { template, qrSize: box.size, ...options }),
+    }));
+    return {
+      ok: checks.every((c) => c.ok),
+      decoded: checks.every((c) => c.decoded),
+      printed: checks.every((c) => c.printed),
+      moduleMm: Math.min(...checks.map((c) => c.moduleMm)),
+      moduleDots: Math.min(...checks.map((c) => c.moduleDots)),
+      messages: checks.flatMap((c) => c.messages.map((m) => `${c.ssid}: ${m}`)),
+    };
+  }
+  return metrics.qrSize > 0
+    ? verifyStickerCanvas(canvas, generateContent(item), { template, qrSize: metrics.qrSize, ...options })
+    : null;
+};
@@ -0,0 +1,220 @@
+// WiFi network QR payload (the `WIFI:` URI understood by phone cameras).
+
+import { t } from "./i18n";
+
+export const sanitizeNumericDot = (value) => {
+  const raw = String(value ?? "");
+  const cleaned = raw.replace(/[^0-9.]/g, "");
+  return cleaned.replace(/(\..*)\./g, "$1");
+};
+
+export const DEFAULT_NETWORK_TYPE = "5.0";
+
+export const escapeWifi = (value) => String(value ?? "").replace(/[\\;,:\"]/g, (m) => `\\${m}`);
+
+// Security types offered in the form. `payloadType` is the `T:` field and
+// `transitionDisable` the `R:` field from the WPA3 QR URI format: `R:1` tells
+// the client not to fall back from SAE to WPA2-PSK on this network.
+export const SECURITY_TYPES = [
+  { value: "wpa", label: "security.wpa", sticker: "WPA2", payloadType: "WPA" },
+  { value: "sae", label: "security.sae", sticker: "WPA3", payloadType: "WPA", transitionDisable: "1" },
+  { value: "sae-transition", label: "security.sae-transition", sticker: "WPA2/WPA3", payloadType: "WPA" },
+  { value: "wep", label: "security.wep", sticker: "WEP", payloadType: "WEP" },
+  { value: "open", label: "security.open", sticker: "OPEN", payloadType: "nopass" },
+];
+
+export const DEFAULT_SECURITY = "wpa";
+
+export const getSecurityType = (value) =>
+  SECURITY_TYPES.find((type) => type.value === value) || SECURITY_TYPES.find((type) => type.value === DEFAULT_SECURITY);
+
+// Entries created before security types existed only carry `isOpen`.
+export const resolveSecurity = (item) => {
+  if (item?.security && SECURITY_TYPES.some((type) => type.value === item.security)) return item.security;
+  return item?.isOpen ? "open" : DEFAULT_SECURITY;
+};
+
+const HEX_RE = /^[0-9a-f]+$/i;
+const PRINTABLE_ASCII_RE = /^[\x20-\x7e]*$/;
+
+// 802.11 limits the SSID to 32 octets; accents and emoji take 2–4 each in UTF-8.
+export const SSID_MAX_BYTES = 32;
+
+export const utf8Length = (value) => new TextEncoder().encode(String(value ?? "")).length;
+
+// SSIDs are taken as typed: leading/trailing spaces are part of the name.
+export const validateSsid = (ssid) => {
+  const value = String(ssid ?? "");
+  if (!value) return t("wifi.ssid.required");
+  if (!value.trim()) return t("wifi.ssid.blank");
+  if (/[\x00-\x1f\x7f]/.test(value)) return t("wifi.ssid.control");
+  const bytes = utf8Length(value);
+  if (bytes > SSID_MAX_BYTES) {
+    return t("wifi.ssid.tooLong", { max: SSID_MAX_BYTES, bytes });
+  }
+  return "";
+};
+
+// Returns an error message for the password under the given security type, or "".
+// Like the SSID, the password is not trimmed.
+export const validateWifiPassword = (security, password) => {
+  const value = String(password ?? "");
+  if (security === "open") return "";
+  if (!value) return t("wifi.password.required");
+
+  if (security === "wep") {
+    if ((value.length === 10 || value.length === 26) && HEX_RE.test(value)) return "";
+    if ((value.length === 5 || value.length === 13) && PRINTABLE_ASCII_RE.test(value)) return "";
+    if (value.length === 5 || value.length === 13) return t("wifi.password.wepAscii");
+    return t("wifi.password.wepLength");
+  }
+
+  if (value.length === 64) {
+    if (security !== "sae" && HEX_RE.test(value)) return "";
+    if (security !== "sae") return t("wifi.password.hex64");
+  }
+  if (value.length < 8) return t("wifi.password.tooShort", { length: value.length });
+  // SAE accepts any length and encoding; WPA2 (and transition mode, which must
+  // also work with WPA2) takes 8–63 printable ASCII characters.
+  if (security === "sae") return "";
+  if (value.length > 63) return t("wifi.password.tooLong", { length: value.length });
+  if (!PRINTABLE_ASCII_RE.test(value)) {
+    return t("wifi.password.ascii");
+  }
+  return "";
+};
+
+// Per-field errors for the WiFi form: { ssid, password }, "" when valid.
+export const validateWifiFields = ({ ssid, password, security, isOpen }) => ({
+  ssid: validateSsid(ssid),
+  password: validateWifiPassword(resolveSecurity({ security, isOpen }), password),
+});
+
+// Glyphs easily confused with each other in the sticker font.
+export const AMBIGUOUS_CHARS = "0O1lI|";
+
+// Readability notes for text printed on the sticker (not errors: the network
+// really may be named like this, but whoever retypes it should be warned).
+export const readabilityWarnings = (value) => {
+  const text = String(value ?? "");
+  const warnings = [];
+  if (!text) return warnings;
+  if (/^\s|\s$/.test(text)) warnings.push(t("readability.edgeSpace"));
+  if (/\s{2,}/.test(text)) warnings.push(t("readability.doubleSpace"));
+  if (/[\u00a0\u200b-\u200d\u2060\ufeff]/.test(text)) {
+    warnings.push(t("readability.invisible"));
+  }
+  // Cyrillic and Greek letters that look like Latin ones.
+  if (/[a-z]/i.test(text) && /[\u0370-\u03ff\u0400-\u04ff]/.test(text)) {
+    warnings.push(t("readability.homoglyphs"));
+  }
+  const ambiguous = [...new Set([...text].filter((c) => AMBIGUOUS_CHARS.includes(c)))];
+  if (ambiguous.length > 0) warnings.push(t("readability.ambiguous", { chars: ambiguous.join(" ") }));
+  return warnings;
+};
+
+export const generateValue = (item) => {
+  const security = getSecurityType(resolveSecurity(item));
+  const fields = [`T:${security.payloadType}`];
+  if (security.transitionDisable) fields.push(`R:${security.transitionDisable}`);
+  fields.push(`S:${escapeWifi(item?.ssid ?? "")}`);
+  if (security.value !== "open") fields.push(`P:${escapeWifi(item?.password ?? "")}`);
+  if (item?.hidden) fields.push("H:true");
+  return `WIFI:${fields.join(";")};;`;
+};
+
+// Splits "a;b\;c" on the separators that are not escaped, keeping the escapes.
+const splitUnescaped = (value, separator) => {
+  const parts = [];
+  let current = "";
+  for (let i = 0; i < value.length; i += 1) {
+    const c = value[i];
+    if (c === "\\" && i + 1 < value.length) {
+      current += c + value[i + 1];
+      i += 1;
+    } else if (c === separator) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += c;
+    }
+  }
+  parts.push(current);
+  return parts;
+};
+
+const unescapeWifi = (value) => value.replace(/\\(.)/g, "$1");
+
+// Some generators quote values instead of escaping them (`S:"Casa";`).
+const unquote = (value) => (value.length >= 2 && value.startsWith("\"") && value.endsWith("\"") ? value.slice(1, -1) : value);
+
+// Inverse of `generateValue`: reads a scanned `WIFI:` payload into
+// { network: { ssid, password, security, hidden }, error }. WPA with `R:` bit 0
+// set is WPA3 only; plain WPA can be WPA2 or transition mode, and is read as WPA2.
+export const parseWifiValue = (value) => {
+  const raw = String(value ?? "");
+  if (!/^WIFI:/i.test(raw)) return { network: null, error: t("scan.error.notWifi") };
+
+  const fields = {};
+  splitUnescaped(raw.slice(5), ";").forEach((part) => {
+    const colon = part.indexOf(":");
+    if (colon <= 0) return;
+    const key = part.slice(0, colon).toUpperCase();
+    if (!(key in fields)) fields[key] = unquote(part.slice(colon + 1));
+  });
+  if (fields.S == null || !unescapeWifi(fields.S)) return { network: null, error: t("scan.error.noSsid") };
+
+  const type = String(fields.T || "").toUpperCase();
+  const password = fields.P == null ? "" : unescapeWifi(fields.P);
+  let security = DEFAULT_SECURITY;
+  if (type === "WEP") security = "wep";
+  else if (type === "NOPASS" || (!type && !password)) security = "open";
+  else if (type === "SAE" || (parseInt(fields.R, 16) & 1) === 1) security = "sae";
+
+  return {
+    network: {
+      ssid: unescapeWifi(fields.S),
+      password: security === "open" ? "" : password,
+      security,
+      hidden: String(fields.H || "").toLowerCase() === "true",
+    },
+    error: "",
+  };
+};
+
+// Validates raw form-like fields and returns the queue entry, or the first error
+// (`errors` has the message for each field).
+export const normalizeEntry = ({ ssid, password, security, isOpen, hidden, networkType }) => {
+  const finalSecurity = resolveSecurity({ security, isOpen });
+  const rawSsid = String(ssid ?? "");
+  const rawPassword = String(password ?? "");
+  const cleanedNetworkType = String(networkType || "").trim() || DEFAULT_NETWORK_TYPE;
+  const finalNetworkType = sanitizeNumericDot(cleanedNetworkType) || cleanedNetworkType;
+
+  const errors = validateWifiFields({ ssid: rawSsid, password: rawPassword, security: finalSecurity });
+  const error = errors.ssid || errors.password;
+  if (error) return { entry: null, error, errors };
+
+  const open = finalSecurity === "open";
+  return {
+    entry: {
+      ssid: rawSsid,
+      password: open ? "" : rawPassword,
+      isOpen: open,
+      security: finalSecurity,
+      hidden: Boolean(hidden),
+      networkType: finalNetworkType,
+    },
+    error: "",
+    errors,
+  };
+};
+
+// Two entries describe the same sticker when SSID and band match (case-insensitive SSID).
+export const findDuplicate = (queue, entry, ignoreIndex = -1) =>
+  queue.findIndex(
+    (e, i) =>
+      i !== ignoreIndex &&
+      String(e.ssid).toLowerCase() === String(entry.ssid).toLowerCase() &&
+      String(e.networkType) === String(entry.networkType)
+  );
@@ -0,0 +1,22 @@
+import { DEFAULT_LOCALE, translate } from "./lib/i18n";
+
+// Web app manifest (served as /manifest.webmanifest), so the page can be
+// installed on the technicians' phones and opened offline.
+export default function manifest() {
+  return {
+    name: "QR Only",
+    short_name: "QR Only",
+    description: translate(DEFAULT_LOCALE, "app.description"),
+    lang: DEFAULT_LOCALE,
+    start_url: "/",
+    scope: "/",
+    display: "standalone",
+    background_color: "#f4f6f8",
+    theme_color: "#0f172a",
+    icons: [
+      { src: "/icon-192.png", sizes: "192x192", type: "image/png", purpose: "any maskable" },
+      { src: "/icon-512.png", sizes: "512x512", type: "image/png", purpose: "any maskable" },
+      { src: "/icon.svg", sizes: "any", type: "image/svg+xml" },
+    ],
+  };
+}
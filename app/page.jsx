@@ -1,628 +1,848 @@
 "use client";
 
-import { useMemo, useState } from "react";
-import { QRCodeCanvas } from "qrcode.react";
-
-const sanitizeNumericDot = (value) => {
-  const raw = String(value ?? "");
-  const cleaned = raw.replace(/[^0-9.]/g, "");
-  return cleaned.replace(/(\..*)\./g, "$1");
-};
-
-const escapeWifi = (value) => String(value ?? "").replace(/[\\;,:\"]/g, (m) => `\\${m}`);
+import { useEffect, useMemo, useState } from "react";
+import AttentionPanel from "./components/AttentionPanel";
+import BrandPanel from "./components/BrandPanel";
+import BrandSelect from "./components/BrandSelect";
+import ContentFields from "./components/ContentFields";
+import CustomerPanel from "./components/CustomerPanel";
+import CustomerSelect from "./components/CustomerSelect";
+import ExportOptions from "./components/ExportOptions";
+import FieldHints from "./components/FieldHints";
+import HistoryPanel from "./components/HistoryPanel";
+import ImportPanel from "./components/ImportPanel";
+import LogoPanel from "./components/LogoPanel";
+import OfflineStatus from "./components/OfflineStatus";
+import PasswordTools from "./components/PasswordTools";
+import PrinterPanel from "./components/PrinterPanel";
+import QueueItemEditor from "./components/QueueItemEditor";
+import ScanPanel from "./components/ScanPanel";
+import StickerPreview from "./components/StickerPreview";
+import TemplatePanel from "./components/TemplatePanel";
+import {
+  attentionDefaults,
+  buildWhatsAppUrl,
+  changeAttentionLang,
+  renderAttentionSticker,
+  validateAttention,
+} from "./lib/attention";
+import { imageDataFromUrl } from "./lib/canvas";
+import { findBrand, mergeBrands, withBrand } from "./lib/brands";
+import { customerLabel, findCustomer, matchesCustomer, mergeCustomers, withCustomer } from "./lib/customers";
+import { isGroupEntry, networkHeading } from "./lib/group";
+import {
+  DEFAULT_LOCALE,
+  LOCALES,
+  LOCALE_COOKIE,
+  negotiateLocale,
+  resolveLocale,
+  setLocale,
+  t,
+} from "./lib/i18n";
+import {
+  CONTENT_TYPES,
+  DEFAULT_KIND,
+  emptyContentValues,
+  entryTitle,
+  findDuplicateEntry,
+  generateContent,
+  getContentType,
+  isWifiEntry,
+  needsPassword,
+  passwordProblem,
+  normalizeContent,
+} from "./lib/payloads";
+import {
+  connectBluetooth,
+  connectUsb,
+  createNiimbotClient,
+  createSimulatedTransport,
+  getPrinterModel,
+  rasterizeForPrinter,
+} from "./lib/niimbot";
+import { DEFAULT_EXPORT_OPTIONS, getExportFormat, normalizeExportOptions, renderExportFiles } from "./lib/export";
+import { buildLabelsPdf } from "./lib/pdf";
+import { renderQrDataUrl } from "./lib/qr";
+import { renderEntryStickers } from "./lib/sticker";
+import { verifySticker } from "./lib/verify";
+import {
+  DEFAULT_STORAGE_SETTINGS,
+  addToHistory,
+  loadAttention,
+  loadBrands,
+  loadCustomers,
+  loadHistory,
+  loadLogos,
+  loadQueue,
+  loadSettings,
+  loadTemplates,
+  mergeHistory,
+  saveAttention,
+  saveBrands,
+  saveCustomers,
+  saveHistory,
+  saveLogos,
+  saveQueue,
+  saveSettings,
+  saveTemplates,
+} from "./lib/storage";
+import { BUILT_IN_TEMPLATES, DEFAULT_TEMPLATE_ID, getTemplate, normalizeTemplate } from "./lib/templates";
+import {
+  DEFAULT_SECURITY,
+  SECURITY_TYPES,
+  SSID_MAX_BYTES,
+  getSecurityType,
+  normalizeEntry,
+  readabilityWarnings,
+  resolveSecurity,
+  sanitizeNumericDot,
+  utf8Length,
+  validateWifiFields,
+} from "./lib/wifi";
+import { buildZip, uniqueFilename } from "./lib/zip";
 
 const safeFilename = (value) => {
   const base = String(value ?? "").trim() || "qr";
   return base.replace(/[^a-z0-9-_]/gi, "_");
 };
 
-// Output size for NIIMBOT B1 labels (50x30mm, horizontal). Aspect ratio must be 5:3.
-const LABEL_OUT_PX = { w: 1000, h: 600 };
-
-// NIIMBOT app may rotate the label “sheet” without rotating the imported image.
-// To keep the content aligned with the horizontal label, we render in portrait base
-// (same pixels swapped) and rotate the final bitmap 90° clockwise.
-const ROTATE_CONTENT_FOR_HORIZONTAL_LABEL = true;
-
-const rotateCanvas90CWTo = (srcCanvas, outW, outH) => {
-  const out = document.createElement("canvas");
-  out.width = outW;
-  out.height = outH;
-  const ctx = out.getContext("2d");
-  if (!ctx) return null;
-
-  // Map src (w x h) -> out (h x w) via 90° clockwise rotation.
-  ctx.translate(outW, 0);
-  ctx.rotate(Math.PI / 2);
-  ctx.drawImage(srcCanvas, 0, 0);
-  return out;
+const triggerDownload = (href, filename) => {
+  const a = document.createElement("a");
+  a.href = href;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
 };
 
-const getBackgroundBoundsFromImage = (
-  img,
-  { alphaThreshold = 10, tolerance = 24, sampleSize = 12, lumaDelta = 10 } = {}
-) => {
-  const w = Math.max(1, Math.floor(img.naturalWidth || img.width || 1));
-  const h = Math.max(1, Math.floor(img.naturalHeight || img.height || 1));
-
-  const c = document.createElement("canvas");
-  c.width = w;
-  c.height = h;
-  const ctx = c.getContext("2d", { willReadFrequently: true });
-  if (!ctx) return { x: 0, y: 0, w, h };
+const downloadBlob = (blob, filename) => {
+  const objectUrl = URL.createObjectURL(blob);
+  triggerDownload(objectUrl, filename);
+  URL.revokeObjectURL(objectUrl);
+};
 
-  ctx.clearRect(0, 0, w, h);
-  ctx.drawImage(img, 0, 0, w, h);
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-  const read = (sx, sy, sw, sh) => {
-    try {
-      return ctx.getImageData(sx, sy, sw, sh);
-    } catch {
-      return null;
+export default function Page() {
+  // UI language. The module-level locale in lib/i18n is what `t()` reads, so it
+  // is switched before the state update that re-renders with it.
+  const [locale, setLocaleState] = useState(DEFAULT_LOCALE);
+  // Language of the texts drawn on new stickers; each entry keeps its own.
+  const [stickerLang, setStickerLang] = useState(DEFAULT_LOCALE);
+  // Customer new entries are linked to, like the sticker language ("" for none).
+  const [customerId, setCustomerId] = useState("");
+  const [customers, setCustomers] = useState([]);
+  const [brandId, setBrandId] = useState("");
+  const [brands, setBrands] = useState([]);
+  const [queueFilter, setQueueFilter] = useState("");
+  const [contentKind, setContentKind] = useState(DEFAULT_KIND);
+  const [contentValues, setContentValues] = useState({});
+  const [ssid, setSsid] = useState("");
+  const [password, setPassword] = useState("");
+  const [security, setSecurity] = useState(DEFAULT_SECURITY);
+  const [hidden, setHidden] = useState(false);
+  const [networkType, setNetworkType] = useState("5.0");
+  const [error, setError] = useState("");
+  // WiFi field errors show once a field was left or the form was submitted.
+  const [touched, setTouched] = useState({});
+  const [qrs, setQrs] = useState([]);
+  const [batch, setBatch] = useState(null);
+  const [pdfLayout, setPdfLayout] = useState("label");
+  const [pdfSheet, setPdfSheet] = useState({ marginX: 10, marginY: 10, columns: 3, rows: 8, gutterX: 4, gutterY: 4 });
+  const [pdfIncludeAttention, setPdfIncludeAttention] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [storePasswords, setStorePasswords] = useState(true);
+  const [hydrated, setHydrated] = useState(false);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [customTemplates, setCustomTemplates] = useState([]);
+  const [logos, setLogos] = useState([]);
+  const [templateId, setTemplateId] = useState(DEFAULT_TEMPLATE_ID);
+  const [attention, setAttention] = useState(() => attentionDefaults());
+  const [attentionError, setAttentionError] = useState("");
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const [previewOrientation, setPreviewOrientation] = useState("label");
+  const [preview, setPreview] = useState({ urls: [], metrics: null, verification: null, busy: false, error: "" });
+  const [verification, setVerification] = useState(null);
+  const [printerSettings, setPrinterSettings] = useState(DEFAULT_STORAGE_SETTINGS.printer);
+  const [printer, setPrinter] = useState(null);
+  const [printerStatus, setPrinterStatus] = useState(null);
+  const [passwordPolicy, setPasswordPolicy] = useState(DEFAULT_STORAGE_SETTINGS.passwordPolicy);
+  const [exportOptions, setExportOptions] = useState(DEFAULT_EXPORT_OPTIONS);
+
+  // Restore the queue and history after mount (localStorage is not available during prerender).
+  useEffect(() => {
+    const settings = loadSettings();
+    const savedLocale = setLocale(settings.locale || negotiateLocale(navigator.languages?.join(",")));
+    setLocaleState(savedLocale);
+    setStickerLang(savedLocale);
+    // Entries saved without their password stay queued but do not print until it is typed again.
+    const queue = loadQueue();
+    setQrs(queue);
+    const missing = queue.filter(needsPassword).length;
+    if (missing > 0) setError(t("queue.passwordsMissing", { count: missing }));
+    setHistory(loadHistory());
+    setStorePasswords(settings.storePasswords);
+    setCustomTemplates(loadTemplates());
+    setLogos(loadLogos());
+    setCustomers(loadCustomers());
+    setBrands(loadBrands());
+    if (settings.templateId) setTemplateId(settings.templateId);
+    if (settings.brandId) setBrandId(settings.brandId);
+    setPrinterSettings({ ...DEFAULT_STORAGE_SETTINGS.printer, ...settings.printer });
+    setPasswordPolicy({ ...DEFAULT_STORAGE_SETTINGS.passwordPolicy, ...settings.passwordPolicy });
+    setExportOptions(normalizeExportOptions(settings.download));
+    // Configs saved before stickers had a language were Spanish.
+    const storedAttention = loadAttention();
+    setAttention(storedAttention ? { ...attentionDefaults("es"), ...storedAttention } : attentionDefaults(savedLocale));
+    setHydrated(true);
+  }, []);
+
+  useEffect(() => {
+    if (hydrated) saveQueue(qrs, { storePasswords });
+  }, [hydrated, qrs, storePasswords]);
+
+  useEffect(() => {
+    if (hydrated) saveHistory(history, { storePasswords });
+  }, [hydrated, history, storePasswords]);
+
+  useEffect(() => {
+    if (hydrated) {
+      saveSettings({
+        storePasswords,
+        templateId,
+        brandId: brandId || null,
+        printer: printerSettings,
+        passwordPolicy,
+        download: exportOptions,
+        locale,
+      });
     }
+  }, [hydrated, storePasswords, templateId, brandId, printerSettings, passwordPolicy, exportOptions, locale]);
+
+  // The cookie lets the root layout render `<html lang>` on the next visit.
+  useEffect(() => {
+    if (!hydrated) return;
+    document.documentElement.lang = locale;
+    document.cookie = `${LOCALE_COOKIE}=${locale}; path=/; max-age=31536000; samesite=lax`;
+  }, [hydrated, locale]);
+
+  useEffect(() => {
+    if (hydrated) saveTemplates(customTemplates);
+  }, [hydrated, customTemplates]);
+
+  useEffect(() => {
+    if (hydrated) saveAttention(attention);
+  }, [hydrated, attention]);
+
+  useEffect(() => {
+    if (hydrated) saveCustomers(customers);
+  }, [hydrated, customers]);
+
+  // Logos are saved right away (not in an effect) so a full localStorage can be
+  // reported in the logo panel instead of losing the logo silently.
+  const handleSaveLogo = (logo) => {
+    const next = [...logos, logo];
+    if (!saveLogos(next)) return t("logo.error.storage");
+    setLogos(next);
+    return "";
   };
 
-  const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
-  const s = clamp(sampleSize, 1, Math.min(w, h));
-
-  // Estimate background from 4 corners.
-  const cornerRects = [
-    { x: 0, y: 0 },
-    { x: w - s, y: 0 },
-    { x: 0, y: h - s },
-    { x: w - s, y: h - s },
-  ];
-
-  let sumR = 0;
-  let sumG = 0;
-  let sumB = 0;
-  let count = 0;
-  for (const p of cornerRects) {
-    const id = read(p.x, p.y, s, s);
-    if (!id) continue;
-    const d = id.data;
-    for (let i = 0; i < d.length; i += 4) {
-      const a = d[i + 3];
-      if (a <= alphaThreshold) continue;
-      sumR += d[i];
-      sumG += d[i + 1];
-      sumB += d[i + 2];
-      count += 1;
-    }
-  }
-
-  // Fallback: if we couldn't sample, return full image.
-  if (count <= 0) return { x: 0, y: 0, w, h };
-
-  const bgR = sumR / count;
-  const bgG = sumG / count;
-  const bgB = sumB / count;
-  const bgL = 0.2126 * bgR + 0.7152 * bgG + 0.0722 * bgB;
-
-  const full = read(0, 0, w, h);
-  if (!full) return { x: 0, y: 0, w, h };
-  const data = full.data;
-
-  let minX = w;
-  let minY = h;
-  let maxX = -1;
-  let maxY = -1;
-
-  for (let y = 0; y < h; y += 1) {
-    const row = y * w * 4;
-    for (let x = 0; x < w; x += 1) {
-      const i = row + x * 4;
-      const r = data[i];
-      const g = data[i + 1];
-      const b = data[i + 2];
-      const a = data[i + 3];
-
-      if (a <= alphaThreshold) continue;
-      const dr = r - bgR;
-      const dg = g - bgG;
-      const db = b - bgB;
-      const dist = Math.sqrt(dr * dr + dg * dg + db * db);
-      const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b;
-
-      // Treat pixels close to the background as empty margin.
-      // Also ignore "almost background" bright pixels even if compression noise pushes dist up.
-      if (dist <= tolerance && luma >= bgL - lumaDelta) continue;
-      if (luma >= bgL - Math.max(3, lumaDelta / 2) && dist <= tolerance * 2) continue;
-
-      if (x < minX) minX = x;
-      if (y < minY) minY = y;
-      if (x > maxX) maxX = x;
-      if (y > maxY) maxY = y;
-    }
-  }
+  const handleDeleteLogo = (id) => {
+    const next = logos.filter((l) => l.id !== id);
+    saveLogos(next);
+    setLogos(next);
+  };
 
-  if (maxX < minX || maxY < minY) return { x: 0, y: 0, w, h };
-  return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
-};
+  const attentionValid = !validateAttention(attention);
+  const attentionUrl = attentionValid ? buildWhatsAppUrl(attention) : "";
 
-const makeStickerCanvas = () => {
-  if (!ROTATE_CONTENT_FOR_HORIZONTAL_LABEL) {
-    const c = document.createElement("canvas");
-    c.width = LABEL_OUT_PX.w;
-    c.height = LABEL_OUT_PX.h;
-    return { canvas: c, w: LABEL_OUT_PX.w, h: LABEL_OUT_PX.h };
-  }
-  // portrait base that rotates into 50x30 horizontal output
-  const c = document.createElement("canvas");
-  c.width = LABEL_OUT_PX.h;
-  c.height = LABEL_OUT_PX.w;
-  return { canvas: c, w: LABEL_OUT_PX.h, h: LABEL_OUT_PX.w };
-};
+  const templates = useMemo(() => [...BUILT_IN_TEMPLATES, ...customTemplates], [customTemplates]);
+  const rawTemplate = getTemplate(templates, templateId);
+  const template = useMemo(() => normalizeTemplate(rawTemplate), [rawTemplate]);
 
-const loadImage = (src) =>
-  new Promise((resolve, reject) => {
-    const img = new Image();
-    img.decoding = "async";
-    img.crossOrigin = "anonymous";
-    img.onload = () => resolve(img);
-    img.onerror = () => reject(new Error(`No se pudo cargar la imagen: ${src}`));
-    img.src = src;
-  });
+  const isOpen = security === "open";
 
-const setFont = (ctx, { weight = 700, sizePx = 48 } = {}) => {
-  ctx.font = `${weight} ${sizePx}px Arial, Helvetica, sans-serif`;
-};
+  const isWifiForm = contentKind === "wifi";
 
-const fitTextSize = (ctx, { text, maxWidth, weight = 800, startPx, minPx }) => {
-  let sizePx = startPx;
-  while (sizePx > minPx) {
-    setFont(ctx, { weight, sizePx });
-    if (ctx.measureText(text).width <= maxWidth) return sizePx;
-    sizePx -= 2;
-  }
-  return minPx;
-};
+  const canAdd = useMemo(() => {
+    if (contentKind === "group") return (contentValues.networks || []).every((n) => String(n.ssid || "").trim());
+    if (!isWifiForm) {
+      const required = (getContentType(contentKind).fields || []).filter((f) => f.required);
+      return required.every((f) => String(contentValues[f.key] || "").trim());
+    }
+    if (!ssid) return false;
+    return isOpen || password.length > 0;
+  }, [isWifiForm, contentKind, contentValues, ssid, password, isOpen]);
+
+  const wifiErrors = validateWifiFields({ ssid, password, security });
+  const fieldError = (field) => (touched[field] ? wifiErrors[field] : "");
+
+  // The entry with its customer record and brand profile attached, as the renderers read it.
+  const withRecords = (item) => withBrand(withCustomer(item, customers), brands);
+
+  // Queue entry under the pointer (or selected) wins; otherwise the form being typed.
+  const previewIndex = hoverIndex ?? selectedIndex;
+  const previewItem = useMemo(() => {
+    if (previewIndex != null && qrs[previewIndex]) return withRecords(qrs[previewIndex]);
+    if (!isWifiForm) {
+      const { entry } = normalizeContent(contentKind, contentValues);
+      return entry ? withRecords({ ...entry, lang: stickerLang, customerId, brandId }) : null;
+    }
+    if (!ssid.trim()) return null;
+    return withRecords({
+      lang: stickerLang,
+      customerId,
+      brandId,
+      ssid,
+      password: isOpen ? "" : password,
+      isOpen,
+      security,
+      hidden,
+      networkType: sanitizeNumericDot(networkType) || networkType,
+    });
+  }, [
+    previewIndex,
+    qrs,
+    customers,
+    brands,
+    isWifiForm,
+    contentKind,
+    contentValues,
+    stickerLang,
+    customerId,
+    brandId,
+    ssid,
+    password,
+    isOpen,
+    security,
+    hidden,
+    networkType,
+  ]);
+  useEffect(() => {
+    if (!previewItem) {
+      setPreview({ urls: [], metrics: null, verification: null, busy: false, error: "" });
+      return undefined;
+    }
+    let cancelled = false;
+    setPreview((prev) => ({ ...prev, busy: true }));
+    // Debounced so typing a long password does not re-render the sticker on every key.
+    const timer = setTimeout(async () => {
+      try {
+        const results = await renderEntryStickers(previewItem, template, { rotate: previewOrientation === "file" });
+        if (results.length === 0) throw new Error(t("error.sticker"));
+        // Metrics and checks of a split group are those of its first label.
+        const [first] = results;
+        if (!cancelled) {
+          setPreview({
+            urls: results.map((r) => r.canvas.toDataURL("image/png")),
+            metrics: first.metrics,
+            verification: verifySticker(first.item, first, template),
+            busy: false,
+            error: "",
+          });
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setPreview({ urls: [], metrics: null, verification: null, busy: false, error: err?.message || "" });
+        }
+      }
+    }, 200);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [previewItem, previewOrientation, template]);
 
-const drawCenteredText = (ctx, { text, centerX, y, maxWidth, weight, startPx, minPx }) => {
-  const sizePx = fitTextSize(ctx, { text, maxWidth, weight, startPx, minPx });
-  setFont(ctx, { weight, sizePx });
-  ctx.textAlign = "center";
-  ctx.textBaseline = "top";
-  ctx.fillText(text, centerX, y);
-  return sizePx;
-};
+  const confirmDuplicate = (entry, ignoreIndex = -1) => {
+    const dup = findDuplicateEntry(qrs, entry, ignoreIndex);
+    if (dup < 0) return true;
+    const what = isWifiEntry(entry) ? `"${entry.ssid}" (${entry.networkType})` : `"${entryTitle(entry)}"`;
+    return window.confirm(t("form.duplicate", { what, position: dup + 1 }));
+  };
 
-export default function Page() {
-  const [ssid, setSsid] = useState("");
-  const [password, setPassword] = useState("");
-  const [isOpen, setIsOpen] = useState(false);
-  const [networkType, setNetworkType] = useState("5.0");
-  const [error, setError] = useState("");
-  const [qrs, setQrs] = useState([]);
-  const [printIndex, setPrintIndex] = useState(null);
+  const handleSaveEdit = (index, entry) => {
+    if (!confirmDuplicate(entry, index)) return;
+    setQrs((prev) => prev.map((e, i) => (i === index ? entry : e)));
+    setEditingIndex(null);
+  };
 
-  const canAdd = useMemo(() => {
-    const cleanedSsid = String(ssid || "").trim();
-    if (!cleanedSsid) return false;
-    if (isOpen) return true;
-    return String(password || "").trim().length > 0;
-  }, [ssid, password, isOpen]);
+  const handleRemove = (index) => {
+    setQrs((prev) => prev.filter((_, idx) => idx !== index));
+    setEditingIndex(null);
+    setHoverIndex(null);
+    setSelectedIndex(null);
+  };
+
+  const handleMove = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= qrs.length) return;
+    setQrs((prev) => {
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+    if (editingIndex === index) setEditingIndex(target);
+    else if (editingIndex === target) setEditingIndex(index);
+    if (selectedIndex === index) setSelectedIndex(target);
+    else if (selectedIndex === target) setSelectedIndex(index);
+    setHoverIndex(null);
+  };
 
-  const generateValue = (item) => {
-    const cleanedSsid = String(item?.ssid || "").trim();
-    const escapedSsid = escapeWifi(cleanedSsid);
-    if (item?.isOpen) return `WIFI:T:nopass;S:${escapedSsid};;`;
+  const handleLocaleChange = (value) => {
+    const next = setLocale(value);
+    setLocaleState(next);
+    setStickerLang(next);
+    setError("");
+  };
 
-    const cleanedPassword = String(item?.password || "").trim();
-    const escapedPassword = escapeWifi(cleanedPassword);
-    return `WIFI:T:WPA;S:${escapedSsid};P:${escapedPassword};;`;
+  const handleKindChange = (kind) => {
+    setContentKind(kind);
+    setContentValues(kind === "wifi" ? {} : emptyContentValues(kind));
+    setError("");
   };
 
-  const handleAdd = () => {
-    const cleanedSsid = String(ssid || "").trim();
-    const cleanedPassword = String(password || "").trim();
-    const cleanedNetworkType = String(networkType || "").trim() || "5.0";
-    const finalNetworkType = sanitizeNumericDot(cleanedNetworkType) || cleanedNetworkType;
+  // Stamps the form's customer and brand on a new entry (entries without one carry no key).
+  const stampEntry = (entry) => ({
+    ...entry,
+    ...(customerId ? { customerId } : {}),
+    ...(findBrand(brands, brandId) ? { brandId } : {}),
+  });
 
-    if (!cleanedSsid) {
-      setError("Ingresa el SSID.");
-      return;
-    }
-    if (!isOpen && !cleanedPassword) {
-      setError("Ingresa la contraseña o marca Red abierta.");
+  const handleAdd = () => {
+    const { entry, error: entryError } = isWifiForm
+      ? normalizeEntry({ ssid, password, security, hidden, networkType })
+      : normalizeContent(contentKind, contentValues);
+    if (entryError) {
+      if (isWifiForm) setTouched({ ssid: true, password: true });
+      else setError(entryError);
       return;
     }
+    if (!confirmDuplicate(entry)) return;
 
-    setQrs((prev) => [
-      ...prev,
-      { ssid: cleanedSsid, password: cleanedPassword, isOpen, networkType: finalNetworkType },
-    ]);
+    setQrs((prev) => [...prev, stampEntry({ ...entry, lang: stickerLang })]);
 
+    if (!isWifiForm) {
+      setContentValues(emptyContentValues(contentKind));
+      setError("");
+      return;
+    }
     setSsid("");
     setPassword("");
-    setIsOpen(false);
+    setSecurity(DEFAULT_SECURITY);
+    setHidden(false);
     setNetworkType("5.0");
+    setTouched({});
     setError("");
   };
 
-  const capturePrintCanvasPng = () => {
-    const canvas = document.getElementById("print-canvas");
-    const elCanvas =
-      canvas && canvas.nodeName === "CANVAS" ? canvas : document.querySelector("#print-canvas canvas");
-    if (!elCanvas || typeof elCanvas.toDataURL !== "function") return null;
-    try {
-      return elCanvas.toDataURL("image/png");
-    } catch {
-      return null;
+  // A scanned QR carries no band: it takes the one selected in the form.
+  const handleScanLoad = (network) => {
+    setContentKind("wifi");
+    setSsid(network.ssid);
+    setPassword(network.password);
+    setSecurity(network.security);
+    setHidden(network.hidden);
+    setTouched({ ssid: true, password: true });
+    setError("");
+  };
+
+  const handleScanAdd = (network) => {
+    const { entry, error: entryError } = normalizeEntry({ ...network, networkType });
+    if (entryError) return entryError;
+    if (!confirmDuplicate(entry)) return t("scan.skipped");
+    setQrs((prev) => [...prev, stampEntry({ ...entry, lang: stickerLang })]);
+    return "";
+  };
+
+  const recordHistory = (items) => {
+    if (items.length > 0) setHistory((prev) => addToHistory(prev, items));
+  };
+
+  // Why a queued entry is skipped by a batch run (see `passwordProblem`).
+  const skippedMessage = (problem) =>
+    problem.missing ? t("queue.skippedNoPassword") : t("queue.skippedInvalidPassword", { error: problem.error });
+
+  // Note under a queued entry that cannot print until its password is typed again.
+  const passwordWarning = (item) => {
+    const problem = passwordProblem(item);
+    if (!problem) return "";
+    return problem.missing ? t("queue.passwordMissing") : t("queue.passwordInvalid", { error: problem.error });
+  };
+
+  // Password not stored, or stored but no longer valid: load the entry into the
+  // form to retype it. An invalid one stays in the field with its error showing.
+  const retypeInForm = (item) => {
+    const problem = passwordProblem(item);
+    const invalid = Boolean(problem) && !problem.missing;
+    const message = invalid
+      ? t("form.passwordInvalid", { ssid: problem.ssid, error: problem.error })
+      : t("form.passwordNotStored");
+    if (isGroupEntry(item)) {
+      setContentKind("group");
+      setContentValues({ networks: item.networks });
+      setStickerLang(resolveLocale(item.lang));
+      setCustomerId(findCustomer(customers, item.customerId)?.id || "");
+      setBrandId(findBrand(brands, item.brandId)?.id || "");
+      setError(message);
+      return;
     }
+    setContentKind("wifi");
+    setSsid(item.ssid);
+    setPassword(item.passwordMissing ? "" : item.password || "");
+    setTouched(invalid ? { password: true } : {});
+    setSecurity(resolveSecurity(item));
+    setHidden(Boolean(item.hidden));
+    setNetworkType(item.networkType || "5.0");
+    setStickerLang(resolveLocale(item.lang));
+    setCustomerId(findCustomer(customers, item.customerId)?.id || "");
+    setBrandId(findBrand(brands, item.brandId)?.id || "");
+    setError(message);
   };
 
-  const buildWifiStickerPng = async (item, qrDataUrl) => {
-    // Render on a base canvas; rotate to final 50x30 horizontal if needed.
-    const { canvas, w: labelW, h: labelH } = makeStickerCanvas();
-    const padX = 55;
-    const padTop = 55;
-    const padBottom = 55;
-    const centerX = labelW / 2;
-    const maxTextW = labelW - padX * 2;
-    const ctx = canvas.getContext("2d");
-    if (!ctx) return null;
-
-    ctx.fillStyle = "#ffffff";
-    ctx.fillRect(0, 0, labelW, labelH);
-    ctx.fillStyle = "#000000";
-
-    const [logoImg, wifiImg, qrImg] = await Promise.all([
-      loadImage("/logo-red7-dark.png"),
-      loadImage("/wifi-footer%20copy.svg"),
-      loadImage(qrDataUrl),
-    ]);
-
-    const wifiTargetH = 56;
-    const wifiScale = wifiTargetH / wifiImg.height;
-    const wifiW = Math.round(wifiImg.width * wifiScale);
-    const wifiH = Math.round(wifiImg.height * wifiScale);
-
-    const logoMaxW = labelW - padX * 2;
-    const logoTargetH = 92;
-    const logoScale = Math.min(logoMaxW / logoImg.width, logoTargetH / logoImg.height);
-    const logoW = Math.round(logoImg.width * logoScale);
-    const logoH = Math.round(logoImg.height * logoScale);
-
-    let qrSize = 440;
-    let passStartPx = 88;
-    let ssidStartPx = 56;
-    let netStartPx = 74;
-
-    const passText = item?.isOpen ? "OPEN" : String(item?.password || "");
-    const ssidText = String(item?.ssid || "");
-    const netText = String(item?.networkType || "");
-
-    const gapLogoQr = 22;
-    let gapQrText = 38;
-    const gapPassSsid = 6;
-    const gapSsidNet = 4;
-    const gapNetFooter = 14;
-
-    const availH = labelH - padTop - padBottom;
-    const footerTop = labelH - padBottom - wifiH;
-
-    for (let i = 0; i < 18; i += 1) {
-      const passPx = fitTextSize(ctx, {
-        text: passText,
-        maxWidth: maxTextW,
-        weight: 900,
-        startPx: passStartPx,
-        minPx: 42,
-      });
-      const ssidPx = fitTextSize(ctx, {
-        text: ssidText,
-        maxWidth: maxTextW,
-        weight: 800,
-        startPx: ssidStartPx,
-        minPx: 28,
-      });
-      const netPx = fitTextSize(ctx, {
-        text: netText,
-        maxWidth: maxTextW,
-        weight: 900,
-        startPx: netStartPx,
-        minPx: 34,
-      });
+  const handleUseHistory = (entry) => {
+    const { id, createdAt, ...item } = entry;
+    if (needsPassword(item)) retypeInForm(item);
+    else if (confirmDuplicate(item)) setQrs((prev) => [...prev, item]);
+  };
 
-      const netTop = footerTop - gapNetFooter - netPx;
-      const ssidTop = netTop - gapSsidNet - ssidPx;
-      const passTop = ssidTop - gapPassSsid - passPx;
+  // A queued entry saved without its password moves back to the form.
+  const retypeQueued = (index) => {
+    retypeInForm(qrs[index]);
+    handleRemove(index);
+  };
 
-      const qrTop = padTop + logoH + gapLogoQr;
+  const handleSaveCustomer = (customer) =>
+    setCustomers((prev) =>
+      prev.some((c) => c.id === customer.id) ? prev.map((c) => (c.id === customer.id ? customer : c)) : [...prev, customer]
+    );
 
-      const fits =
-        passTop >= qrTop + qrSize + gapQrText &&
-        qrTop + qrSize <= footerTop - gapNetFooter - (passPx + ssidPx + netPx + gapPassSsid + gapSsidNet);
+  // Entries of a deleted customer stay in the queue and history, unlinked.
+  const handleDeleteCustomer = (id) => {
+    const unlink = (e) => {
+      if (e.customerId !== id) return e;
+      const { customerId: _, ...rest } = e;
+      return rest;
+    };
+    setCustomers((prev) => prev.filter((c) => c.id !== id));
+    setQrs((prev) => prev.map(unlink));
+    setHistory((prev) => prev.map(unlink));
+    if (customerId === id) setCustomerId("");
+    if (queueFilter === id) setQueueFilter("");
+  };
 
-      const required = (qrTop - padTop) + qrSize + gapQrText + (footerTop - passTop) + wifiH;
+  const handleImportCustomers = ({ customers: incoming, entries }) => {
+    setCustomers((prev) => mergeCustomers(prev, incoming));
+    setHistory((prev) => mergeHistory(prev, entries));
+  };
 
-      if (fits && required <= availH) break;
+  // Profiles carry their images, so storage can run out: save first, then update.
+  const storeBrands = (next) => {
+    if (!saveBrands(next)) return t("brand.error.storage");
+    setBrands(next);
+    return "";
+  };
 
-      if (qrSize > 360) {
-        qrSize -= 12;
-        continue;
-      }
-      if (gapQrText > 26) {
-        gapQrText -= 4;
-        continue;
-      }
-      passStartPx = Math.max(60, passStartPx - 4);
-      ssidStartPx = Math.max(40, ssidStartPx - 3);
-      netStartPx = Math.max(52, netStartPx - 3);
+  const handleSaveBrand = (brand) =>
+    storeBrands(brands.some((b) => b.id === brand.id) ? brands.map((b) => (b.id === brand.id ? brand : b)) : [...brands, brand]);
+
+  const handleImportBrands = (incoming) => storeBrands(mergeBrands(brands, incoming));
+
+  // Entries of a deleted profile stay in the queue and history with the template's assets.
+  const handleDeleteBrand = (id) => {
+    const unlink = (e) => {
+      if (e.brandId !== id) return e;
+      const { brandId: _, ...rest } = e;
+      return rest;
+    };
+    storeBrands(brands.filter((b) => b.id !== id));
+    setQrs((prev) => prev.map(unlink));
+    setHistory((prev) => prev.map(unlink));
+    if (brandId === id) setBrandId("");
+  };
+
+  // Every label for queue entry `index` (see `renderEntryStickers`), as the server route draws them.
+  const renderStickersAt = async (index) => {
+    const item = qrs[index];
+    if (!item) return [];
+    // Yield between entries so long batches keep the progress bar painting.
+    await wait(0);
+    return renderEntryStickers(withRecords(item), template);
+  };
+
+  // The same labels as files in the chosen download format (see `renderExportFiles`).
+  const exportFilesAt = async (index) => {
+    const item = qrs[index];
+    if (!item) return [];
+    await wait(0);
+    return renderExportFiles(withRecords(item), template, exportOptions);
+  };
+
+  const handleDownload = async (index) => {
+    const item = qrs[index] || null;
+    if (!item) return;
+    if (needsPassword(item)) {
+      retypeQueued(index);
+      return;
     }
 
-    let y = padTop;
-    ctx.imageSmoothingEnabled = true;
-    ctx.drawImage(logoImg, Math.round(centerX - logoW / 2), y, logoW, logoH);
-    y += logoH + gapLogoQr;
+    let files = [];
+    try {
+      files = await exportFilesAt(index);
+    } catch {
+      files = [];
+    }
 
-    ctx.imageSmoothingEnabled = false;
-    ctx.drawImage(qrImg, Math.round(centerX - qrSize / 2), y, qrSize, qrSize);
+    if (files.length === 0) {
+      // Fall back to the bare QR when the sticker cannot be drawn.
+      if (isGroupEntry(item)) return;
+      const qrDataUrl = await renderQrDataUrl(generateContent(item), template.qr);
+      if (qrDataUrl) triggerDownload(qrDataUrl, `${safeFilename(entryTitle(item))}.png`);
+      return;
+    }
 
-    const footerY = labelH - padBottom - wifiH;
+    if (files.length === 1) {
+      downloadBlob(new Blob([files[0].data], { type: files[0].mime }), `${safeFilename(entryTitle(item))}.${files[0].ext}`);
+    } else {
+      const used = new Set();
+      const zipped = files.map((f) => ({
+        name: uniqueFilename(`${safeFilename(entryTitle(f.item))}.${f.ext}`, used),
+        data: f.data,
+      }));
+      downloadBlob(buildZip(zipped), `${safeFilename(entryTitle(item))}.zip`);
+    }
+    recordHistory([item]);
+  };
 
-    const netPx = fitTextSize(ctx, {
-      text: netText,
-      maxWidth: maxTextW,
-      weight: 900,
-      startPx: netStartPx,
-      minPx: 34,
-    });
-    const ssidPx = fitTextSize(ctx, {
-      text: ssidText,
-      maxWidth: maxTextW,
-      weight: 800,
-      startPx: ssidStartPx,
-      minPx: 28,
-    });
-    const passPx = fitTextSize(ctx, {
-      text: passText,
-      maxWidth: maxTextW,
-      weight: 900,
-      startPx: passStartPx,
-      minPx: 42,
-    });
+  // Renders every queued entry through the sticker pipeline, one at a time
+  // (keeping memory flat for long queues), reporting progress. `renderAt(index)`
+  // gives the entry's outputs, each with the `title` of the label it holds.
+  const renderQueue = async (label, renderAt) => {
+    const items = qrs;
+    const stickers = [];
+    const errors = [];
+
+    setBatch({ running: true, label, done: 0, total: items.length, errors: [] });
+
+    for (let i = 0; i < items.length; i += 1) {
+      const item = items[i];
+      try {
+        const problem = passwordProblem(item);
+        if (problem) throw new Error(skippedMessage(problem));
+        const results = await renderAt(i);
+        if (results.length === 0) throw new Error(t("error.sticker"));
+        results.forEach((r) => stickers.push({ ...r, item }));
+      } catch (err) {
+        errors.push({ index: i, ssid: entryTitle(item), message: err?.message || t("common.unknownError") });
+      }
+      setBatch({ running: true, label, done: i + 1, total: items.length, errors: [...errors] });
+    }
 
-    const netTop = footerY - gapNetFooter - netPx;
-    const ssidTop = netTop - gapSsidNet - ssidPx;
-    const passTop = ssidTop - gapPassSsid - passPx;
-
-    const minTextTop = y + qrSize + gapQrText;
-    const shiftUp = Math.max(0, minTextTop - passTop);
-
-    drawCenteredText(ctx, {
-      text: passText,
-      centerX,
-      y: passTop + shiftUp,
-      maxWidth: maxTextW,
-      weight: 900,
-      startPx: passStartPx,
-      minPx: 42,
-    });
-    drawCenteredText(ctx, {
-      text: ssidText,
-      centerX,
-      y: ssidTop + shiftUp,
-      maxWidth: maxTextW,
-      weight: 800,
-      startPx: ssidStartPx,
-      minPx: 28,
-    });
-    drawCenteredText(ctx, {
-      text: netText,
-      centerX,
-      y: netTop + shiftUp,
-      maxWidth: maxTextW,
-      weight: 900,
-      startPx: netStartPx,
-      minPx: 34,
-    });
+    recordHistory([...new Set(stickers.map((s) => s.item))]);
+    return { stickers, errors };
+  };
 
-    ctx.globalAlpha = 0.75;
-    ctx.imageSmoothingEnabled = true;
-    ctx.drawImage(wifiImg, Math.round(centerX - wifiW / 2), footerY, wifiW, wifiH);
-    ctx.globalAlpha = 1;
+  // A previous check no longer applies once the queue or the template changes.
+  useEffect(() => {
+    setVerification(null);
+  }, [qrs, template]);
+
+  // Decodes every queued sticker (as rendered and as a simulated thermal print)
+  // and lists the ones that would not scan reliably.
+  const handleVerifyAll = async () => {
+    if (batch?.running || qrs.length === 0) return;
+    const label = t("batch.verify");
+    const items = qrs;
+    const errors = [];
+    const problems = [];
+
+    setVerification(null);
+    setBatch({ running: true, label, done: 0, total: items.length, errors: [] });
+
+    for (let i = 0; i < items.length; i += 1) {
+      const item = items[i];
+      try {
+        const results = await renderStickersAt(i);
+        if (results.length === 0) throw new Error(t("error.sticker"));
+        const messages = results.flatMap((r) => verifySticker(r.item, r, template)?.messages || []);
+        if (messages.length > 0) problems.push({ index: i, title: entryTitle(item), messages });
+      } catch (err) {
+        errors.push({ index: i, ssid: entryTitle(item), message: err?.message || t("common.unknownError") });
+      }
+      setBatch({ running: true, label, done: i + 1, total: items.length, errors: [...errors] });
+    }
 
-    if (!ROTATE_CONTENT_FOR_HORIZONTAL_LABEL) return canvas.toDataURL("image/png");
-    const out = rotateCanvas90CWTo(canvas, LABEL_OUT_PX.w, LABEL_OUT_PX.h);
-    return (out || canvas).toDataURL("image/png");
+    setBatch({ running: false, label, done: items.length, total: items.length, errors });
+    setVerification({ total: items.length, problems });
   };
 
-  const buildAttentionStickerPng = async () => {
-    const labelW = LABEL_OUT_PX.w;
-    const labelH = LABEL_OUT_PX.h;
-    const padX = 30;
-    const padY = 40;
-    // Layout tuning for 50x30mm (1000x600px): keep bands readable without clipping.
-    const gapAttentionQr = 2;
-    const gapQrToSeparator = 8;
-    const separatorW = 2;
-    const gapSeparatorToContact = 10;
-    const attentionBandW = 260;
-    const contactLine1 = "Llámanos:";
-    const contactLine2 = "(664) 954 6020";
-
-    const canvas = document.createElement("canvas");
-    canvas.width = labelW;
-    canvas.height = labelH;
-    const ctx = canvas.getContext("2d");
-    if (!ctx) return null;
-
-    ctx.fillStyle = "#ffffff";
-    ctx.fillRect(0, 0, labelW, labelH);
-    ctx.fillStyle = "#000000";
-
-    const qrImg = await loadImage("/redqr.png");
-
-    const line1 = "¡Atención al cliente";
-    const line2 = "por WhatsApp!";
-
-    const innerH = labelH - padY * 2;
-    const qrSize = innerH;
-    const contactBandW = Math.max(
-      120,
-      labelW -
-        padX * 2 -
-        attentionBandW -
-        qrSize -
-        gapAttentionQr -
-        gapQrToSeparator -
-        separatorW -
-        gapSeparatorToContact
+  const handleDownloadAll = async () => {
+    if (batch?.running || qrs.length === 0) return;
+    const { stickers, errors } = await renderQueue("ZIP", async (i) =>
+      (await exportFilesAt(i)).map((f) => ({ title: entryTitle(f.item), ext: f.ext, data: f.data }))
     );
 
-    const drawVerticalTwoLine = ({
-      bandCenterX,
-      bandCenterY,
-      maxLen,
-      t1,
-      t2,
-      weight = 900,
-      startPx = 72,
-      minPx = 42,
-      lineGap = 18,
-      maxStackPx = null,
-    }) => {
-      // First, fit each line to the available length (label height).
-      let t1Px = fitTextSize(ctx, { text: t1, maxWidth: maxLen, weight, startPx, minPx });
-      let t2Px = fitTextSize(ctx, { text: t2, maxWidth: maxLen, weight, startPx, minPx });
-
-      // Then, ensure the 2-line stack also fits within the band's thickness (to avoid clipping).
-      if (typeof maxStackPx === "number" && Number.isFinite(maxStackPx)) {
-        const floor = Math.max(18, minPx);
-        for (let i = 0; i < 60; i += 1) {
-          const total = t1Px + lineGap + t2Px;
-          if (total <= maxStackPx) break;
-          // Prefer shrinking the first line slightly ("Llámanos") to preserve the number.
-          if (t1Px > floor) t1Px -= 2;
-          if (t1Px + lineGap + t2Px <= maxStackPx) break;
-          if (t2Px > floor) t2Px -= 2;
-          if (t1Px <= floor && t2Px <= floor) break;
-        }
+    if (stickers.length > 0) {
+      const used = new Set();
+      const files = stickers.map(({ title, ext, data }) => ({
+        name: uniqueFilename(`${safeFilename(title)}.${ext}`, used),
+        data,
+      }));
+      downloadBlob(buildZip(files), t("queue.zipName"));
+    }
+
+    setBatch({ running: false, label: "ZIP", done: qrs.length, total: qrs.length, errors });
+  };
+
+  const handleDownloadPdf = async () => {
+    if (batch?.running) return;
+    if (qrs.length === 0 && !pdfIncludeAttention) return;
+    const { stickers, errors } = await renderQueue("PDF", async (i) =>
+      (await renderStickersAt(i)).map((r) => ({ title: entryTitle(r.item), dataUrl: r.canvas.toDataURL("image/png") }))
+    );
+    const sources = stickers.map((s) => s.dataUrl);
+
+    if (pdfIncludeAttention) {
+      try {
+        const attention = await buildAttentionStickerPng();
+        if (!attention) throw new Error(t("error.sticker"));
+        sources.push(attention);
+      } catch (err) {
+        errors.push({ index: qrs.length, ssid: t("attention.title"), message: err?.message || t("common.unknownError") });
       }
+    }
 
-      const total = t1Px + lineGap + t2Px;
-
-      ctx.save();
-      ctx.translate(Math.round(bandCenterX), Math.round(bandCenterY));
-      ctx.rotate(-Math.PI / 2);
-      ctx.fillStyle = "#000000";
-      ctx.textAlign = "center";
-      ctx.textBaseline = "middle";
-      setFont(ctx, { weight, sizePx: t1Px });
-      ctx.fillText(t1, 0, -total / 2 + t1Px / 2);
-      setFont(ctx, { weight, sizePx: t2Px });
-      ctx.fillText(t2, 0, total / 2 - t2Px / 2);
-      ctx.restore();
-    };
+    try {
+      if (sources.length > 0) {
+        const images = [];
+        for (const src of sources) images.push(await imageDataFromUrl(src));
+        const pdf = await buildLabelsPdf(images, {
+          layout: pdfLayout,
+          sheet: pdfSheet,
+          labelSize: { w: template.widthMm, h: template.heightMm },
+        });
+        downloadBlob(pdf, pdfLayout === "sheet" ? t("pdf.sheetFileName") : t("pdf.fileName"));
+      }
+    } catch (err) {
+      errors.push({ index: -1, ssid: "PDF", message: err?.message || t("error.pdf") });
+    }
 
-    const drawVerticalSingle = ({ bandCenterX, bandCenterY, maxLen, text }) => {
-      const px = fitTextSize(ctx, { text, maxWidth: maxLen, weight: 900, startPx: 62, minPx: 34 });
-      ctx.save();
-      ctx.translate(Math.round(bandCenterX), Math.round(bandCenterY));
-      ctx.rotate(-Math.PI / 2);
-      ctx.fillStyle = "#000000";
-      ctx.textAlign = "center";
-      ctx.textBaseline = "middle";
-      setFont(ctx, { weight: 900, sizePx: px });
-      ctx.fillText(text, 0, 0);
-      ctx.restore();
-    };
+    setBatch({ running: false, label: "PDF", done: qrs.length, total: qrs.length, errors });
+  };
 
-    let x = padX;
-
-    // 1) Atención (vertical)
-    drawVerticalTwoLine({
-      bandCenterX: x + attentionBandW / 2,
-      bandCenterY: labelH / 2,
-      maxLen: innerH,
-      t1: line1,
-      t2: line2,
-      // Attention block has plenty of thickness; keep default sizing.
-      maxStackPx: attentionBandW - 16,
-    });
-    x += attentionBandW + gapAttentionQr;
-
-    // 2) QR rotated -90° (same orientation as the vertical text)
-    const qrX = x;
-    const qrY = padY;
-    const qrCX = qrX + qrSize / 2;
-    const qrCY = qrY + qrSize / 2;
-    const scale = Math.min(qrSize / qrImg.width, qrSize / qrImg.height);
-    const drawW = Math.round(qrImg.width * scale);
-    const drawH = Math.round(qrImg.height * scale);
-
-    ctx.save();
-    ctx.translate(Math.round(qrCX), Math.round(qrCY));
-    ctx.rotate(-Math.PI / 2);
-    ctx.imageSmoothingEnabled = false;
-    ctx.drawImage(qrImg, Math.round(-drawW / 2), Math.round(-drawH / 2), drawW, drawH);
-    ctx.restore();
-
-    x += qrSize;
-
-    // 3) Separator line (between QR and contact)
-    x += gapQrToSeparator;
-    ctx.save();
-    ctx.fillStyle = "#000000";
-    ctx.globalAlpha = 0.65;
-    ctx.fillRect(Math.round(x), padY, separatorW, innerH);
-    ctx.restore();
-    x += separatorW + gapSeparatorToContact;
-
-    // 4) Llámanos (vertical) - slightly smaller so the number never clips.
-    drawVerticalTwoLine({
-      bandCenterX: x + contactBandW / 2,
-      bandCenterY: labelH / 2,
-      maxLen: innerH,
-      t1: contactLine1,
-      t2: contactLine2,
-      startPx: 62,
-      minPx: 30,
-      lineGap: 12,
-      maxStackPx: contactBandW - 10,
-    });
+  const printerConnectors = {
+    bluetooth: connectBluetooth,
+    usb: connectUsb,
+    simulated: async () => createSimulatedTransport(),
+  };
+
+  const handleConnectPrinter = async () => {
+    const model = getPrinterModel(printerSettings.model);
+    let transport = null;
+    try {
+      transport = await printerConnectors[printerSettings.connection]();
+    } catch (err) {
+      const message =
+        err?.name === "NotFoundError" ? t("printer.notSelected") : err?.message || t("printer.connectFailed");
+      setPrinterStatus({ message, error: true });
+      return;
+    }
 
-    return canvas.toDataURL("image/png");
-  };
-
-  const handleDownload = (index) => {
-    setPrintIndex(index);
-    setTimeout(() => {
-      (async () => {
-        try {
-          const qrDataUrl = capturePrintCanvasPng();
-          const item = qrs[index] || null;
-          if (!qrDataUrl || !item) return;
-
-          let sticker = null;
-          try {
-            sticker = await buildWifiStickerPng(item, qrDataUrl);
-          } catch {
-            sticker = null;
-          }
-
-          const a = document.createElement("a");
-          a.href = sticker || qrDataUrl;
-          a.download = `${safeFilename(item.ssid)}.png`;
-          document.body.appendChild(a);
-          a.click();
-          document.body.removeChild(a);
-        } finally {
-          setPrintIndex(null);
+    const client = createNiimbotClient(transport, model);
+    setPrinter({ client, name: transport.name, model });
+    try {
+      await client.checkReady();
+      setPrinterStatus({ message: t("printer.connected", { name: transport.name }), error: false });
+    } catch (err) {
+      setPrinterStatus({ message: err?.message || t("printer.notReady"), error: true });
+    }
+  };
+
+  const handleDisconnectPrinter = async () => {
+    const current = printer;
+    setPrinter(null);
+    setPrinterStatus(null);
+    try {
+      await current?.client.close();
+    } catch {
+      // Already gone (printer turned off or out of range).
+    }
+  };
+
+  // Sends queue entries to the connected printer one by one. Printer faults
+  // (no labels, cover open) stop the run since every following label would fail too.
+  const printEntries = async (indices) => {
+    if (!printer || batch?.running || indices.length === 0) return;
+    if (indices.length === 1 && needsPassword(qrs[indices[0]])) {
+      retypeQueued(indices[0]);
+      return;
+    }
+    const { client, model } = printer;
+    const label = t("batch.print");
+    const errors = [];
+    const printed = [];
+
+    setBatch({ running: true, label, done: 0, total: indices.length, errors: [] });
+    setPrinterStatus({ message: t("printer.printing"), error: false });
+
+    for (let n = 0; n < indices.length; n += 1) {
+      const i = indices[n];
+      const item = qrs[i];
+      try {
+        const problem = passwordProblem(item);
+        if (problem) throw new Error(skippedMessage(problem));
+        const results = await renderStickersAt(i);
+        if (results.length === 0) throw new Error(t("error.sticker"));
+        for (const result of results) {
+          const bitmap = rasterizeForPrinter(result.canvas, {
+            widthMm: template.widthMm,
+            heightMm: template.heightMm,
+            dpi: model.dpi,
+            printheadPx: model.printheadPx,
+          });
+          await client.print(bitmap, { density: printerSettings.density, quantity: printerSettings.copies });
         }
-      })();
-    }, 160);
+        printed.push(item);
+      } catch (err) {
+        errors.push({ index: i, ssid: entryTitle(item), message: err?.message || t("common.unknownError") });
+        if (err?.code) {
+          setBatch({ running: false, label, done: n, total: indices.length, errors });
+          setPrinterStatus({ message: err.message, error: true });
+          recordHistory(printed);
+          return;
+        }
+      }
+      setBatch({ running: true, label, done: n + 1, total: indices.length, errors: [...errors] });
+    }
+
+    recordHistory(printed);
+    setBatch({ running: false, label, done: indices.length, total: indices.length, errors });
+    setPrinterStatus({ message: t("printer.printed", { count: printed.length, total: indices.length }), error: false });
+  };
+
+  const updatePdfSheet = (key, value) => {
+    const n = Number(sanitizeNumericDot(value));
+    setPdfSheet((prev) => ({ ...prev, [key]: Number.isFinite(n) ? n : 0 }));
   };
 
-  const handleDownloadAttention = () => {
-    const a = document.createElement("a");
-    a.href = "/redqr.png";
-    a.download = "Atencion al cliente.png";
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
+  const buildAttentionStickerPng = async () => {
+    const problem = validateAttention(attention);
+    if (problem) throw new Error(problem);
+    const qrDataUrl = await renderQrDataUrl(attentionUrl);
+    if (!qrDataUrl) throw new Error(t("error.qr"));
+    const canvas = await renderAttentionSticker(attention, qrDataUrl);
+    return canvas ? canvas.toDataURL("image/png") : null;
+  };
+
+  const handleDownloadAttention = async () => {
+    try {
+      const sticker = await buildAttentionStickerPng();
+      if (!sticker) throw new Error(t("error.sticker"));
+      triggerDownload(sticker, t("attention.fileName"));
+      setAttentionError("");
+    } catch (err) {
+      setAttentionError(err?.message || t("error.sticker"));
+    }
   };
 
   const handleDownloadQRLEO = async () => {
@@ -659,82 +879,264 @@ export default function Page() {
       <div className="operacion-scope">
         <section className="form-card">
           <div className="form-header">
-            <h2>Generador de QR WiFi</h2>
-            <p>Descarga la etiqueta lista para NIIMBOT (50×30mm)</p>
+            <h2>{t("app.title")}</h2>
+            <p>{t("app.subtitle")}</p>
+            <select
+              className="form-input language-switcher"
+              value={locale}
+              onChange={(e) => handleLocaleChange(e.target.value)}
+              aria-label={t("app.language")}
+            >
+              {LOCALES.map((l) => (
+                <option key={l.value} value={l.value}>
+                  {l.label}
+                </option>
+              ))}
+            </select>
           </div>
 
+          <OfflineStatus />
+
           <div className="form-grid">
-            <div className="form-field">
-              <label className="form-label" htmlFor="ssid">
-                SSID
+            <div className="form-field form-grid-full">
+              <label className="form-label" htmlFor="contentKind">
+                {t("form.contentKind")}
               </label>
-              <input
-                id="ssid"
+              <select
+                id="contentKind"
                 className="form-input"
-                value={ssid}
-                onChange={(e) => setSsid(e.target.value)}
-                placeholder="Nombre de la red"
-              />
+                value={contentKind}
+                onChange={(e) => handleKindChange(e.target.value)}
+              >
+                {CONTENT_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>
+                    {t(type.label)}
+                  </option>
+                ))}
+              </select>
             </div>
 
+            {isWifiForm ? (
+              <>
+                <div className="form-field">
+                  <label className="form-label" htmlFor="ssid">
+                    {t("form.ssid")}
+                  </label>
+                  <input
+                    id="ssid"
+                    className="form-input"
+                    value={ssid}
+                    onChange={(e) => setSsid(e.target.value)}
+                    onBlur={() => setTouched((prev) => ({ ...prev, ssid: true }))}
+                    placeholder={t("form.ssidPlaceholder")}
+                    aria-invalid={Boolean(fieldError("ssid"))}
+                  />
+                  <FieldHints
+                    error={fieldError("ssid")}
+                    warnings={readabilityWarnings(ssid)}
+                    note={ssid ? t("form.bytes", { count: utf8Length(ssid), max: SSID_MAX_BYTES }) : ""}
+                  />
+                </div>
+
+                <div className="form-field">
+                  <label className="form-label" htmlFor="networkType">
+                    {t("form.networkType")}
+                  </label>
+                  <select
+                    id="networkType"
+                    className="form-input"
+                    value={networkType}
+                    onChange={(e) => setNetworkType(e.target.value)}
+                  >
+                    <option value="2.4">2.4</option>
+                    <option value="5.0">5.0</option>
+                  </select>
+                </div>
+
+                <div className="form-field form-grid-full">
+                  <label className="form-label" htmlFor="password">
+                    {t("form.password")}
+                  </label>
+                  <input
+                    id="password"
+                    className="form-input"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    onBlur={() => setTouched((prev) => ({ ...prev, password: true }))}
+                    placeholder={isOpen ? t("form.noPassword") : t("form.password")}
+                    disabled={isOpen}
+                    aria-invalid={Boolean(fieldError("password"))}
+                  />
+                  <FieldHints error={isOpen ? "" : fieldError("password")} />
+                  <PasswordTools
+                    value={password}
+                    security={security}
+                    policy={passwordPolicy}
+                    onPolicyChange={(patch) => setPasswordPolicy((prev) => ({ ...prev, ...patch }))}
+                    onGenerate={setPassword}
+                    disabled={isOpen}
+                  />
+                </div>
+
+                <div className="form-field">
+                  <label className="form-label" htmlFor="security">
+                    {t("form.security")}
+                  </label>
+                  <select
+                    id="security"
+                    className="form-input"
+                    value={security}
+                    onChange={(e) => setSecurity(e.target.value)}
+                  >
+                    {SECURITY_TYPES.map((type) => (
+                      <option key={type.value} value={type.value}>
+                        {t(type.label)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="form-field ot-checkbox-group">
+                  <label>
+                    <input type="checkbox" checked={hidden} onChange={(e) => setHidden(e.target.checked)} />
+                    <span>{t("form.hidden")}</span>
+                  </label>
+                </div>
+              </>
+            ) : (
+              <ContentFields kind={contentKind} values={contentValues} onChange={setContentValues} />
+            )}
+
             <div className="form-field">
-              <label className="form-label" htmlFor="networkType">
-                Tipo de red
+              <label className="form-label" htmlFor="stickerLang">
+                {t("form.stickerLang")}
               </label>
               <select
-                id="networkType"
+                id="stickerLang"
                 className="form-input"
-                value={networkType}
-                onChange={(e) => setNetworkType(e.target.value)}
+                value={stickerLang}
+                onChange={(e) => setStickerLang(e.target.value)}
               >
-                <option value="2.4">2.4</option>
-                <option value="5.0">5.0</option>
+                {LOCALES.map((l) => (
+                  <option key={l.value} value={l.value}>
+                    {l.label}
+                  </option>
+                ))}
               </select>
             </div>
 
-            <div className="form-field form-grid-full">
-              <label className="form-label" htmlFor="password">
-                Contraseña
-              </label>
-              <input
-                id="password"
-                className="form-input"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                placeholder={isOpen ? "Sin contraseña" : "Contraseña"}
-                disabled={isOpen}
+            <CustomerSelect id="customer" customers={customers} value={customerId} onChange={setCustomerId} />
+            <BrandSelect id="brand" brands={brands} value={brandId} onChange={setBrandId} />
+
+            {error && <div className="form-warning form-grid-full">{error}</div>}
+
+            <div className="form-grid-full">
+              <button type="button" onClick={handleAdd} className="form-button" disabled={!canAdd}>
+                {t("form.add")}
+              </button>
+            </div>
+
+            <div className="form-grid-full">
+              <CustomerPanel
+                customers={customers}
+                queue={qrs}
+                history={history}
+                onSave={handleSaveCustomer}
+                onDelete={handleDeleteCustomer}
+                onImport={handleImportCustomers}
               />
             </div>
 
-            <div className="form-grid-full ot-checkbox-group">
-              <label>
-                <input
-                  type="checkbox"
-                  checked={isOpen}
-                  onChange={(e) => setIsOpen(e.target.checked)}
-                />
-                <span>Red abierta (sin contraseña)</span>
-              </label>
+            <div className="form-grid-full">
+              <BrandPanel
+                brands={brands}
+                logos={logos}
+                onSave={handleSaveBrand}
+                onDelete={handleDeleteBrand}
+                onImport={handleImportBrands}
+              />
             </div>
 
-            {error && <div className="form-warning form-grid-full">{error}</div>}
+            <div className="form-grid-full">
+              <TemplatePanel
+                templates={templates}
+                template={rawTemplate}
+                logos={logos}
+                onSelect={setTemplateId}
+                onCreate={(tpl) => {
+                  setCustomTemplates((prev) => [...prev, tpl]);
+                  setTemplateId(tpl.id);
+                }}
+                onUpdate={(tpl) => setCustomTemplates((prev) => prev.map((x) => (x.id === tpl.id ? tpl : x)))}
+                onDelete={(id) => {
+                  setCustomTemplates((prev) => prev.filter((x) => x.id !== id));
+                  setTemplateId(DEFAULT_TEMPLATE_ID);
+                }}
+              />
+            </div>
 
             <div className="form-grid-full">
-              <button type="button" onClick={handleAdd} className="form-button" disabled={!canAdd}>
-                Agregar
-              </button>
+              <LogoPanel logos={logos} onSave={handleSaveLogo} onDelete={handleDeleteLogo} />
+            </div>
+
+            <div className="form-grid-full">
+              <StickerPreview
+                title={previewIndex != null && qrs[previewIndex] ? entryTitle(qrs[previewIndex]) : ""}
+                urls={preview.urls}
+                metrics={preview.metrics}
+                verification={preview.verification}
+                busy={preview.busy}
+                error={preview.error}
+                orientation={previewOrientation}
+                onOrientationChange={setPreviewOrientation}
+              />
+            </div>
+
+            <div className="form-grid-full">
+              <ScanPanel onLoad={handleScanLoad} onAdd={handleScanAdd} />
+            </div>
+
+            <div className="form-grid-full">
+              <ImportPanel
+                queue={qrs}
+                onImport={(entries) =>
+                  setQrs((prev) => [...prev, ...entries.map((e) => stampEntry({ ...e, lang: stickerLang }))])
+                }
+              />
             </div>
 
             <div className="form-grid-full" style={{ textAlign: "center" }}>
-              QRs agregados: <strong>{qrs.length}</strong>
+              {t("queue.count")} <strong>{qrs.length}</strong>
+            </div>
+
+            <div className="form-grid-full">
+              <AttentionPanel
+                config={attention}
+                onChange={(patch) => setAttention((prev) => ({ ...prev, ...patch }))}
+                onLangChange={(lang) => setAttention((prev) => changeAttentionLang(prev, lang))}
+                onReset={() => setAttention((prev) => attentionDefaults(prev.lang))}
+                onDownload={handleDownloadAttention}
+                url={attentionUrl}
+                error={attentionError || validateAttention(attention)}
+              />
+            </div>
+
+            <div className="form-grid-full">
+              <PrinterPanel
+                settings={printerSettings}
+                onSettingsChange={(patch) => setPrinterSettings((prev) => ({ ...prev, ...patch }))}
+                printer={printer}
+                status={printerStatus}
+                onConnect={handleConnectPrinter}
+                onDisconnect={handleDisconnectPrinter}
+                onPrintAll={() => printEntries(qrs.map((_, i) => i))}
+                canPrint={qrs.length > 0 && !batch?.running}
+              />
             </div>
 
             <div className="actions-row form-grid-full">
-              <button type="button" onClick={handleDownloadAttention} className="btn btn-primary">
-                QR de atención al cliente
-              </button>
               <button type="button" onClick={handleDownloadQRLEO} className="btn btn-primary">
-                Descargar QRLEO
+                {t("common.download")} QRLEO
               </button>
             </div>
           </div>
@@ -742,53 +1144,278 @@ export default function Page() {
           {qrs.length > 0 && (
             <div className="print-summary no-print">
               <p>
-                <strong>Etiquetas guardadas:</strong> {qrs.length}
+                <strong>{t("queue.saved")}</strong> {qrs.length}
               </p>
-              <div className="qr-list">
-                {qrs.map((item, i) => (
-                  <div key={`${item.ssid}-${i}`} className="qr-list-item">
-                    <div className="qr-list-text">
-                      <div>
-                        <strong>SSID:</strong> {item.ssid}
+              <ExportOptions template={template} value={exportOptions} onChange={setExportOptions} />
+              <div className="actions-row">
+                <button
+                  type="button"
+                  className="btn btn-primary"
+                  onClick={handleDownloadAll}
+                  disabled={Boolean(batch?.running)}
+                >
+                  {t("queue.downloadAll")}
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={handleVerifyAll}
+                  disabled={Boolean(batch?.running)}
+                >
+                  {t("queue.verifyAll")}
+                </button>
+                {batch && (
+                  <span className="batch-progress">
+                    {batch.label} · {batch.running ? t("batch.running") : t("batch.done")}: {batch.done}/{batch.total}
+                  </span>
+                )}
+              </div>
+              <div className="pdf-export">
+                <div className="form-grid">
+                  <div className="form-field">
+                    <label className="form-label" htmlFor="pdfLayout">
+                      {t("pdf.format")}
+                    </label>
+                    <select
+                      id="pdfLayout"
+                      className="form-input"
+                      value={pdfLayout}
+                      onChange={(e) => setPdfLayout(e.target.value)}
+                    >
+                      <option value="label">{t("pdf.layout.label")}</option>
+                      <option value="sheet">{t("pdf.layout.sheet")}</option>
+                    </select>
+                  </div>
+                  <div className="form-field ot-checkbox-group">
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={pdfIncludeAttention}
+                        onChange={(e) => setPdfIncludeAttention(e.target.checked)}
+                      />
+                      <span>{t("pdf.includeAttention")}</span>
+                    </label>
+                  </div>
+                  {pdfLayout === "sheet" &&
+                    ["marginX", "marginY", "columns", "rows", "gutterX", "gutterY"].map((key) => (
+                      <div key={key} className="form-field">
+                        <label className="form-label" htmlFor={`pdf-${key}`}>
+                          {t(`pdf.${key}`)}
+                        </label>
+                        <input
+                          id={`pdf-${key}`}
+                          className="form-input"
+                          inputMode="decimal"
+                          value={pdfSheet[key]}
+                          onChange={(e) => updatePdfSheet(key, e.target.value)}
+                        />
                       </div>
-                      <div>
-                        <strong>Red:</strong> {item.networkType}
-                        {item.isOpen ? "" : " | "}
-                        {item.isOpen ? "" : (
+                    ))}
+                </div>
+                <button
+                  type="button"
+                  className="btn btn-primary"
+                  onClick={handleDownloadPdf}
+                  disabled={Boolean(batch?.running)}
+                >
+                  {t("pdf.download")}
+                </button>
+              </div>
+              {batch?.running && <progress className="batch-progress-bar" value={batch.done} max={batch.total} />}
+              {batch && batch.errors.length > 0 && (
+                <div className="form-warning">
+                  <strong>{t("batch.failed", { count: batch.errors.length })}</strong>
+                  <ul className="batch-errors">
+                    {batch.errors.map((e) => (
+                      <li key={`${e.index}-${e.ssid}`}>
+                        {e.index >= 0 ? `#${e.index + 1} ` : ""}
+                        {e.ssid}: {e.message}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {verification &&
+                (verification.problems.length === 0 ? (
+                  <div className="verify-ok">
+                    {t("batch.verifyOk", { count: verification.total })}
+                  </div>
+                ) : (
+                  <div className="form-warning">
+                    <strong>{t("batch.verifyProblems", { count: verification.problems.length })}</strong>
+                    <ul className="batch-errors">
+                      {verification.problems.map((p) => (
+                        <li key={p.index}>
+                          #{p.index + 1} {p.title}: {p.messages.join(" ")}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              {customers.length > 0 && (
+                <div className="form-grid">
+                  <CustomerSelect
+                    id="queueFilter"
+                    customers={customers}
+                    value={queueFilter}
+                    onChange={setQueueFilter}
+                    filter
+                  />
+                </div>
+              )}
+              <div className="qr-list">
+                {qrs.map((item, i) =>
+                  !matchesCustomer(item, queueFilter) ? null : editingIndex === i ? (
+                    <QueueItemEditor
+                      key={`edit-${i}`}
+                      item={item}
+                      customers={customers}
+                      brands={brands}
+                      onSave={(entry) => handleSaveEdit(i, entry)}
+                      onCancel={() => setEditingIndex(null)}
+                    />
+                  ) : (
+                    <div
+                      key={`${entryTitle(item)}-${i}`}
+                      className={`qr-list-item${selectedIndex === i ? " is-selected" : ""}`}
+                      onMouseEnter={() => setHoverIndex(i)}
+                      onMouseLeave={() => setHoverIndex(null)}
+                    >
+                      <div
+                        className="qr-list-text"
+                        role="button"
+                        tabIndex={0}
+                        title={t("queue.preview")}
+                        onClick={() => setSelectedIndex((prev) => (prev === i ? null : i))}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter" || e.key === " ") setSelectedIndex((prev) => (prev === i ? null : i));
+                        }}
+                      >
+                        {isWifiEntry(item) ? (
+                          <>
+                            <div>
+                              <strong>SSID:</strong> {item.ssid}
+                            </div>
+                            <div>
+                              <strong>{t("queue.network")}</strong> {item.networkType} ·{" "}
+                              {t(getSecurityType(resolveSecurity(item)).label)}
+                              {item.hidden ? ` · ${t("queue.hidden")}` : ""}
+                              {item.isOpen ? "" : " | "}
+                              {item.isOpen ? "" : (
+                                <>
+                                  <strong>{t("queue.pass")}</strong> {item.password}
+                                </>
+                              )}
+                            </div>
+                          </>
+                        ) : isGroupEntry(item) ? (
+                          <>
+                            <div>
+                              <strong>{t(getContentType(item.kind).label)}:</strong> {entryTitle(item)}
+                            </div>
+                            {item.networks.map((n) => (
+                              <div key={`${n.ssid}-${n.networkType}`}>
+                                <strong>{n.ssid}</strong> · {networkHeading(n)} · {t(getSecurityType(resolveSecurity(n)).label)}
+                                {n.isOpen ? "" : " | "}
+                                {n.isOpen ? "" : (
+                                  <>
+                                    <strong>{t("queue.pass")}</strong> {n.password}
+                                  </>
+                                )}
+                              </div>
+                            ))}
+                          </>
+                        ) : (
                           <>
-                            <strong>Pass:</strong> {item.password}
+                            <div>
+                              <strong>{t(getContentType(item.kind).label)}:</strong> {entryTitle(item)}
+                            </div>
+                            <div className="qr-list-value">{generateContent(item)}</div>
                           </>
                         )}
+                        {passwordWarning(item) && <div className="form-warning">{passwordWarning(item)}</div>}
+                        {findCustomer(customers, item.customerId) && (
+                          <div className="qr-list-customer">
+                            {t("customer.label")} {customerLabel(findCustomer(customers, item.customerId))}
+                          </div>
+                        )}
+                        {findBrand(brands, item.brandId) && (
+                          <div className="qr-list-customer">
+                            {t("brand.label")} {findBrand(brands, item.brandId).name}
+                          </div>
+                        )}
+                      </div>
+                      <div className="qr-list-actions">
+                        <button
+                          type="button"
+                          className="btn btn-secondary"
+                          onClick={() => handleMove(i, -1)}
+                          disabled={Boolean(batch?.running) || i === 0}
+                          aria-label={t("common.moveUp")}
+                        >
+                          ↑
+                        </button>
+                        <button
+                          type="button"
+                          className="btn btn-secondary"
+                          onClick={() => handleMove(i, 1)}
+                          disabled={Boolean(batch?.running) || i === qrs.length - 1}
+                          aria-label={t("common.moveDown")}
+                        >
+                          ↓
+                        </button>
+                        <button
+                          type="button"
+                          className="btn btn-secondary"
+                          onClick={() => setEditingIndex(i)}
+                          disabled={Boolean(batch?.running)}
+                        >
+                          {t("common.edit")}
+                        </button>
+                        <button
+                          type="button"
+                          className="btn btn-primary"
+                          onClick={() => handleDownload(i)}
+                          disabled={Boolean(batch?.running)}
+                        >
+                          {t("export.download", { format: getExportFormat(exportOptions.format).ext.toUpperCase() })}
+                        </button>
+                        {printer && (
+                          <button
+                            type="button"
+                            className="btn btn-primary"
+                            onClick={() => printEntries([i])}
+                            disabled={Boolean(batch?.running)}
+                          >
+                            {t("common.print")}
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          className="btn btn-secondary"
+                          onClick={() => handleRemove(i)}
+                          disabled={Boolean(batch?.running)}
+                        >
+                          {t("common.remove")}
+                        </button>
                       </div>
                     </div>
-                    <div className="qr-list-actions">
-                      <button type="button" className="btn btn-primary" onClick={() => handleDownload(i)}>
-                        Descargar
-                      </button>
-                      <button
-                        type="button"
-                        className="btn btn-secondary"
-                        onClick={() => setQrs((prev) => prev.filter((_, idx) => idx !== i))}
-                      >
-                        Quitar
-                      </button>
-                    </div>
-                  </div>
-                ))}
+                  )
+                )}
               </div>
             </div>
           )}
-        </section>
-      </div>
 
-      {/* Hidden canvas used to capture WiFi QR for download */}
-      <div
-        style={{ position: "absolute", left: -9999, top: 0, width: 1, height: 1, overflow: "hidden" }}
-        aria-hidden="true"
-      >
-        {printIndex != null && qrs[printIndex] && (
-          <QRCodeCanvas id="print-canvas" value={generateValue(qrs[printIndex])} size={512} />
-        )}
+          <HistoryPanel
+            history={history}
+            customers={customers}
+            storePasswords={storePasswords}
+            onStorePasswordsChange={setStorePasswords}
+            onUse={handleUseHistory}
+            onDelete={(id) => setHistory((prev) => prev.filter((e) => e.id !== id))}
+            onClear={() => setHistory([])}
+          />
+        </section>
       </div>
     </div>
   );
@@ -0,0 +1,17 @@
+import { APP_BUILD, PRECACHE_ASSETS } from "../lib/offline";
+
+// The service worker script: the build it belongs to and the assets to cache,
+// then the worker itself from public/. Browsers compare this script byte for
+// byte, so each deploy (a new APP_BUILD) is picked up as an update.
+export function GET() {
+  const script =
+    `self.APP_BUILD = ${JSON.stringify(APP_BUILD)};\n` +
+    `self.PRECACHE_ASSETS = ${JSON.stringify(PRECACHE_ASSETS)};\n` +
+    `importScripts(${JSON.stringify(`/service-worker.js?v=${APP_BUILD}`)});\n`;
+  return new Response(script, {
+    headers: {
+      "Content-Type": "text/javascript; charset=utf-8",
+      "Cache-Control": "no-cache",
+    },
+  });
+}
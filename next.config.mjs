@@ -0,0 +1,12 @@
+// Identifies the build; the service worker script embeds it, so a new deploy
+// changes the script and installed copies offer the update (see app/lib/offline.js).
+const appBuild = process.env.APP_BUILD || Date.now().toString(36);
+
+/** @type {import('next').NextConfig} */
+const nextConfig = {
+  // Native canvas binding used by /api/sticker; loaded by Node, not bundled.
+  serverExternalPackages: ["@napi-rs/canvas"],
+  env: { APP_BUILD: appBuild },
+};
+
+export default nextConfig;
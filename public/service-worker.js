@@ -0,0 +1,64 @@
+// Service worker, loaded by /sw.js after it sets APP_BUILD and PRECACHE_ASSETS.
+// Each build gets its own cache holding the page, the /_next/static files it
+// links to and the sticker assets; everything is served from there first, so
+// the app opens and works without signal. The new version of a deploy waits
+// until the page asks it to take over ("skip-waiting").
+
+const CACHE_PREFIX = "qr-only-";
+const CACHE = `${CACHE_PREFIX}${self.APP_BUILD}`;
+
+const PAGE = "/";
+
+// Hashed scripts, styles and fonts referenced by the page or its stylesheets.
+const staticUrls = (text) => [...new Set(text.match(/\/_next\/static\/[^"'\s()\\]+/g) || [])];
+
+const precache = async () => {
+  const cache = await caches.open(CACHE);
+  const page = await fetch(PAGE, { cache: "no-store" });
+  if (!page.ok) throw new Error(`${PAGE}: ${page.status}`);
+  const urls = staticUrls(await page.clone().text());
+  const styles = await Promise.all(
+    urls.filter((url) => url.endsWith(".css")).map((url) => fetch(url).then((res) => res.text()))
+  );
+  await cache.addAll([...new Set([...urls, ...styles.flatMap(staticUrls), ...self.PRECACHE_ASSETS])]);
+  await cache.put(PAGE, page);
+};
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache());
+});
+
+// Drops the caches of previous builds.
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith(CACHE_PREFIX) && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "skip-waiting") self.skipWaiting();
+});
+
+// Static files downloaded later (not linked from the page) are kept too.
+const fromNetwork = async (request) => {
+  const res = await fetch(request);
+  if (res.ok && new URL(request.url).pathname.startsWith("/_next/static/")) {
+    const cache = await caches.open(CACHE);
+    await cache.put(request, res.clone());
+  }
+  return res;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+
+  // Opening the app gets the cached page of this build, whatever the query
+  // string; the network is only used for what is not cached.
+  const key = request.mode === "navigate" && url.pathname === PAGE ? PAGE : request;
+  event.respondWith(caches.match(key, { cacheName: CACHE }).then((hit) => hit || fromNetwork(request)));
+});
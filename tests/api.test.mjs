@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { POST } from "../app/api/sticker/route.js";
+
+const post = (body) =>
+  POST(new Request("http://localhost/api/sticker", { method: "POST", body: JSON.stringify(body) }));
+
+const wifi = { ssid: "Casa", password: "supersecreta", networkType: "5.0" };
+
+test("renders a PNG sticker", async () => {
+  const res = await post(wifi);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "image/png");
+});
+
+test("an image of the caller's template that does not load is a 400 on its field", async () => {
+  const res = await post({
+    ...wifi,
+    lang: "en",
+    template: { widthMm: 50, heightMm: 30, logo: "data:image/png;base64,AAAA" },
+  });
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.field, "template.logo");
+  assert.match(body.error, /could not be loaded/);
+});
+
+test("a brand image outside the bundled assets is a 400 on its field", async () => {
+  const res = await post({ ...wifi, lang: "es", brand: { name: "Reventa", logo: "/../package.json" } });
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.field, "brand.logo");
+  assert.match(body.error, /No se pudo cargar/);
+});
+
+test("a long password wraps onto several lines instead of running off the label", async () => {
+  const res = await post({ ...wifi, password: "Xk9#mQ2$vL7pR4tW8zN3bF6hJ1cD5gY0sAqw3Er5Ty7Ui9Op1As3Df5Gh" });
+  assert.equal(res.status, 200);
+});
+
+test("every valid WPA passphrase renders, up to the widest 63 characters and a 64-digit hex key", async () => {
+  for (const password of ["W".repeat(63), "%".repeat(63), "ab12".repeat(16)]) {
+    const res = await post({ ...wifi, password });
+    assert.equal(res.status, 200, password);
+  }
+});
+
+test("a password that cannot fit even wrapped is a 422 on the password", async () => {
+  const res = await post({ ...wifi, security: "sae", password: "W".repeat(200), lang: "en" });
+  assert.equal(res.status, 422);
+  const body = await res.json();
+  assert.equal(body.field, "password");
+  assert.match(body.error, /does not fit/);
+});
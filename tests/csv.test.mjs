@@ -0,0 +1,25 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildImportRows, markImportDuplicates } from "../app/lib/csv.js";
+
+const mapping = { ssid: 0, password: 1, networkType: 2, open: -1, security: -1, hidden: -1 };
+
+test("import rows matching a queued entry or an earlier row are marked duplicate", () => {
+  const queue = [{ ssid: "Casa", password: "supersecreta", security: "wpa", networkType: "5.0" }];
+  const rows = buildImportRows(
+    [
+      ["casa", "otraclave1", "5.0"],
+      ["Casa", "supersecreta", "2.4"],
+      ["Oficina", "supersecreta", "5.0"],
+      ["OFICINA", "supersecreta", "5.0"],
+      ["", "", ""],
+    ],
+    mapping
+  );
+  const marked = markImportDuplicates(rows, queue);
+  assert.deepEqual(
+    marked.map((r) => r.duplicate ?? null),
+    [{ position: 1 }, null, null, { row: 3 }, null]
+  );
+  assert.ok(marked[4].error);
+});
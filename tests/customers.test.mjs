@@ -0,0 +1,22 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildCustomerExport, parseCustomerExport } from "../app/lib/customers.js";
+import { needsPassword } from "../app/lib/payloads.js";
+
+const customer = { id: "c1", name: "Ferretería Ruiz" };
+const history = [
+  { id: "h1", customerId: "c1", ssid: "Ruiz", password: "supersecreta", security: "wpa", networkType: "5.0" },
+  { id: "h2", customerId: "c1", ssid: "Ruiz-Invitados", password: "", security: "open", isOpen: true, networkType: "2.4" },
+];
+
+test("imported networks without their password are marked to be typed again", () => {
+  const file = JSON.stringify(buildCustomerExport([customer], history));
+  const { entries, error } = parseCustomerExport(file);
+  assert.equal(error, "");
+  const byId = Object.fromEntries(entries.map((e) => [e.id, e]));
+  assert.equal(byId.h1.password, "");
+  assert.equal(byId.h1.passwordMissing, true);
+  assert.equal(needsPassword(byId.h1), true);
+  assert.equal("passwordMissing" in byId.h2, false);
+  assert.equal(needsPassword(byId.h2), false);
+});
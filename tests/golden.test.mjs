@@ -0,0 +1,103 @@
+// Golden-image tests for the WiFi sticker: each case is rendered through the
+// same server canvas as POST /api/sticker and compared with the PNG committed
+// in tests/golden/. The text is set in the DejaVu Sans Bold bundled in
+// tests/fonts, so the result does not depend on the fonts installed here.
+//
+// After an intended layout change, regenerate the references with
+// `UPDATE_GOLDEN=1 npm test` and review the new images before committing.
+
+import assert from "node:assert/strict";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { GlobalFonts, createCanvas, loadImage } from "@napi-rs/canvas";
+import { installServerCanvas } from "../app/lib/server-canvas.js";
+import { renderEntryStickers } from "../app/lib/sticker.js";
+import { BUILT_IN_TEMPLATES, DEFAULT_TEMPLATE_ID, normalizeTemplate } from "../app/lib/templates.js";
+import { normalizeEntry } from "../app/lib/wifi.js";
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const GOLDEN_DIR = path.join(HERE, "golden");
+const FONT_FAMILY = "Golden Sans";
+
+GlobalFonts.registerFromPath(path.join(HERE, "fonts", "DejaVuSans-Bold.ttf"), FONT_FAMILY);
+installServerCanvas();
+
+const template = normalizeTemplate({
+  ...BUILT_IN_TEMPLATES.find((tpl) => tpl.id === DEFAULT_TEMPLATE_ID),
+  fontFamily: `"${FONT_FAMILY}"`,
+});
+
+const CASES = [
+  {
+    name: "long-password",
+    entry: { ssid: "Casa", password: "Xk9#mQ2$vL7pR4tW8zN3bF6hJ1cD5gY0sA", security: "wpa", networkType: "2.4" },
+  },
+  {
+    name: "long-ssid",
+    entry: { ssid: "Red7-Instalacion-Fibra-Optica-01", password: "supersecreta", security: "wpa", networkType: "5.0" },
+  },
+  {
+    name: "open-network",
+    entry: { ssid: "Invitados", password: "", security: "open", networkType: "2.4" },
+  },
+  {
+    name: "unicode-ssid",
+    entry: { ssid: "Café Ñandú Δ Wi-Fi", password: "cafe-2024!", security: "wpa", networkType: "5.0" },
+  },
+];
+
+// A pixel differs when some channel is off by more than this; anti-aliasing
+// may move a few edge pixels between Skia builds, the layout may not.
+const CHANNEL_TOLERANCE = 16;
+const MAX_DIFF_RATIO = 0.001;
+
+const pixelsOf = (image) => {
+  const canvas = createCanvas(image.width, image.height);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0);
+  return ctx.getImageData(0, 0, image.width, image.height).data;
+};
+
+const countDiffs = (a, b) => {
+  let diffs = 0;
+  for (let i = 0; i < a.length; i += 4) {
+    for (let c = 0; c < 4; c += 1) {
+      if (Math.abs(a[i + c] - b[i + c]) > CHANNEL_TOLERANCE) {
+        diffs += 1;
+        break;
+      }
+    }
+  }
+  return diffs;
+};
+
+for (const { name, entry } of CASES) {
+  test(`WiFi sticker matches golden image: ${name}`, async () => {
+    // Built like the form does, so the fixtures are entries the app can hold.
+    const { entry: normalized, error } = normalizeEntry(entry);
+    assert.equal(error, "");
+    const results = await renderEntryStickers({ ...normalized, lang: "es" }, template);
+    assert.equal(results.length, 1);
+    const { canvas } = results[0];
+    const png = canvas.toBuffer("image/png");
+    const file = path.join(GOLDEN_DIR, `${name}.png`);
+
+    if (process.env.UPDATE_GOLDEN) {
+      await mkdir(GOLDEN_DIR, { recursive: true });
+      await writeFile(file, png);
+      return;
+    }
+
+    const expected = await loadImage(await readFile(file));
+    assert.deepEqual([canvas.width, canvas.height], [expected.width, expected.height], `${name}: size changed`);
+    const diffs = countDiffs(pixelsOf(canvas), pixelsOf(expected));
+    if (diffs > canvas.width * canvas.height * MAX_DIFF_RATIO) {
+      const actual = path.join(os.tmpdir(), `golden-${name}.png`);
+      await writeFile(actual, png);
+      assert.fail(`${name}: ${diffs} pixels differ from ${path.relative(process.cwd(), file)} (got ${actual})`);
+    }
+  });
+}
@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  CMD,
+  createNiimbotClient,
+  createPacketParser,
+  createSimulatedTransport,
+  encodePacket,
+  getPrinterModel,
+} from "../app/lib/niimbot.js";
+
+const bitmap = {
+  width: 16,
+  height: 3,
+  rows: [Uint8Array.of(0xff, 0x00), Uint8Array.of(0x0f, 0xf0), Uint8Array.of(0x00, 0x81)],
+};
+
+const print = async (modelId, options, state) => {
+  const transport = createSimulatedTransport(state);
+  const client = createNiimbotClient(transport, getPrinterModel(modelId), { pollMs: 0 });
+  await client.print(bitmap, options);
+  return transport.sent;
+};
+
+test("encodePacket frames the data with its length and XOR checksum", () => {
+  assert.deepEqual(
+    Array.from(encodePacket(CMD.SET_LABEL_DENSITY, [3])),
+    [0x55, 0x55, 0x21, 0x01, 0x03, 0x21 ^ 0x01 ^ 0x03, 0xaa, 0xaa]
+  );
+  assert.deepEqual(Array.from(encodePacket(CMD.HEARTBEAT)), [0x55, 0x55, 0xdc, 0x00, 0xdc, 0xaa, 0xaa]);
+});
+
+test("the packet parser reassembles split chunks and drops bad checksums", () => {
+  const packets = [];
+  const parse = createPacketParser((p) => packets.push({ cmd: p.cmd, data: Array.from(p.data) }));
+  const good = encodePacket(CMD.GET_PRINT_STATUS, [0, 2, 100, 100]);
+  const bad = encodePacket(CMD.END_PRINT, [1]);
+  bad[5] ^= 0xff;
+  parse(good.slice(0, 5));
+  parse(Uint8Array.from([...good.slice(5), ...bad]));
+  assert.deepEqual(packets, [{ cmd: CMD.GET_PRINT_STATUS, data: [0, 2, 100, 100] }]);
+});
+
+test("B1 (protocol 2) job: setup, one packet per row, copies in START_PRINT and SET_DIMENSION", async () => {
+  const sent = await print("b1", { density: 4, quantity: 3 });
+  const cmds = sent.map((p) => p.cmd);
+  assert.deepEqual(cmds, [
+    CMD.HEARTBEAT,
+    CMD.SET_LABEL_DENSITY,
+    CMD.SET_LABEL_TYPE,
+    CMD.START_PRINT,
+    CMD.START_PAGE_PRINT,
+    CMD.SET_DIMENSION,
+    CMD.IMAGE_ROW,
+    CMD.IMAGE_ROW,
+    CMD.IMAGE_ROW,
+    CMD.END_PAGE_PRINT,
+    // One poll: the simulator reports all three copies printed.
+    CMD.GET_PRINT_STATUS,
+    CMD.END_PRINT,
+  ]);
+  const find = (cmd) => sent.find((p) => p.cmd === cmd).data;
+  assert.deepEqual(find(CMD.SET_LABEL_DENSITY), [4]);
+  assert.deepEqual(find(CMD.START_PRINT), [0, 0, 3, 0, 0, 0, 0]);
+  assert.deepEqual(find(CMD.SET_DIMENSION), [0, 3, 0, 16, 0, 3]);
+  const rows = sent.filter((p) => p.cmd === CMD.IMAGE_ROW).map((p) => p.data);
+  assert.deepEqual(rows, [
+    [0, 0, 0, 0, 0, 1, 0xff, 0x00],
+    [0, 1, 0, 0, 0, 1, 0x0f, 0xf0],
+    [0, 2, 0, 0, 0, 1, 0x00, 0x81],
+  ]);
+});
+
+test("D11 (protocol 1) job sends the copies in SET_QUANTITY and clamps the density", async () => {
+  const sent = await print("d11", { density: 5, quantity: 2 });
+  const find = (cmd) => sent.find((p) => p.cmd === cmd).data;
+  assert.deepEqual(find(CMD.SET_LABEL_DENSITY), [3]);
+  assert.deepEqual(find(CMD.START_PRINT), [1]);
+  assert.deepEqual(find(CMD.SET_DIMENSION), [0, 3, 0, 16]);
+  assert.deepEqual(find(CMD.SET_QUANTITY), [0, 2]);
+});
+
+test("a page that never finishes fails with a timeout instead of reporting success", async () => {
+  await assert.rejects(print("b1", { quantity: 2 }, { stalled: true }), { code: "timeout" });
+});
+
+test("printer faults stop the job before any row is sent", async () => {
+  const transport = createSimulatedTransport({ coverOpen: true });
+  const client = createNiimbotClient(transport, getPrinterModel("b1"), { pollMs: 0 });
+  await assert.rejects(client.print(bitmap), { code: "cover-open" });
+  assert.deepEqual(transport.sent.map((p) => p.cmd), [CMD.HEARTBEAT]);
+
+  const failing = createSimulatedTransport({ errorOn: { [CMD.START_PAGE_PRINT]: 2 } });
+  const failingClient = createNiimbotClient(failing, getPrinterModel("b1"), { pollMs: 0 });
+  await assert.rejects(failingClient.print(bitmap), { code: "paper-out" });
+  assert.equal(failing.sent.some((p) => p.cmd === CMD.IMAGE_ROW), false);
+});
@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { needsPassword, passwordProblem } from "../app/lib/payloads.js";
+import { stripPassword } from "../app/lib/storage.js";
+
+const wpa = { ssid: "Casa", password: "supersecreta", security: "wpa", networkType: "5.0" };
+const open = { ssid: "Invitados", password: "", security: "open", isOpen: true, networkType: "2.4" };
+
+test("needsPassword flags WiFi entries stored without their password", () => {
+  assert.equal(needsPassword(wpa), false);
+  assert.equal(needsPassword(stripPassword(wpa)), true);
+  assert.equal(needsPassword(stripPassword(open)), false);
+});
+
+test("needsPassword flags a group when any network lost its password", () => {
+  const group = { kind: "group", networks: [wpa, { ...wpa, ssid: "Casa-5G" }] };
+  assert.equal(needsPassword(group), false);
+  assert.equal(needsPassword(stripPassword(group)), true);
+  assert.equal(needsPassword({ kind: "group", networks: [open, { ...open, ssid: "Lobby" }] }), false);
+});
+
+test("passwordProblem tells a password that was not saved from one that is not valid", () => {
+  assert.equal(passwordProblem(wpa), null);
+  assert.deepEqual(passwordProblem(stripPassword(wpa)), { missing: true });
+  assert.deepEqual(passwordProblem({ ...wpa, passwordMissing: true }), { missing: true });
+
+  const old = passwordProblem({ ...wpa, password: "abc123" });
+  assert.equal(old.missing, false);
+  assert.equal(old.ssid, "Casa");
+  assert.match(old.error, /8/);
+  assert.equal(needsPassword({ ...wpa, password: "abc123" }), true);
+
+  const group = { kind: "group", networks: [wpa, { ...wpa, ssid: "Casa-5G", password: "corta" }] };
+  assert.equal(passwordProblem(group).ssid, "Casa-5G");
+});
+
+test("needsPassword ignores other content types", () => {
+  assert.equal(needsPassword({ kind: "url", url: "https://red7.mx" }), false);
+});
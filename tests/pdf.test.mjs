@@ -0,0 +1,24 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildLabelsPdf, mmToPt } from "../app/lib/pdf.js";
+
+const blank = (width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4).fill(255) });
+
+// The `w 0 0 h x y cm /ImN Do` placements of the page contents, in points.
+const placements = async (pdf) =>
+  [...(await pdf.text()).matchAll(/q ([\d.]+) 0 0 ([\d.]+) ([\d.]+) ([\d.]+) cm \/Im(\d+) Do Q/g)].map((m) =>
+    m.slice(1, 5).map(Number)
+  );
+
+const close = (actual, expected) =>
+  actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) < 0.01, `${actual} ≈ ${expected}`));
+
+test("a label that matches the slot fills it", async () => {
+  const [placed] = await placements(await buildLabelsPdf([blank(80, 60)], { labelSize: { w: 40, h: 30 } }));
+  close(placed, [mmToPt(40), mmToPt(30), 0, 0]);
+});
+
+test("a 5:3 label on a 40×30 mm page keeps its proportions, centred", async () => {
+  const [placed] = await placements(await buildLabelsPdf([blank(100, 60)], { labelSize: { w: 40, h: 30 } }));
+  close(placed, [mmToPt(40), mmToPt(24), 0, mmToPt(3)]);
+});
@@ -0,0 +1,6 @@
+// Lets `node --test` load app/lib as the bundler does: ES modules in .js
+// files, imported without their extension.
+
+import { register } from "node:module";
+
+register("./resolve.mjs", import.meta.url);
@@ -0,0 +1,17 @@
+// Module hooks for the tests (see register.mjs).
+
+import { existsSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+const APP_URL = new URL("../app/", import.meta.url).href;
+
+export const resolve = async (specifier, context, next) => {
+  if (specifier.startsWith(".") && context.parentURL?.startsWith(APP_URL) && !/\.\w+$/.test(specifier)) {
+    const url = new URL(`${specifier}.js`, context.parentURL);
+    if (existsSync(fileURLToPath(url))) return next(url.href, context);
+  }
+  return next(specifier, context);
+};
+
+export const load = async (url, context, next) =>
+  url.startsWith(APP_URL) && url.endsWith(".js") ? next(url, { ...context, format: "module" }) : next(url, context);
@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { generateValue, normalizeEntry, parseWifiValue, utf8Length, validateSsid, validateWifiPassword } from "../app/lib/wifi.js";
+
+const parsed = (value) => {
+  const { network, error } = parseWifiValue(value);
+  assert.equal(error, "", value);
+  return network;
+};
+
+test("parseWifiValue unescapes each special character", () => {
+  for (const c of ["\\", ";", ",", ":", "\""]) {
+    const network = parsed(`WIFI:T:WPA;S:a\\${c}b;P:clave\\${c}segura;;`);
+    assert.equal(network.ssid, `a${c}b`);
+    assert.equal(network.password, `clave${c}segura`);
+  }
+});
+
+test("parseWifiValue keeps a quoted hex-looking SSID as text", () => {
+  const network = parsed("WIFI:T:WPA;S:\"414243\";P:\"supersecreta\";;");
+  assert.equal(network.ssid, "414243");
+  assert.equal(network.password, "supersecreta");
+});
+
+test("parseWifiValue reads the hidden flag and the security type", () => {
+  assert.deepEqual(parsed("WIFI:T:WPA;S:Casa;P:supersecreta;H:true;;"), {
+    ssid: "Casa",
+    password: "supersecreta",
+    security: "wpa",
+    hidden: true,
+  });
+  assert.equal(parsed("WIFI:S:Casa;T:WPA;P:supersecreta;;").hidden, false);
+  assert.equal(parsed("WIFI:T:WPA;R:1;S:Casa;P:supersecreta;;").security, "sae");
+  assert.equal(parsed("WIFI:T:WEP;S:Casa;P:clave;;").security, "wep");
+  assert.equal(parsed("WIFI:T:nopass;S:Invitados;;").security, "open");
+});
+
+test("parseWifiValue(generateValue(entry)) gives the entry back with every special character", () => {
+  const specials = "\\;,:\"";
+  const cases = [
+    { ssid: `Red ${specials}'$`, password: `p${specials} w'#$`, security: "wpa" },
+    { ssid: `${specials}`, password: `${specials}${specials}`, security: "sae", hidden: true },
+    { ssid: `"Casa"`, password: `"clave\\;,:"`, security: "wpa" },
+    { ssid: `Oficina${specials}`, password: `a;b:c`, security: "wep" },
+    { ssid: `Invitados ${specials}`, password: "", security: "open", hidden: true },
+    { ssid: "ñandú ☕", password: "supersecreta\\", security: "wpa" },
+  ];
+  for (const fields of cases) {
+    const { entry, error } = normalizeEntry(fields);
+    assert.equal(error, "", JSON.stringify(fields));
+    const { ssid, password, security, hidden } = entry;
+    assert.deepEqual(parsed(generateValue(entry)), { ssid, password, security, hidden });
+  }
+});
+
+test("validateSsid counts the 32-byte limit in UTF-8", () => {
+  const cases = [
+    ["a".repeat(32), true],
+    ["a".repeat(33), false],
+    ["a".repeat(30) + "ñ", true], // 30 + 2 bytes
+    ["a".repeat(31) + "ñ", false], // 31 + 2
+    ["a".repeat(29) + "€", true], // 29 + 3
+    ["a".repeat(30) + "€", false], // 30 + 3
+    ["a".repeat(28) + "☕a", true], // 28 + 3 + 1
+    ["a".repeat(28) + "😀", true], // 28 + 4
+    ["a".repeat(29) + "😀", false], // 29 + 4
+    ["ñ".repeat(16), true],
+    ["ñ".repeat(17), false],
+    ["😀".repeat(8), true],
+    ["😀".repeat(8) + "a", false],
+  ];
+  for (const [ssid, valid] of cases) {
+    assert.equal(validateSsid(ssid) === "", valid, `${ssid} (${utf8Length(ssid)} bytes)`);
+  }
+});
+
+test("validateWifiPassword takes WEP keys of 5/13 ASCII or 10/26 hex characters", () => {
+  const cases = [
+    ["abcde", true],
+    ["abcdefghijklm", true],
+    ["0123456789", true],
+    ["0123456789abcdef0123456789", true],
+    ["ABCDEF0123", true],
+    ["abcd", false],
+    ["abcdef", false],
+    ["abcdefghijkl", false],
+    ["abcdefghijklmn", false],
+    ["0123456789a", false],
+    ["0123456789abcdef012345678", false],
+    ["012345678g", false], // 10 characters, not hex
+    ["abcdñ", false], // 5 characters, not ASCII
+  ];
+  for (const [password, valid] of cases) {
+    assert.equal(validateWifiPassword("wep", password) === "", valid, password);
+  }
+});
+
+test("validateWifiPassword takes WPA passphrases of 8–63 printable ASCII, or 64 only as hex", () => {
+  const hex64 = "0123456789abcdef".repeat(4);
+  const cases = [
+    ["a".repeat(7), false],
+    ["a".repeat(8), true],
+    ["a".repeat(63), true],
+    ["a".repeat(64), true], // "a" is a hex digit
+    [hex64, true],
+    ["g".repeat(64), false],
+    ["a".repeat(65), false],
+    ["clave  con espacios ", true],
+    ["contraseña", false],
+  ];
+  for (const security of ["wpa", "sae-transition"]) {
+    for (const [password, valid] of cases) {
+      assert.equal(validateWifiPassword(security, password) === "", valid, `${security} ${password}`);
+    }
+  }
+});